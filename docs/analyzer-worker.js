@@ -0,0 +1,75 @@
+/**
+ * Web Worker running the kuromoji analyzer, so loading the dictionary and tokenizing cues never
+ * block video decoding or the page. Driven by WorkerAnalyzer; messages:
+ *   {type: 'init', analyzerScript, dictPath} -> {type: 'ready'} or {type: 'error', message}
+ *   {type: 'parse', id, text} -> {type: 'result', id, tokens} or {type: 'error', id, message}
+ *   {type: 'cancel', id} - drop a request that has not started yet
+ */
+
+let analyzer = null;
+let ready = false;
+let scheduled = false;
+const queue = [];
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'init':
+            init(message);
+            break;
+        case 'parse':
+            queue.push(message);
+            schedule();
+            break;
+        case 'cancel': {
+            const index = queue.findIndex(request => request.id === message.id);
+            if (index !== -1) queue.splice(index, 1);
+            break;
+        }
+    }
+});
+
+/**
+ * Load the analyzer build and its dictionary
+ * @param {object} message - Init message with analyzerScript and dictPath
+ */
+async function init(message) {
+    try {
+        // The analyzer build only takes its browser code path (XHR dictionary loading) when it sees a window
+        self.window = self;
+        importScripts(message.analyzerScript);
+        
+        analyzer = new KuromojiAnalyzer({ dictPath: message.dictPath });
+        await analyzer.init();
+        ready = true;
+        self.postMessage({ type: 'ready' });
+        schedule();
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+}
+
+/**
+ * Handle the next queued request once the current one is done. Requests run one at a time and
+ * each is started from a new task, so cancel messages that arrived meanwhile are seen first.
+ */
+function schedule() {
+    if (scheduled || !ready || !queue.length) return;
+    scheduled = true;
+    
+    setTimeout(async () => {
+        const request = queue.shift();
+        if (request) {
+            try {
+                const tokens = await analyzer.parse(request.text);
+                self.postMessage({ type: 'result', id: request.id, tokens: tokens });
+            } catch (error) {
+                self.postMessage({ type: 'error', id: request.id, message: error.message || String(error) });
+            }
+        }
+        
+        scheduled = false;
+        schedule();
+    }, 0);
+}
@@ -0,0 +1,10 @@
+/**
+ * Entry point of index.html: registers the offline service worker. The player itself is the
+ * <kanji-video-player> element on the page (see kanji-video-player.js), which reads PLAYER_CONFIG.
+ */
+
+if (PLAYER_CONFIG.offline && 'serviceWorker' in navigator) {
+    navigator.serviceWorker.register('service-worker.js').catch(error => {
+        console.error("Service worker registration failed:", error);
+    });
+}
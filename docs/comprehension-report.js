@@ -0,0 +1,162 @@
+/**
+ * Vocabulary coverage and difficulty report for one subtitle file, built from the analyzer tokens of its cues
+ */
+class ComprehensionReport {
+    /**
+     * Build the report
+     * @param {Array} cues - Subtitle objects, with start and end in milliseconds
+     * @param {Array} tokensPerCue - Analyzer tokens of each cue, in the same order
+     * @param {KnownKanji} knownKanji - Words whose kanji are all in this list count as known
+     * @param {object} [options] - Report options
+     * @param {number} [options.unknownWords] - Length of the list of unknown words to pre-study
+     * @returns {object} - Report: {cues, tokens, kanjiTokens, kanaTokens, uniqueWords, uniqueKanji, coverage, wordsPerMinute,
+     *     jlpt, difficulty, unknownWords, words, kanji}; words and kanji are sorted by frequency.
+     *     The coverage is the share of known words among the words written with kanji (kanjiTokens): a known-kanji
+     *     list says nothing about words in kana only, so they are counted apart (kanaTokens) and their entries
+     *     in words have known set to null
+     */
+    static build(cues, tokensPerCue, knownKanji, options = {}) {
+        const extractKanji = ComprehensionReport.knownKanjiClass().extractKanji;
+        const levels = ComprehensionReport.kanjiLevels();
+        const words = new Map();
+        const kanji = new Map();
+        let tokenCount = 0;
+        let kanjiTokenCount = 0;
+        let knownCount = 0;
+        let speechTime = 0;
+        
+        cues.forEach((cue, i) => {
+            speechTime += Math.max(0, cue.end - cue.start);
+            
+            for (const token of tokensPerCue[i] || []) {
+                if (!ComprehensionReport.isWord(token)) continue;
+                
+                const word = token.basic_form && token.basic_form !== '*' ? token.basic_form : token.surface_form;
+                const hasKanji = extractKanji(word).length > 0;
+                const known = hasKanji ? knownKanji.isKnownWord(word) : null;
+                tokenCount++;
+                if (hasKanji) kanjiTokenCount++;
+                if (known) knownCount++;
+                
+                if (!words.has(word)) {
+                    // Inflected words are listed in their dictionary form, whose reading the analyzer does not give
+                    const reading = token.reading && token.reading !== '*' && word === token.surface_form
+                        ? token.reading.replace(/[\u30A1-\u30F6]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+                        : '';
+                    words.set(word, { word: word, reading: reading, count: 0, known: known });
+                }
+                words.get(word).count++;
+                
+                for (const ch of extractKanji(token.surface_form)) {
+                    if (!kanji.has(ch)) {
+                        kanji.set(ch, { kanji: ch, count: 0, level: levels.get(ch) || null, known: knownKanji.kanji.has(ch) });
+                    }
+                    kanji.get(ch).count++;
+                }
+            }
+        });
+        
+        const byCount = (a, b) => b.count - a.count;
+        const wordList = Array.from(words.values()).sort(byCount);
+        const kanjiList = Array.from(kanji.values()).sort(byCount);
+        const coverage = kanjiTokenCount ? knownCount / kanjiTokenCount : 1;
+        
+        return {
+            cues: cues.length,
+            tokens: tokenCount,
+            kanjiTokens: kanjiTokenCount,
+            kanaTokens: tokenCount - kanjiTokenCount,
+            uniqueWords: wordList.length,
+            uniqueKanji: kanjiList.length,
+            coverage: coverage,
+            wordsPerMinute: speechTime ? tokenCount / (speechTime / 60000) : 0,
+            jlpt: ComprehensionReport.jlptBreakdown(kanjiList),
+            difficulty: ComprehensionReport.difficulty(coverage, kanjiList),
+            unknownWords: wordList.filter(entry => entry.known === false).slice(0, options.unknownWords || 30),
+            words: wordList,
+            kanji: kanjiList
+        };
+    }
+    
+    /**
+     * Check whether a token is a word that counts towards the report. Punctuation, numbers,
+     * particles and auxiliaries are left out, so they do not inflate the coverage.
+     * @param {object} token - Kuromoji token
+     * @returns {boolean} - True for content words
+     */
+    static isWord(token) {
+        if (['記号', '助詞', '助動詞'].includes(token.pos) || token.pos_detail_1 === '数') return false;
+        return /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FCF\uF900-\uFAFF]/.test(token.surface_form);
+    }
+    
+    /**
+     * Unique kanji and kanji occurrences per JLPT level; kanji outside the JLPT lists are counted under "other"
+     * @param {Array} kanjiList - Kanji entries from build()
+     * @returns {object} - {N5: {kanji, count}, ..., N1, other}
+     */
+    static jlptBreakdown(kanjiList) {
+        const breakdown = {};
+        for (const level of ComprehensionReport.LEVELS.concat('other')) {
+            breakdown[level] = { kanji: 0, count: 0 };
+        }
+        for (const entry of kanjiList) {
+            const bucket = breakdown[entry.level || 'other'];
+            bucket.kanji++;
+            bucket.count += entry.count;
+        }
+        return breakdown;
+    }
+    
+    /**
+     * Difficulty score from 0 (easy) to 100: 60% the share of words written with kanji that are not known,
+     * 40% the average JLPT level of the kanji read (N5 counts 0, N1 and non-JLPT kanji count 1)
+     * @param {number} coverage - Share of known words among the words written with kanji
+     * @param {Array} kanjiList - Kanji entries from build()
+     * @returns {number} - Score, rounded
+     */
+    static difficulty(coverage, kanjiList) {
+        let weight = 0;
+        let count = 0;
+        for (const entry of kanjiList) {
+            const level = entry.level ? ComprehensionReport.LEVELS.indexOf(entry.level) / (ComprehensionReport.LEVELS.length - 1) : 1;
+            weight += level * entry.count;
+            count += entry.count;
+        }
+        const kanjiLevel = count ? weight / count : 0;
+        return Math.round(100 * (0.6 * (1 - coverage) + 0.4 * kanjiLevel));
+    }
+    
+    /**
+     * JLPT level of every kanji in the built-in lists
+     * @returns {Map} - Kanji → "N5" ... "N1"
+     */
+    static kanjiLevels() {
+        if (!ComprehensionReport.levelCache) {
+            // A page global in the browser, a module in Node
+            const presets = typeof KANJI_PRESETS !== 'undefined' ? KANJI_PRESETS : require('./kanji-presets.js');
+            ComprehensionReport.levelCache = new Map();
+            for (const level of ComprehensionReport.LEVELS) {
+                for (const ch of ComprehensionReport.knownKanjiClass().extractKanji([].concat(presets.jlpt[level.toLowerCase()]).join(''))) {
+                    ComprehensionReport.levelCache.set(ch, level);
+                }
+            }
+        }
+        return ComprehensionReport.levelCache;
+    }
+    
+    /**
+     * KnownKanji class: a page global in the browser, a module in Node
+     * @returns {Function} - KnownKanji
+     */
+    static knownKanjiClass() {
+        return typeof KnownKanji !== 'undefined' ? KnownKanji : require('./known-kanji.js');
+    }
+}
+
+// JLPT levels from easiest to hardest
+ComprehensionReport.LEVELS = ['N5', 'N4', 'N3', 'N2', 'N1'];
+ComprehensionReport.levelCache = null;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComprehensionReport;
+}
@@ -0,0 +1,20 @@
+/**
+ * Deployment settings, read by app.js. Edit this file rather than the player scripts
+ * when serving the player from somewhere else.
+ */
+const PLAYER_CONFIG = {
+    // Where the Kuroshiro scripts are loaded from: 'local' (lib/, works offline) or 'cdn' (unpkg)
+    librarySource: 'local',
+    
+    // Kuromoji dictionary directory, relative to index.html
+    dictPath: 'kuromoji/dict/',
+    
+    // JMdict file for click-to-lookup, see scripts/build-jmdict.js
+    dictionaryPath: 'jmdict/jmdict-eng.json',
+    
+    // Pitch-accent file for the part-of-speech and accent overlay, see scripts/build-accents.js
+    accentPath: 'accent/accents.json',
+    
+    // Register the service worker that caches the player, the libraries and both dictionaries for offline use
+    offline: true
+};
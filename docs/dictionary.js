@@ -0,0 +1,114 @@
+/**
+ * Local JMdict-derived dictionary for click-to-lookup
+ */
+class Dictionary {
+    /**
+     * @param {string} path - URL of the dictionary JSON file (see scripts/build-jmdict.js)
+     */
+    constructor(path) {
+        this.path = path;
+        this.index = null;
+        this.loading = null;
+        // True when the file is the small sample shipped in the repository, not a full JMdict build
+        this.sample = false;
+    }
+    
+    /**
+     * Fetch and index the dictionary once; later calls reuse the same promise
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(this.path)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Dictionary not found at ${this.path} (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.sample = Boolean(data.sample);
+                    this.buildIndex(data.entries);
+                })
+                .catch(error => {
+                    // Allow a retry on the next lookup
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+    
+    /**
+     * Index entries by every kanji and kana form
+     * @param {Array} entries - Dictionary entries ({kanji, kana, senses})
+     */
+    buildIndex(entries) {
+        this.index = new Map();
+        
+        for (const entry of entries) {
+            for (const form of new Set(entry.kanji.concat(entry.kana))) {
+                if (!this.index.has(form)) {
+                    this.index.set(form, []);
+                }
+                this.index.get(form).push(entry);
+            }
+        }
+    }
+    
+    /**
+     * Look up a word by its dictionary form, falling back to the form as written
+     * @param {string} basicForm - Dictionary form from the analyzer (e.g. 食べる for 食べた)
+     * @param {string} surfaceForm - Word as written in the subtitle
+     * @param {string} [reading] - Reading in hiragana, used to rank homographs
+     * @returns {Promise<Array>} - Matching entries, best match first
+     */
+    async lookup(basicForm, surfaceForm, reading) {
+        await this.load();
+        
+        const forms = [basicForm, surfaceForm].filter(form => form && form !== '*');
+        for (const form of forms) {
+            const entries = this.index.get(form);
+            if (entries) {
+                return entries.slice().sort((a, b) =>
+                    Number(b.kana.includes(reading)) - Number(a.kana.includes(reading))
+                );
+            }
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Human-readable label for a JMdict part-of-speech tag
+     * @param {string} tag - Tag such as "v5r" or "adj-na"
+     * @returns {string} - Label
+     */
+    static describePos(tag) {
+        if (Dictionary.POS_LABELS[tag]) return Dictionary.POS_LABELS[tag];
+        if (tag.startsWith('v5')) return 'godan verb';
+        return tag;
+    }
+}
+
+Dictionary.POS_LABELS = {
+    'n': 'noun',
+    'pn': 'pronoun',
+    'v1': 'ichidan verb',
+    'vk': 'kuru verb',
+    'vs': 'suru verb',
+    'vs-i': 'suru verb',
+    'vt': 'transitive',
+    'vi': 'intransitive',
+    'adj-i': 'i-adjective',
+    'adj-na': 'na-adjective',
+    'adj-no': 'no-adjective',
+    'adv': 'adverb',
+    'prt': 'particle',
+    'int': 'interjection',
+    'exp': 'expression',
+    'conj': 'conjunction',
+    'suf': 'suffix',
+    'pref': 'prefix',
+    'ctr': 'counter'
+};
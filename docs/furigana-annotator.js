@@ -0,0 +1,277 @@
+/**
+ * Per-token reading annotation built on the morphological tokens of Kuroshiro's analyzer.
+ * Unlike kuroshiro.convert, each word is annotated on its own, so words made only of
+ * known kanji can be left without readings.
+ */
+class FuriganaAnnotator {
+    /**
+     * @param {object} analyzer - Initialized Kuroshiro analyzer (e.g. KuromojiAnalyzer)
+     * @param {object} util - Kuroshiro.Util
+     */
+    constructor(analyzer, util) {
+        this.analyzer = analyzer;
+        this.util = util;
+    }
+    
+    /**
+     * Split text into morphological tokens and apply the user's reading overrides
+     * @param {string} text - Japanese text
+     * @param {object} [options] - Tokenizer options
+     * @param {AbortSignal} [options.signal] - Cancels a WorkerAnalyzer request
+     * @param {UserDictionary} [options.userDictionary] - Reading overrides, applied after analysis
+     * @param {string} [options.series] - Series whose overrides win over the global ones
+     * @returns {Promise<Array>} - Kuromoji tokens (surface_form, reading, pronunciation, basic_form, pos...)
+     */
+    async tokenize(text, options = {}) {
+        const tokens = await this.analyzer.parse(text, { signal: options.signal });
+        return options.userDictionary ? options.userDictionary.apply(tokens, options.series) : tokens;
+    }
+    
+    /**
+     * Tokenize and annotate text
+     * @param {string} text - Japanese text
+     * @param {object} options - See render()
+     * @returns {Promise<string>} - Annotated HTML
+     */
+    async annotate(text, options) {
+        return this.render(await this.tokenize(text), options);
+    }
+    
+    /**
+     * Build annotated HTML from tokens
+     * @param {Array} tokens - Tokens from tokenize()
+     * @param {object} options - Reading options
+     * @param {string} options.mode - "furigana", "okurigana", "normal", "spaced" or "hidden"
+     * @param {string} options.to - "hiragana", "katakana" or "romaji"
+     * @param {string} [options.romajiSystem] - "hepburn", "nippon" or "passport"
+     * @param {KnownKanji} [options.knownKanji] - Words made only of these kanji get no reading
+     * @param {boolean} [options.tokenSpans] - Wrap each token in a span carrying its index (for click lookup)
+     * @param {number} [options.tokenOffset] - Index of the first token, when several runs of text share one numbering
+     * @param {Function} [options.describeToken] - With tokenSpans: returns {classes, title} for a token's span (e.g. TokenOverlay.describe)
+     * @param {boolean} [options.plainText] - Return unescaped text instead of HTML (for modes without ruby)
+     * @returns {string} - Annotated HTML; the text and readings are escaped
+     */
+    render(tokens, options) {
+        const separator = options.mode === 'spaced' ? ' ' : '';
+        const offset = options.tokenOffset || 0;
+        return tokens.map((token, i) => {
+            const html = this.renderToken(token, options);
+            if (!options.tokenSpans) return html;
+            
+            const info = options.describeToken ? options.describeToken(token) : { classes: [], title: '' };
+            const classes = ['subtitle-token'].concat(info.classes).join(' ');
+            const title = info.title ? ` title="${this.escapeHTML(info.title)}"` : '';
+            return `<span class="${this.escapeHTML(classes)}" data-token="${offset + i}"${title}>${html}</span>`;
+        }).join(separator);
+    }
+    
+    /**
+     * Annotate a single token
+     * @param {object} token - Kuromoji token
+     * @param {object} options - Reading options, see render()
+     * @returns {string} - Annotated HTML for the token
+     */
+    renderToken(token, options) {
+        const escape = text => options.plainText ? text : this.escapeHTML(text);
+        const surface = token.surface_form;
+        const reading = this.tokenReading(token);
+        const hasKanji = this.hasKanji(surface);
+        
+        if (!reading || options.mode === 'hidden') {
+            return escape(surface);
+        }
+        
+        // Known words keep their kanji and get no reading in every mode
+        if (hasKanji && options.knownKanji && options.knownKanji.isKnownWord(surface)) {
+            return escape(surface);
+        }
+        
+        if (options.mode === 'normal' || options.mode === 'spaced') {
+            // Like kuroshiro.convert, kana stays as written when converting to hiragana
+            if (!hasKanji && options.to === 'hiragana') {
+                return escape(surface);
+            }
+            return escape(this.convertReading(reading, options, token.pronunciation));
+        }
+        
+        // Okurigana mode annotates kanji only
+        if (!hasKanji && options.mode !== 'furigana') {
+            return escape(surface);
+        }
+        
+        return this.tokenSegments(token, options)
+            .map(part => part.reading === null ? escape(part.text) : this.wrapReading(escape(part.text), escape(part.reading), options))
+            .join('');
+    }
+    
+    /**
+     * Split tokens into text segments with their readings, for writing ruby into subtitle files.
+     * Adjacent segments without a reading are merged.
+     * @param {Array} tokens - Tokens from tokenize()
+     * @param {object} options - Reading options, see render(); the mode is ignored
+     * @returns {Array} - Segments with text and reading (null when the text gets no reading)
+     */
+    segments(tokens, options) {
+        const segments = [];
+        
+        for (const token of tokens) {
+            for (const part of this.tokenSegments(token, options)) {
+                const last = segments[segments.length - 1];
+                if (part.reading === null && last && last.reading === null) {
+                    last.text += part.text;
+                } else {
+                    segments.push(part);
+                }
+            }
+        }
+        
+        return segments;
+    }
+    
+    /**
+     * Readings of a single token as furigana segments: kanji runs get their converted reading,
+     * okurigana and known words get none, and kana-only words get one only when the readings are romaji
+     * @param {object} token - Kuromoji token
+     * @param {object} options - Reading options, see render()
+     * @returns {Array} - Segments with text and reading (null for no reading)
+     */
+    tokenSegments(token, options) {
+        const surface = token.surface_form;
+        const reading = this.tokenReading(token);
+        const hasKanji = this.hasKanji(surface);
+        
+        if (!reading || (hasKanji && options.knownKanji && options.knownKanji.isKnownWord(surface))) {
+            return [{ text: surface, reading: null }];
+        }
+        
+        if (hasKanji) {
+            return this.splitReading(surface, reading).map(part => ({
+                text: part.text,
+                reading: part.reading === null ? null : this.convertReading(part.reading, options)
+            }));
+        }
+        
+        if (options.to === 'romaji') {
+            return [{ text: surface, reading: this.convertReading(reading, options, token.pronunciation) }];
+        }
+        
+        return [{ text: surface, reading: null }];
+    }
+    
+    /**
+     * Hiragana reading of a token, or null for tokens without a Japanese reading
+     * @param {object} token - Kuromoji token
+     * @returns {string|null} - Reading in hiragana
+     */
+    tokenReading(token) {
+        const surface = token.surface_form;
+        if (!this.util.hasJapanese(surface) && !this.hasKanji(surface)) {
+            return null;
+        }
+        
+        if (token.reading && token.reading !== '*') {
+            return this.util.kanaToHiragna(token.reading);
+        }
+        
+        // Unknown words made only of kana are their own reading
+        return surface.split('').every(ch => this.util.isKana(ch)) ? this.util.kanaToHiragna(surface) : null;
+    }
+    
+    /**
+     * Align a reading to the kanji runs of a word, so okurigana stays outside the ruby
+     * (e.g. 食べる/たべる becomes 食[た] + べる)
+     * @param {string} surface - Word as written
+     * @param {string} reading - Reading in hiragana
+     * @returns {Array} - Parts with text and reading (null for kana parts)
+     */
+    splitReading(surface, reading) {
+        const isKanji = ch => this.hasKanji(ch) || ch === '々';
+        const parts = [];
+        let pattern = '';
+        
+        for (const ch of surface) {
+            const last = parts[parts.length - 1];
+            if (isKanji(ch)) {
+                if (last && last.kanji) {
+                    last.text += ch;
+                } else {
+                    parts.push({ text: ch, kanji: true });
+                    pattern += '(.+)';
+                }
+            } else {
+                parts.push({ text: ch, kanji: false });
+                pattern += this.util.kanaToHiragna(ch).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        
+        const match = new RegExp('^' + pattern + '$').exec(reading);
+        if (!match) {
+            return [{ text: surface, reading: reading }];
+        }
+        
+        let group = 1;
+        return parts.map(part => ({
+            text: part.text,
+            reading: part.kanji ? match[group++] : null
+        }));
+    }
+    
+    /**
+     * Check whether text contains kanji. Kuroshiro's helpers test single UTF-16 code units, so they
+     * miss kanji outside the Basic Multilingual Plane such as 𠮟; KnownKanji.extractKanji() does not.
+     * @param {string} text - Word or character
+     * @returns {boolean} - True if the text has a kanji
+     */
+    hasKanji(text) {
+        // A page global in the browser, a module in Node
+        const knownKanjiClass = typeof KnownKanji !== 'undefined' ? KnownKanji : require('./known-kanji.js');
+        return knownKanjiClass.extractKanji(text).length > 0;
+    }
+    
+    /**
+     * Convert a hiragana reading to the target syllabary
+     * @param {string} reading - Reading in hiragana
+     * @param {object} options - Reading options, see render()
+     * @param {string} [pronunciation] - Token pronunciation, preferred for romaji (は → wa)
+     * @returns {string} - Converted reading
+     */
+    convertReading(reading, options, pronunciation) {
+        switch (options.to) {
+            case 'katakana':
+                return this.util.kanaToKatakana(reading);
+            case 'romaji':
+                return this.util.kanaToRomaji(pronunciation && pronunciation !== '*' ? pronunciation : reading, options.romajiSystem);
+            default:
+                return reading;
+        }
+    }
+    
+    /**
+     * Attach a reading to text as ruby or in parentheses, depending on the mode
+     * @param {string} text - Annotated text, escaped
+     * @param {string} reading - Converted reading, escaped
+     * @param {object} options - Reading options, see render()
+     * @returns {string} - HTML
+     */
+    wrapReading(text, reading, options) {
+        if (options.mode === 'okurigana') {
+            return `${text}(${reading})`;
+        }
+        return `<ruby>${text}<rp>(</rp><rt>${reading}</rt><rp>)</rp></ruby>`;
+    }
+    
+    /**
+     * Escape text for HTML with SubtitleMarkup.escapeHTML(); tokens come straight from the subtitle file
+     * @param {string} text - Text
+     * @returns {string} - Escaped text
+     */
+    escapeHTML(text) {
+        // A page global in the browser, a module in Node
+        const markup = typeof SubtitleMarkup !== 'undefined' ? SubtitleMarkup : require('./subtitle-markup.js');
+        return markup.escapeHTML(text);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FuriganaAnnotator;
+}
@@ -0,0 +1,151 @@
+/**
+ * Built-in known-kanji presets
+ *
+ * Jōyō school grades come from KANJIDIC (EDRDG, CC BY-SA 4.0); grade 8 holds the kanji taught in secondary school.
+ * JLPT N5-N2 lists come from the "jlpt" npm package (MIT); N1 holds the remaining Jōyō kanji.
+ * Each level lists only the kanji new at that level; use KnownKanji.presetKanji() for cumulative sets.
+ */
+const KANJI_PRESETS = {
+    jlpt: {
+        n5: [
+            '土山先三四来語七日火下話学八長半気時今後天名校上前小読五川母水金休年外国友出毎車',
+            '午聞月書父西高本二何人大雨男行間六千中生百円北十子見電右女一左東万南木九食入白'
+        ].join(''),
+        n4: [
+            '不世主乗事京仕代以会低住体作使便借働元兄光公写冬切別力勉動区医去口古台合同味品員',
+            '問回図地堂場声売夏夕多夜太好妹姉始字安室家寒少屋工市帰広店度建引弟弱強待心思急悪',
+            '意所手持教文料新方旅族早明映春昼暑暗曜有服朝村林森業楽歌止正歩死民池注洋洗海漢牛',
+            '物特犬理産用田町画界病発目県真着知短研社私秋究空立答紙終習考者肉自色花英茶菜薬親',
+            '言計試説買貸質赤走起足転軽近送通週進運道遠都重野銀門開院集青音頭題顔風飯飲館首駅',
+            '験魚鳥黒'
+        ].join(''),
+        n3: [
+            '両予争交他付伝位係信側全内冷初利加助労勝化単原参反取受号向君告商園変夫失守完官定',
+            '実客宿察対局差席式当形役必念息想感成戦投折指敗数昔昨晴曲最望期未末束果様横機欠次',
+            '歯残求決治法活流消港満点熱球由申番登直相石礼神科種笑箱米約組絵続美育船苦葉表要観',
+            '記調談議負費路辞返速連遊選部配酒関雪面願類飛馬鳴亡件例倍値備優共具列刻割努務勤危',
+            '吸呼命和喜因困在型報塩増妻婦存宅容寺島希師常平幸座庫庭徒得忘性悲情愛才打支放散整',
+            '断易晩景札材格案構欲段殺氷油波泣泳深済温無然焼現留痛的確示祭積窓等細経結給緑線練',
+            '置老職腹良若草荷落術衣覚解認警身追過達適量鉄閉降限陽階際雑難雲静非並丸任似余供価',
+            '個冊再処判制包卒印卵厚収吹周器坂夢婚季寄寝専居届忙慣戻払技押招捨授探接換星暖暮査',
+            '根植極歳比毛浅浴混減渡準演煙片犯状独玉疑疲眠破祖禁秒移程算節簡精糸紅絶緒罪署背能',
+            '裏規訪許誤論識財貧責農辺込迷退遅違郵防除頂順預額骨与久互倒偶到刺効可善均城域基士',
+            '奥娘宝導布張彼怒怖恐恥抱普更替机杯松汗汚泊津涙燃猫異皆盗突絡舞薄街講豆越迎述逃逆',
+            '途震靴頼髪齢'
+        ].join(''),
+        n2: [
+            '政党総領設保権資団革勢応税検営補境展武率輸条環欧担造被復評脳含蔵製況針湾旧否批券',
+            '編捜超療修捕採拡故介販将幅富般貿装諸劇河暴占険圧抜伸爆延則乱豊測略承浮了庁層版損',
+            '募仏績築志昇永著誌刊像香賛宇巨触依枚複恵傾巻駐賃紹雇臓律贈宙群操詰双壁仮純看翌快',
+            '敬悩泉御荒硬埋袋封胸砂賢腕較床尊柔殿濃液肩零幼甘掃掘軟沈凍乳恋郊腰踊珍狭喫干溶鉱',
+            '匹鋭枝塗軒叫拝乾棒祈綿銅湿咲召脂蒸肌耕鈍泥隅辛磨姓筒粒詞偉畳膚濯塔沸灰菓帽枯涼舟',
+            '符憎肯燥畜坊挟滴伺'
+        ].join(''),
+        n1: [
+            '亜哀挨曖握扱宛嵐囲委威為畏胃尉萎椅彙維慰遺緯壱逸茨芋咽姻淫陰隠韻羽唄鬱畝浦栄詠影',
+            '衛疫益悦謁閲沿炎怨宴媛援猿鉛縁艶王凹央往旺殴桜翁岡億憶臆虞乙俺卸恩穏佳苛架華貨渦',
+            '嫁暇禍寡箇稼課蚊牙瓦我芽賀雅餓戒改怪拐悔械塊楷潰壊懐諧貝劾害崖涯慨蓋該概骸垣柿各',
+            '角核殻郭隔閣獲嚇穫岳顎掛潟括喝渇葛滑褐轄且株釜鎌刈缶肝冠陥勘患貫喚堪敢棺款閑勧寛',
+            '幹管歓監緩憾還韓艦鑑岸岩玩眼頑企伎岐忌汽奇紀軌既飢鬼亀幾揮棋貴棄毀旗畿輝騎宜偽欺',
+            '義儀戯擬犠菊吉却脚虐及弓丘朽臼級糾宮救嗅窮拒拠挙虚距漁凶狂享協峡恭脅郷橋矯鏡競響',
+            '驚仰暁凝巾斤菌琴筋僅緊錦謹襟吟句駆惧愚遇串屈窟熊繰訓勲薫軍郡刑系径茎契啓掲渓蛍携',
+            '継詣慶憬稽憩鶏芸鯨隙撃激桁穴血傑潔倹兼剣拳健圏堅嫌献絹遣憲謙鍵繭顕懸幻玄弦舷源厳',
+            '己戸固股虎孤弧湖誇鼓錮顧呉娯悟碁護勾孔功巧甲后江坑孝抗攻拘侯恒洪皇候航貢康控梗黄',
+            '喉慌絞項溝綱酵稿興衡鋼購乞拷剛傲豪克谷穀酷獄駒頃昆恨痕紺魂墾懇佐沙唆詐鎖挫災采砕',
+            '宰栽彩斎裁債催塞載埼剤崎削柵索策酢搾錯刷刹拶撮擦皿桟蚕惨傘酸斬暫氏史司矢旨至祉肢',
+            '姿施恣視紫嗣詩飼雌摯賜諮耳児侍滋慈磁餌璽鹿軸𠮟疾執嫉漆芝舎射赦斜煮遮謝邪蛇尺酌釈',
+            '爵寂朱狩殊珠腫趣寿呪需儒樹囚州秀宗拾臭袖羞就衆愁酬醜蹴襲汁充従渋銃獣縦叔祝淑粛縮',
+            '塾熟俊瞬旬巡盾准殉循潤遵庶如序叙徐升匠抄肖尚沼昭宵症祥称唱渉章訟掌晶焦硝粧詔証象',
+            '傷奨照詳彰障憧衝賞償礁鐘丈冗浄剰縄壌嬢錠譲醸拭殖飾嘱織辱尻臣芯侵唇娠振浸紳診慎審',
+            '薪刃仁尽迅甚陣尋腎須垂炊帥粋衰推酔遂睡穂随髄枢崇据杉裾寸瀬是井征斉牲省凄逝清盛婿',
+            '聖誠誓請醒斥析脊隻惜戚跡籍拙窃摂舌仙宣染扇栓旋煎羨腺詮践箋銭潜遷薦繊鮮禅漸膳繕狙',
+            '阻租素措粗疎訴塑遡礎壮奏荘倉挿桑巣曹曽爽創喪痩葬僧遭槽踪霜騒藻即促捉俗属賊孫遜汰',
+            '妥唾堕惰駄耐怠胎帯泰堆逮隊滞態戴第滝択沢卓拓託諾濁但脱奪棚誰丹旦炭胆淡嘆端綻誕鍛',
+            '弾壇致痴稚緻竹逐蓄秩窒嫡仲虫沖忠抽柱衷酎鋳貯丁弔兆挑帳彫眺釣貼腸跳徴嘲潮澄聴懲勅',
+            '捗朕陳鎮椎墜塚漬坪爪鶴呈廷底抵邸亭貞帝訂逓停偵堤提艇締諦笛摘敵溺迭哲徹撤典添塡斗',
+            '吐妬賭奴刀灯唐桃討透悼陶搭棟湯痘統稲踏糖謄藤闘騰洞胴童瞳峠匿督徳篤毒栃凸屯豚頓貪',
+            '曇丼那奈梨謎鍋尼弐匂虹尿妊忍寧捻粘納把派覇婆罵肺俳排廃輩梅培陪媒賠伯拍迫剝舶博麦',
+            '漠縛箸畑鉢伐罰閥氾帆汎伴阪板班畔斑搬煩頒範繁藩蛮盤皮妃披肥卑秘扉碑罷避尾眉微鼻膝',
+            '肘泌筆姫俵票漂標苗描浜賓頻敏瓶扶府阜附訃赴腐敷賦譜侮伏副福覆粉紛雰噴墳憤奮分丙兵',
+            '併柄陛塀幣弊蔽餅璧癖蔑偏遍弁哺舗墓慕簿芳邦奉泡胞俸倣峰砲崩蜂飽褒縫乏妨房肪某冒剖',
+            '紡傍貌膨謀頰朴牧睦僕墨撲没勃堀奔翻凡盆麻摩魔昧幕膜枕又抹慢漫魅岬密蜜脈妙矛霧冥盟',
+            '銘滅免麺茂模妄盲耗猛網黙紋冶弥厄訳躍闇喩愉諭癒唯勇幽悠湧猶裕雄誘憂融誉羊妖庸揚揺',
+            '瘍窯養擁謡抑沃翼拉裸羅雷酪辣覧濫藍欄吏里痢履璃離陸慄柳竜隆硫侶虜慮猟陵僚寮瞭糧厘',
+            '倫輪隣臨瑠累塁令励鈴霊隷麗暦歴劣烈裂廉錬呂炉賂露弄郎朗浪廊楼漏籠録麓賄脇惑枠'
+        ].join('')
+    },
+    grades: {
+        1: [
+            '一右雨円王音下火花貝学気九休玉金空月犬見五口校左三山子四糸字耳七車手十出女小上森',
+            '人水正生青夕石赤千川先早草足村大男竹中虫町天田土二日入年白八百文木本名目立力林六'
+        ].join(''),
+        2: [
+            '引羽雲園遠何科夏家歌画回会海絵外角楽活間丸岩顔汽記帰弓牛魚京強教近兄形計元言原戸',
+            '古午後語工公広交光考行高黄合谷国黒今才細作算止市矢姉思紙寺自時室社弱首秋週春書少',
+            '場色食心新親図数西声星晴切雪船線前組走多太体台地池知茶昼長鳥朝直通弟店点電刀冬当',
+            '東答頭同道読内南肉馬売買麦半番父風分聞米歩母方北毎妹万明鳴毛門夜野友用曜来里理話'
+        ].join(''),
+        3: [
+            '悪安暗医委意育員院飲運泳駅央横屋温化荷界開階寒感漢館岸起期客究急級宮球去橋業曲局',
+            '銀区苦具君係軽血決研県庫湖向幸港号根祭皿仕死使始指歯詩次事持式実写者主守取酒受州',
+            '拾終習集住重宿所暑助昭消商章勝乗植申身神真深進世整昔全相送想息速族他打対待代第題',
+            '炭短談着注柱丁帳調追定庭笛鉄転都度投豆島湯登等動童農波配倍箱畑発反坂板皮悲美鼻筆',
+            '氷表秒病品負部服福物平返勉放味命面問役薬由油有遊予羊洋葉陽様落流旅両緑礼列練路和'
+        ].join(''),
+        4: [
+            '愛案以衣位茨印英栄媛塩岡億加果貨課芽改械害街各覚潟完官管関観願岐希季旗器機議求泣',
+            '給挙漁共協鏡競極熊訓軍郡径景芸欠結建健験固功好香候康佐差菜最埼材崎昨札刷察参産散',
+            '残氏司試児治滋辞鹿失借種周祝順初松笑唱焼照縄臣信井成省清静席積折節説浅戦選然争倉',
+            '巣束側続卒孫帯隊達単置仲沖兆低底的典伝徒努灯働特栃奈梨熱念敗梅博阪飯飛必票標不夫',
+            '付府阜副兵別辺変便包法望牧末満未民無約勇要養浴利陸良料量輪類令冷例連老労録'
+        ].join(''),
+        5: [
+            '圧囲移因永営衛易益液演応往桜可仮価河過賀快解格確額刊幹慣眼紀基寄規喜技義逆久旧救',
+            '居許境均禁句群型経潔件険検限現減故個護効厚耕航鉱構興講告混査再災妻採際在財罪殺雑',
+            '酸賛士支史志枝師資飼示似識質舎謝授修述術準序招証象賞条状常情織職制性政勢精製税責',
+            '績接設絶祖素総造像増則測属率損貸態団断築貯張停提程適統堂銅導得徳毒独任燃能破犯判',
+            '版比肥非費備評貧布婦富武復複仏粉編弁保墓報豊防貿暴脈務夢迷綿輸余容略留領歴'
+        ].join(''),
+        6: [
+            '胃異遺域宇映延沿恩我灰拡革閣割株干巻看簡危机揮貴疑吸供胸郷勤筋系敬警劇激穴券絹権',
+            '憲源厳己呼誤后孝皇紅降鋼刻穀骨困砂座済裁策冊蚕至私姿視詞誌磁射捨尺若樹収宗就衆従',
+            '縦縮熟純処署諸除承将傷障城蒸針仁垂推寸盛聖誠舌宣専泉洗染銭善奏窓創装層操蔵臓存尊',
+            '退宅担探誕段暖値宙忠著庁頂腸潮賃痛敵展討党糖届難乳認納脳派拝背肺俳班晩否批秘俵腹',
+            '奮並陛閉片補暮宝訪亡忘棒枚幕密盟模訳郵優預幼欲翌乱卵覧裏律臨朗論'
+        ].join(''),
+        8: [
+            '亜哀挨曖握扱宛嵐依威為畏尉萎偉椅彙違維慰緯壱逸芋咽姻淫陰隠韻唄鬱畝浦詠影鋭疫悦越',
+            '謁閲炎怨宴援煙猿鉛縁艶汚凹押旺欧殴翁奥憶臆虞乙俺卸穏佳苛架華菓渦嫁暇禍靴寡箇稼蚊',
+            '牙瓦雅餓介戒怪拐悔皆塊楷潰壊懐諧劾崖涯慨蓋該概骸垣柿核殻郭較隔獲嚇穫岳顎掛括喝渇',
+            '葛滑褐轄且釜鎌刈甘汗缶肝冠陥乾勘患貫喚堪換敢棺款閑勧寛歓監緩憾還環韓艦鑑含玩頑企',
+            '伎忌奇祈軌既飢鬼亀幾棋棄毀畿輝騎宜偽欺儀戯擬犠菊吉喫詰却脚虐及丘朽臼糾嗅窮巨拒拠',
+            '虚距御凶叫狂享況峡挟狭恐恭脅矯響驚仰暁凝巾斤菌琴僅緊錦謹襟吟駆惧愚偶遇隅串屈掘窟',
+            '繰勲薫刑茎契恵啓掲渓蛍傾携継詣慶憬稽憩鶏迎鯨隙撃桁傑肩倹兼剣拳軒圏堅嫌献遣賢謙鍵',
+            '繭顕懸幻玄弦舷股虎孤弧枯雇誇鼓錮顧互呉娯悟碁勾孔巧甲江坑抗攻更拘肯侯恒洪荒郊貢控',
+            '梗喉慌硬絞項溝綱酵稿衡購乞拷剛傲豪克酷獄駒込頃昆恨婚痕紺魂墾懇沙唆詐鎖挫采砕宰栽',
+            '彩斎債催塞歳載剤削柵索酢搾錯咲刹拶撮擦桟惨傘斬暫旨伺刺祉肢施恣脂紫嗣雌摯賜諮侍慈',
+            '餌璽軸𠮟疾執湿嫉漆芝赦斜煮遮邪蛇酌釈爵寂朱狩殊珠腫趣寿呪需儒囚舟秀臭袖羞愁酬醜蹴',
+            '襲汁充柔渋銃獣叔淑粛塾俊瞬旬巡盾准殉循潤遵庶緒如叙徐升召匠床抄肖尚昇沼宵症祥称渉',
+            '紹訟掌晶焦硝粧詔奨詳彰憧衝償礁鐘丈冗浄剰畳壌嬢錠譲醸拭殖飾触嘱辱尻伸芯辛侵津唇娠',
+            '振浸紳診寝慎審震薪刃尽迅甚陣尋腎須吹炊帥粋衰酔遂睡穂随髄枢崇据杉裾瀬是姓征斉牲凄',
+            '逝婿誓請醒斥析脊隻惜戚跡籍拙窃摂仙占扇栓旋煎羨腺詮践箋潜遷薦繊鮮禅漸膳繕狙阻租措',
+            '粗疎訴塑遡礎双壮荘捜挿桑掃曹曽爽喪痩葬僧遭槽踪燥霜騒藻憎贈即促捉俗賊遜汰妥唾堕惰',
+            '駄耐怠胎泰堆袋逮替滞戴滝択沢卓拓託濯諾濁但脱奪棚誰丹旦胆淡嘆端綻鍛弾壇恥致遅痴稚',
+            '緻畜逐蓄秩窒嫡抽衷酎鋳駐弔挑彫眺釣貼超跳徴嘲澄聴懲勅捗沈珍朕陳鎮椎墜塚漬坪爪鶴呈',
+            '廷抵邸亭貞帝訂逓偵堤艇締諦泥摘滴溺迭哲徹撤添塡殿斗吐妬途渡塗賭奴怒到逃倒凍唐桃透',
+            '悼盗陶塔搭棟痘筒稲踏謄藤闘騰洞胴瞳峠匿督篤凸突屯豚頓貪鈍曇丼那謎鍋軟尼弐匂虹尿妊',
+            '忍寧捻粘悩濃把覇婆罵杯排廃輩培陪媒賠伯拍泊迫剝舶薄漠縛爆箸肌鉢髪伐抜罰閥氾帆汎伴',
+            '畔般販斑搬煩頒範繁藩蛮盤妃彼披卑疲被扉碑罷避尾眉微膝肘匹泌姫漂苗描猫浜賓頻敏瓶扶',
+            '怖附訃赴浮符普腐敷膚賦譜侮舞封伏幅覆払沸紛雰噴墳憤丙併柄塀幣弊蔽餅壁璧癖蔑偏遍哺',
+            '捕舗募慕簿芳邦奉抱泡胞俸倣峰砲崩蜂飽褒縫乏忙坊妨房肪某冒剖紡傍帽貌膨謀頰朴睦僕墨',
+            '撲没勃堀奔翻凡盆麻摩磨魔昧埋膜枕又抹慢漫魅岬蜜妙眠矛霧娘冥銘滅免麺茂妄盲耗猛網黙',
+            '紋冶弥厄躍闇喩愉諭癒唯幽悠湧猶裕雄誘憂融与誉妖庸揚揺溶腰瘍踊窯擁謡抑沃翼拉裸羅雷',
+            '頼絡酪辣濫藍欄吏痢履璃離慄柳竜粒隆硫侶虜慮了涼猟陵僚寮療瞭糧厘倫隣瑠涙累塁励戻鈴',
+            '零霊隷齢麗暦劣烈裂恋廉錬呂炉賂露弄郎浪廊楼漏籠麓賄脇惑枠湾腕'
+        ].join('')
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KANJI_PRESETS;
+}
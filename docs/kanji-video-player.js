@@ -0,0 +1,327 @@
+/**
+ * <kanji-video-player> custom element: the whole player (video, furigana subtitles, transcript and settings)
+ * in a shadow root, for embedding in other pages served from the same site as the player:
+ *
+ *     <script src="/kanji/kanji-video-player.js"></script>
+ *     <kanji-video-player src="episode1.mp4" subtitles="episode1.ja.srt" reading-mode="furigana"></kanji-video-player>
+ *
+ * Attributes:
+ *   src, subtitles, translation - URLs of the video and subtitle files, loaded again when they change
+ *   reading-mode - furigana, okurigana, normal, spaced or hidden
+ *   dict-path, dictionary-path, accent-path, library-source - see config.js; relative paths are relative to
+ *     the player's directory, and PLAYER_CONFIG gives the defaults when the page has one
+ *   shortcuts - "document" to take the single-key shortcuts from the whole page; by default the player
+ *     only reacts while it has the focus
+ *
+ * The element fires the VideoPlayer's ready, cuechange and error events, with the same details.
+ */
+
+// Directory the player is served from: its scripts, markup, worker and dictionaries are found from there
+const KANJI_PLAYER_BASE = new URL('.', document.currentScript.src).href;
+
+// Kuroshiro builds for each librarySource; the versions match package.json
+const LIBRARY_SOURCES = {
+    local: [
+        'lib/kuroshiro.min.js',
+        'lib/kuroshiro-analyzer-kuromoji.min.js'
+    ],
+    cdn: [
+        'https://unpkg.com/kuroshiro@1.1.2/dist/kuroshiro.min.js',
+        'https://unpkg.com/kuroshiro-analyzer-kuromoji@1.1.0/dist/kuroshiro-analyzer-kuromoji.min.js'
+    ]
+};
+
+// Player scripts, in dependency order
+const PLAYER_SCRIPTS = [
+    'subtitle-markup.js',
+    'subtitle-parser.js',
+    'kanji-presets.js',
+    'known-kanji.js',
+    'user-dictionary.js',
+    'pitch-accent.js',
+    'token-overlay.js',
+    'comprehension-report.js',
+    'subtitle-renderer.js',
+    'furigana-annotator.js',
+    'dictionary.js',
+    'player-database.js',
+    'session-store.js',
+    'vocabulary-deck.js',
+    'study-mode.js',
+    'transcript-panel.js',
+    'mkv-demuxer.js',
+    'worker-analyzer.js',
+    'native-tracks.js',
+    'video-player.js'
+];
+
+// Settings used when neither the attributes nor PLAYER_CONFIG give them
+const DEFAULT_PLAYER_CONFIG = {
+    librarySource: 'local',
+    dictPath: 'kuromoji/dict/',
+    dictionaryPath: 'jmdict/jmdict-eng.json',
+    accentPath: 'accent/accents.json'
+};
+
+// Scripts and markup are loaded once for every player on the page
+let playerScripts = null;
+let playerMarkup = null;
+
+/**
+ * Load a classic script
+ * @param {string} src - Script URL
+ * @returns {Promise<void>} - Resolves once the script has run
+ */
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Resolve a path against the player's directory. Same-origin URLs are kept root-relative:
+ * kuromoji joins its dictionary file names with path.join, which would break "https://".
+ * @param {string} path - Path relative to the player's directory, or an absolute URL
+ * @returns {string} - Resolved URL
+ */
+function resolvePlayerUrl(path) {
+    const url = new URL(path, KANJI_PLAYER_BASE);
+    return url.origin === location.origin ? url.pathname + url.search : url.href;
+}
+
+/**
+ * Load the Kuroshiro libraries, then the player scripts. The player reports missing libraries
+ * itself, so the player scripts are loaded even if Kuroshiro failed to load. The first player
+ * on the page picks the library source.
+ * @param {string} librarySource - Key of LIBRARY_SOURCES
+ * @returns {Promise<void>} - Resolves once every script has run
+ */
+function loadPlayerScripts(librarySource) {
+    if (!playerScripts) {
+        playerScripts = (async () => {
+            try {
+                for (const src of LIBRARY_SOURCES[librarySource] || LIBRARY_SOURCES.local) {
+                    await loadScript(resolvePlayerUrl(src));
+                }
+            } catch (error) {
+                console.error("Error loading Kuroshiro:", error);
+            }
+            
+            for (const src of PLAYER_SCRIPTS) {
+                await loadScript(resolvePlayerUrl(src));
+            }
+        })();
+    }
+    return playerScripts;
+}
+
+/**
+ * Fetch the player's style sheet and markup
+ * @returns {Promise<string>} - HTML for the shadow root
+ */
+function loadPlayerMarkup() {
+    if (!playerMarkup) {
+        const fetchText = async (path) => {
+            const response = await fetch(resolvePlayerUrl(path));
+            if (!response.ok) throw new Error(`Failed to load ${path}: HTTP ${response.status}`);
+            return response.text();
+        };
+        playerMarkup = Promise.all([fetchText('player.css'), fetchText('player.html')])
+            .then(([css, html]) => `<style>${css}</style>${html}`);
+    }
+    return playerMarkup;
+}
+
+class KanjiVideoPlayer extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'subtitles', 'translation', 'reading-mode'];
+    }
+    
+    constructor() {
+        super();
+        this.player = null;
+        this.started = null;
+    }
+    
+    connectedCallback() {
+        if (!this.started) {
+            this.started = this.start();
+            // Reported as an error event; method calls waiting for the player get the rejection
+            this.started.catch(() => {});
+        }
+    }
+    
+    attributeChangedCallback(name, oldValue, value) {
+        // Attributes present at start-up are applied once the player exists
+        if (this.player && oldValue !== value && value !== null) {
+            this.applyAttribute(name, value);
+        }
+    }
+    
+    /**
+     * Load the scripts and markup, create the VideoPlayer in the shadow root and apply the attributes
+     * @returns {Promise<VideoPlayer>} - The player
+     */
+    async start() {
+        const config = this.playerConfig();
+        let root;
+        
+        try {
+            const [markup] = await Promise.all([loadPlayerMarkup(), loadPlayerScripts(config.librarySource)]);
+            root = this.attachShadow({ mode: 'open' });
+            root.innerHTML = markup;
+        } catch (error) {
+            console.error("Error loading the player:", error);
+            this.dispatchEvent(new CustomEvent('error', { detail: { message: "Error loading the player: " + error.message, error: error } }));
+            throw error;
+        }
+        
+        let keyTarget = document;
+        if (this.getAttribute('shortcuts') !== 'document') {
+            keyTarget = this;
+            if (!this.hasAttribute('tabindex')) this.tabIndex = 0;
+        }
+        
+        this.player = new VideoPlayer(Object.assign(config, { root: root, keyTarget: keyTarget }));
+        for (const type of ['ready', 'cuechange', 'error']) {
+            this.player.addEventListener(type, (e) => this.dispatchEvent(new CustomEvent(type, { detail: e.detail })));
+        }
+        this.player.start();
+        
+        for (const name of KanjiVideoPlayer.observedAttributes) {
+            if (this.hasAttribute(name)) {
+                this.applyAttribute(name, this.getAttribute(name));
+            }
+        }
+        return this.player;
+    }
+    
+    /**
+     * Player settings: PLAYER_CONFIG if the page has one, overridden by the attributes,
+     * with every path resolved against the player's directory
+     * @returns {object} - VideoPlayer config
+     */
+    playerConfig() {
+        const config = Object.assign({}, DEFAULT_PLAYER_CONFIG, typeof PLAYER_CONFIG !== 'undefined' ? PLAYER_CONFIG : {});
+        for (const [attribute, option] of Object.entries(KanjiVideoPlayer.CONFIG_ATTRIBUTES)) {
+            if (this.hasAttribute(attribute)) {
+                config[option] = this.getAttribute(attribute);
+            }
+        }
+        
+        const sources = LIBRARY_SOURCES[config.librarySource] || LIBRARY_SOURCES.local;
+        return Object.assign(config, {
+            dictPath: resolvePlayerUrl(config.dictPath),
+            dictionaryPath: resolvePlayerUrl(config.dictionaryPath),
+            accentPath: resolvePlayerUrl(config.accentPath),
+            workerScript: resolvePlayerUrl('analyzer-worker.js'),
+            // The analyzer worker loads the analyzer build itself, from the same source
+            analyzerScript: resolvePlayerUrl(sources[1])
+        });
+    }
+    
+    /**
+     * Act on a content attribute; failures are reported as error events
+     * @param {string} name - Attribute name, one of observedAttributes
+     * @param {string} value - Attribute value
+     */
+    applyAttribute(name, value) {
+        const actions = {
+            'src': () => this.loadVideo(value),
+            'subtitles': () => this.loadSubtitles(value),
+            'translation': () => this.loadTranslation(value),
+            'reading-mode': () => this.setReadingMode(value)
+        };
+        actions[name]().catch(error => this.player.reportError(`Could not apply ${name}="${value}"`, error));
+    }
+    
+    /**
+     * Play a video
+     * @param {File|Blob|string} source - Video file or URL
+     * @returns {Promise<void>} - Resolves once the video is set
+     */
+    async loadVideo(source) {
+        const player = await this.started;
+        player.loadVideo(source);
+    }
+    
+    /**
+     * Load the Japanese subtitles
+     * @param {File|Blob|string} source - Subtitle file or URL
+     * @param {string} [fileName] - Name used to detect the format, by default the file's or URL's name
+     * @returns {Promise<void>} - Resolves once the file is parsed
+     */
+    async loadSubtitles(source, fileName) {
+        const player = await this.started;
+        const file = await KanjiVideoPlayer.readText(source, fileName);
+        player.loadSubtitles(file.content, file.name);
+    }
+    
+    /**
+     * Load the translation subtitles
+     * @param {File|Blob|string} source - Subtitle file or URL
+     * @param {string} [fileName] - Name used to detect the format, by default the file's or URL's name
+     * @returns {Promise<void>} - Resolves once the file is parsed
+     */
+    async loadTranslation(source, fileName) {
+        const player = await this.started;
+        const file = await KanjiVideoPlayer.readText(source, fileName);
+        player.loadTranslation(file.content, file.name);
+    }
+    
+    /**
+     * Seek to the start of a Japanese cue
+     * @param {number|object} cue - Cue index or subtitle object
+     * @returns {Promise<void>} - Resolves once the seek has started
+     */
+    async seekToCue(cue) {
+        const player = await this.started;
+        player.seekToCue(cue);
+    }
+    
+    /**
+     * Change how readings are shown
+     * @param {string} mode - furigana, okurigana, normal, spaced or hidden
+     * @param {object} [options] - Reading options, see VideoPlayer.setReadingMode()
+     * @returns {Promise<void>} - Resolves once the setting is applied
+     */
+    async setReadingMode(mode, options) {
+        const player = await this.started;
+        player.setReadingMode(mode, options);
+    }
+    
+    /**
+     * Read a subtitle file, or download it
+     * @param {File|Blob|string} source - File or URL, relative to the page
+     * @param {string} [fileName] - Name to report
+     * @returns {Promise<object>} - {content, name}
+     */
+    static async readText(source, fileName) {
+        if (typeof source !== 'string') {
+            return { content: await source.text(), name: fileName || source.name || '' };
+        }
+        
+        const url = new URL(source, document.baseURI);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${source}: HTTP ${response.status}`);
+        }
+        return { content: await response.text(), name: fileName || decodeURIComponent(url.pathname.split('/').pop()) };
+    }
+}
+
+// Attributes that override PLAYER_CONFIG settings
+KanjiVideoPlayer.CONFIG_ATTRIBUTES = {
+    'dict-path': 'dictPath',
+    'dictionary-path': 'dictionaryPath',
+    'accent-path': 'accentPath',
+    'library-source': 'librarySource'
+};
+
+if (!customElements.get('kanji-video-player')) {
+    customElements.define('kanji-video-player', KanjiVideoPlayer);
+}
@@ -0,0 +1,147 @@
+/**
+ * The user's list of known kanji, persisted in localStorage when it is available (not in Node)
+ */
+class KnownKanji {
+    /**
+     * @param {string} [storageKey] - localStorage key for the list
+     */
+    constructor(storageKey = 'kanjiVideoPlayer.knownKanji') {
+        this.storageKey = storageKey;
+        this.kanji = new Set();
+        this.load();
+    }
+    
+    /**
+     * Load the list from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            this.kanji = new Set(KnownKanji.extractKanji(localStorage.getItem(this.storageKey) || ''));
+        } catch (error) {
+            console.error("Error reading known kanji:", error);
+            this.kanji = new Set();
+        }
+    }
+    
+    /**
+     * Save the list to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            localStorage.setItem(this.storageKey, Array.from(this.kanji).join(''));
+        } catch (error) {
+            console.error("Error saving known kanji:", error);
+        }
+    }
+    
+    /**
+     * Number of known kanji
+     * @returns {number} - List size
+     */
+    get size() {
+        return this.kanji.size;
+    }
+    
+    /**
+     * Check whether every kanji in a word is known
+     * @param {string} word - Surface form of a word
+     * @returns {boolean} - True if the word has no unknown kanji
+     */
+    isKnownWord(word) {
+        return KnownKanji.extractKanji(word).every(kanji => this.kanji.has(kanji));
+    }
+    
+    /**
+     * Replace the list with a built-in preset
+     * @param {string} presetId - Preset id from KnownKanji.PRESETS
+     */
+    usePreset(presetId) {
+        this.kanji = new Set(KnownKanji.presetKanji(presetId));
+        this.save();
+    }
+    
+    /**
+     * Add every kanji found in imported text (one per line, a word list, or any prose)
+     * @param {string} text - Imported file content
+     * @returns {number} - Number of kanji that were not known before
+     */
+    importText(text) {
+        const before = this.kanji.size;
+        for (const kanji of KnownKanji.extractKanji(text)) {
+            this.kanji.add(kanji);
+        }
+        this.save();
+        return this.kanji.size - before;
+    }
+    
+    /**
+     * Forget every known kanji
+     */
+    clear() {
+        this.kanji = new Set();
+        this.save();
+    }
+    
+    /**
+     * Collect the kanji characters in a string. The iteration mark 々 repeats
+     * the previous kanji, so it never counts as a kanji of its own. Kanji outside the Basic
+     * Multilingual Plane, such as the Jōyō kanji 𠮟, are kept whole.
+     * @param {string} text - Any text
+     * @returns {Array} - Kanji characters in order of appearance
+     */
+    static extractKanji(text) {
+        return text.match(/[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\u{20000}-\u{2FA1F}\u{30000}-\u{323AF}]/gu) || [];
+    }
+    
+    /**
+     * Kanji in a preset, including every lower level
+     * @param {string} presetId - Preset id such as 'jlpt-n3' or 'grade-2'
+     * @returns {Array} - Kanji characters
+     */
+    static presetKanji(presetId) {
+        const [group, level] = presetId.split('-');
+        
+        // A page global in the browser, a module in Node
+        const presets = typeof KANJI_PRESETS !== 'undefined' ? KANJI_PRESETS : require('./kanji-presets.js');
+        
+        if (group === 'jlpt') {
+            const levels = ['n5', 'n4', 'n3', 'n2', 'n1'];
+            return KnownKanji.extractKanji(levels.slice(0, levels.indexOf(level) + 1)
+                .map(name => presets.jlpt[name])
+                .join(''));
+        }
+        
+        if (group === 'grade' || group === 'joyo') {
+            const maxGrade = group === 'joyo' ? 8 : parseInt(level, 10);
+            return KnownKanji.extractKanji(Object.keys(presets.grades)
+                .filter(grade => parseInt(grade, 10) <= maxGrade)
+                .map(grade => presets.grades[grade])
+                .join(''));
+        }
+        
+        throw new Error(`Unknown known-kanji preset: ${presetId}`);
+    }
+}
+
+KnownKanji.PRESETS = [
+    { id: 'jlpt-n5', label: 'JLPT N5' },
+    { id: 'jlpt-n4', label: 'JLPT N4' },
+    { id: 'jlpt-n3', label: 'JLPT N3' },
+    { id: 'jlpt-n2', label: 'JLPT N2' },
+    { id: 'jlpt-n1', label: 'JLPT N1' },
+    { id: 'grade-1', label: 'Jōyō grade 1' },
+    { id: 'grade-2', label: 'Jōyō grade 2' },
+    { id: 'grade-3', label: 'Jōyō grade 3' },
+    { id: 'grade-4', label: 'Jōyō grade 4' },
+    { id: 'grade-5', label: 'Jōyō grade 5' },
+    { id: 'grade-6', label: 'Jōyō grade 6' },
+    { id: 'joyo', label: 'All Jōyō kanji' }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KnownKanji;
+}
@@ -0,0 +1,623 @@
+/**
+ * Minimal EBML/Matroska demuxer that extracts text subtitle tracks from MKV files
+ */
+class MkvDemuxer {
+    /**
+     * @param {Blob} file - Matroska file (a File from an <input> works)
+     */
+    constructor(file) {
+        this.file = file;
+        this.timecodeScale = 1000000; // Nanoseconds per timecode unit (Matroska default)
+        this.tracks = [];
+        this.segmentStart = 0;
+        this.segmentEnd = 0;
+        this.textDecoder = new TextDecoder('utf-8');
+        
+        // Read window so element headers and small blocks don't each hit the file
+        this.windowStart = 0;
+        this.windowBytes = new Uint8Array(0);
+    }
+    
+    /**
+     * Check the EBML magic number at the start of the file
+     * @returns {Promise<boolean>} - True if the file looks like Matroska/WebM
+     */
+    async isMatroska() {
+        const bytes = await this.read(0, 4);
+        return bytes.length === 4 && this.readUInt(bytes, 0, 4) === MkvDemuxer.IDS.EBML;
+    }
+    
+    /**
+     * List the text subtitle tracks in the file
+     * @returns {Promise<Array>} - Tracks with number, codecId, format ('srt'|'ass'|'vtt'), name, language and codecPrivate
+     */
+    async readTracks() {
+        if (!(await this.isMatroska())) {
+            throw new Error("Not a Matroska file");
+        }
+        
+        const ebmlHeader = await this.readElementHeader(0);
+        const segment = await this.readElementHeader(ebmlHeader.end);
+        if (segment.id !== MkvDemuxer.IDS.SEGMENT) {
+            throw new Error("Matroska segment not found");
+        }
+        
+        this.segmentStart = segment.dataOffset;
+        this.segmentEnd = segment.unknownSize ? this.file.size : Math.min(segment.end, this.file.size);
+        this.tracks = [];
+        
+        // Info and Tracks come before the first cluster in files written by common muxers
+        let offset = this.segmentStart;
+        while (offset < this.segmentEnd) {
+            const element = await this.readElementHeader(offset);
+            if (!element || element.id === MkvDemuxer.IDS.CLUSTER) break;
+            
+            if (element.id === MkvDemuxer.IDS.INFO) {
+                this.parseInfo(await this.read(element.dataOffset, element.size));
+            } else if (element.id === MkvDemuxer.IDS.TRACKS) {
+                this.tracks = this.parseTracks(await this.read(element.dataOffset, element.size));
+            }
+            
+            if (element.unknownSize) break;
+            offset = element.end;
+        }
+        
+        this.firstClusterOffset = offset;
+        return this.tracks;
+    }
+    
+    /**
+     * Extract a subtitle track and rebuild it as a standalone subtitle file
+     * @param {object} track - Track from readTracks()
+     * @param {Function} [onProgress] - Called with a 0..1 fraction while clusters are scanned
+     * @returns {Promise<string>} - SRT, ASS or WebVTT file content, depending on track.format
+     */
+    async extractSubtitles(track, onProgress) {
+        if (!this.tracks.length) {
+            await this.readTracks();
+        }
+        
+        const blocks = [];
+        let offset = this.firstClusterOffset;
+        
+        while (offset < this.segmentEnd) {
+            const element = await this.readElementHeader(offset);
+            if (!element) break;
+            
+            if (element.id === MkvDemuxer.IDS.CLUSTER) {
+                offset = await this.readCluster(element, track, blocks);
+                if (onProgress) onProgress(offset / this.segmentEnd);
+            } else {
+                if (element.unknownSize) break;
+                offset = element.end;
+            }
+        }
+        
+        blocks.sort((a, b) => a.start - b.start);
+        
+        // Blocks without a duration run until the next block, capped to a readable length
+        blocks.forEach((block, i) => {
+            if (block.end === null) {
+                const next = blocks[i + 1];
+                block.end = next ? Math.min(next.start, block.start + 5000) : block.start + 5000;
+            }
+        });
+        
+        switch (track.format) {
+            case 'ass':
+                return this.buildASS(track, blocks);
+            case 'vtt':
+                return this.buildVTT(track, blocks);
+            default:
+                return this.buildSRT(blocks);
+        }
+    }
+    
+    /**
+     * Walk the children of a cluster, collecting blocks that belong to the given track.
+     * Block payloads of other tracks (video/audio) are skipped without being read.
+     * @param {object} cluster - Cluster element header
+     * @param {object} track - Subtitle track
+     * @param {Array} blocks - Output array of {start, end, text}
+     * @returns {Promise<number>} - Offset of the element following the cluster
+     */
+    async readCluster(cluster, track, blocks) {
+        const end = cluster.unknownSize ? this.segmentEnd : cluster.end;
+        let clusterTimecode = 0;
+        let offset = cluster.dataOffset;
+        
+        while (offset < end) {
+            const element = await this.readElementHeader(offset);
+            if (!element) return end;
+            
+            // A cluster with unknown size ends where the next top-level element starts
+            if (cluster.unknownSize && MkvDemuxer.TOP_LEVEL_IDS.includes(element.id)) {
+                return offset;
+            }
+            
+            if (element.id === MkvDemuxer.IDS.TIMECODE) {
+                clusterTimecode = this.readUInt(await this.read(element.dataOffset, element.size), 0, element.size);
+            } else if (element.id === MkvDemuxer.IDS.SIMPLE_BLOCK) {
+                const header = await this.read(element.dataOffset, Math.min(element.size, 8));
+                if (this.readVint(header, 0).value === track.number) {
+                    const block = await this.read(element.dataOffset, element.size);
+                    await this.collectBlock(block, null, clusterTimecode, track, blocks);
+                }
+            } else if (element.id === MkvDemuxer.IDS.BLOCK_GROUP) {
+                await this.readBlockGroup(element, clusterTimecode, track, blocks);
+            }
+            
+            offset = element.end;
+        }
+        
+        return end;
+    }
+    
+    /**
+     * Read a BlockGroup, which carries the block plus its duration
+     * @param {object} group - BlockGroup element header
+     * @param {number} clusterTimecode - Timecode of the enclosing cluster
+     * @param {object} track - Subtitle track
+     * @param {Array} blocks - Output array
+     */
+    async readBlockGroup(group, clusterTimecode, track, blocks) {
+        let block = null;
+        let duration = null;
+        let offset = group.dataOffset;
+        
+        while (offset < group.end) {
+            const element = await this.readElementHeader(offset);
+            if (!element) break;
+            
+            if (element.id === MkvDemuxer.IDS.BLOCK) {
+                const header = await this.read(element.dataOffset, Math.min(element.size, 8));
+                if (this.readVint(header, 0).value !== track.number) return;
+                block = await this.read(element.dataOffset, element.size);
+            } else if (element.id === MkvDemuxer.IDS.BLOCK_DURATION) {
+                duration = this.readUInt(await this.read(element.dataOffset, element.size), 0, element.size);
+            }
+            
+            offset = element.end;
+        }
+        
+        if (block) {
+            await this.collectBlock(block, duration, clusterTimecode, track, blocks);
+        }
+    }
+    
+    /**
+     * Decode a Block/SimpleBlock payload into a timed text entry
+     * @param {Uint8Array} block - Block data
+     * @param {number|null} duration - BlockDuration in timecode units, if known
+     * @param {number} clusterTimecode - Timecode of the enclosing cluster
+     * @param {object} track - Subtitle track
+     * @param {Array} blocks - Output array
+     */
+    async collectBlock(block, duration, clusterTimecode, track, blocks) {
+        const trackNumber = this.readVint(block, 0);
+        const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+        const relativeTimecode = view.getInt16(trackNumber.length);
+        const flags = block[trackNumber.length + 2];
+        
+        // Text subtitles are never laced; ignore anything that is
+        if (flags & 0x06) return;
+        
+        let payload = block.subarray(trackNumber.length + 3);
+        payload = await this.decodeContent(payload, track);
+        
+        const scale = this.timecodeScale / 1000000;
+        const start = Math.round((clusterTimecode + relativeTimecode) * scale);
+        let end = null;
+        if (duration !== null) {
+            end = start + Math.round(duration * scale);
+        } else if (track.defaultDuration) {
+            end = start + Math.round(track.defaultDuration / 1000000);
+        }
+        
+        blocks.push({
+            start: start,
+            end: end,
+            text: this.textDecoder.decode(payload).replace(/\0+$/, '')
+        });
+    }
+    
+    /**
+     * Undo track content compression (header stripping or zlib)
+     * @param {Uint8Array} payload - Block payload
+     * @param {object} track - Subtitle track
+     * @returns {Promise<Uint8Array>} - Decoded payload
+     */
+    async decodeContent(payload, track) {
+        if (!track.compression) return payload;
+        
+        if (track.compression.algorithm === 3) {
+            const settings = track.compression.settings || new Uint8Array(0);
+            const joined = new Uint8Array(settings.length + payload.length);
+            joined.set(settings, 0);
+            joined.set(payload, settings.length);
+            return joined;
+        }
+        
+        if (track.compression.algorithm === 0) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error("This browser cannot decompress zlib-compressed subtitle tracks");
+            }
+            const stream = new Blob([payload]).stream().pipeThrough(new DecompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        
+        throw new Error(`Unsupported subtitle compression (algorithm ${track.compression.algorithm})`);
+    }
+    
+    /**
+     * Parse the segment Info element
+     * @param {Uint8Array} data - Info element data
+     */
+    parseInfo(data) {
+        for (const child of this.children(data)) {
+            if (child.id === MkvDemuxer.IDS.TIMECODE_SCALE) {
+                this.timecodeScale = this.readUInt(data, child.dataOffset, child.size);
+            }
+        }
+    }
+    
+    /**
+     * Parse the Tracks element, keeping only text subtitle tracks
+     * @param {Uint8Array} data - Tracks element data
+     * @returns {Array} - Subtitle tracks
+     */
+    parseTracks(data) {
+        const tracks = [];
+        
+        for (const entry of this.children(data)) {
+            if (entry.id !== MkvDemuxer.IDS.TRACK_ENTRY) continue;
+            
+            const entryData = data.subarray(entry.dataOffset, entry.end);
+            const track = { number: 0, type: 0, codecId: '', name: '', language: 'eng', codecPrivate: '', defaultDuration: 0, compression: null };
+            
+            for (const child of this.children(entryData)) {
+                const value = entryData.subarray(child.dataOffset, child.end);
+                
+                switch (child.id) {
+                    case MkvDemuxer.IDS.TRACK_NUMBER:
+                        track.number = this.readUInt(value, 0, value.length);
+                        break;
+                    case MkvDemuxer.IDS.TRACK_TYPE:
+                        track.type = this.readUInt(value, 0, value.length);
+                        break;
+                    case MkvDemuxer.IDS.CODEC_ID:
+                        track.codecId = this.readString(value);
+                        break;
+                    case MkvDemuxer.IDS.CODEC_PRIVATE:
+                        track.codecPrivate = this.textDecoder.decode(value);
+                        break;
+                    case MkvDemuxer.IDS.NAME:
+                        track.name = this.textDecoder.decode(value);
+                        break;
+                    case MkvDemuxer.IDS.LANGUAGE:
+                    case MkvDemuxer.IDS.LANGUAGE_IETF:
+                        track.language = this.readString(value);
+                        break;
+                    case MkvDemuxer.IDS.DEFAULT_DURATION:
+                        track.defaultDuration = this.readUInt(value, 0, value.length);
+                        break;
+                    case MkvDemuxer.IDS.CONTENT_ENCODINGS:
+                        track.compression = this.parseContentEncodings(value);
+                        break;
+                }
+            }
+            
+            track.format = MkvDemuxer.TEXT_CODECS[track.codecId];
+            if (track.type === MkvDemuxer.SUBTITLE_TRACK_TYPE && track.format) {
+                tracks.push(track);
+            }
+        }
+        
+        return tracks;
+    }
+    
+    /**
+     * Find the compression settings inside ContentEncodings
+     * @param {Uint8Array} data - ContentEncodings element data
+     * @returns {object|null} - {algorithm, settings} or null if the content is not compressed
+     */
+    parseContentEncodings(data) {
+        for (const encoding of this.children(data)) {
+            const encodingData = data.subarray(encoding.dataOffset, encoding.end);
+            
+            for (const child of this.children(encodingData)) {
+                if (child.id !== MkvDemuxer.IDS.CONTENT_COMPRESSION) continue;
+                
+                const compressionData = encodingData.subarray(child.dataOffset, child.end);
+                const compression = { algorithm: 0, settings: null };
+                
+                for (const field of this.children(compressionData)) {
+                    const value = compressionData.subarray(field.dataOffset, field.end);
+                    if (field.id === MkvDemuxer.IDS.CONTENT_COMP_ALGO) {
+                        compression.algorithm = this.readUInt(value, 0, value.length);
+                    } else if (field.id === MkvDemuxer.IDS.CONTENT_COMP_SETTINGS) {
+                        compression.settings = value;
+                    }
+                }
+                
+                return compression;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Rebuild an SRT file from extracted blocks
+     * @param {Array} blocks - Timed text entries
+     * @returns {string} - SRT content
+     */
+    buildSRT(blocks) {
+        return blocks.map((block, i) =>
+            `${i + 1}\n${this.formatTime(block.start, ',')} --> ${this.formatTime(block.end, ',')}\n${block.text.replace(/\r\n|\r/g, '\n')}\n`
+        ).join('\n');
+    }
+    
+    /**
+     * Rebuild a WebVTT file from the track header and extracted blocks
+     * @param {object} track - Subtitle track
+     * @param {Array} blocks - Timed text entries
+     * @returns {string} - WebVTT content
+     */
+    buildVTT(track, blocks) {
+        const header = track.codecPrivate.trim() || 'WEBVTT';
+        const cues = blocks.map(block =>
+            `${this.formatTime(block.start, '.')} --> ${this.formatTime(block.end, '.')}\n${block.text.replace(/\r\n|\r/g, '\n')}\n`
+        );
+        
+        return [header + '\n'].concat(cues).join('\n');
+    }
+    
+    /**
+     * Rebuild an ASS file from the track header and extracted blocks.
+     * Matroska stores ASS events as "ReadOrder, Layer, Style, Name, MarginL, MarginR, MarginV, Effect, Text".
+     * @param {object} track - Subtitle track
+     * @param {Array} blocks - Timed text entries
+     * @returns {string} - ASS content
+     */
+    buildASS(track, blocks) {
+        // Drop any [Events] section in the header; we write our own with a known field order
+        const header = track.codecPrivate.split(/^\[Events\]/im)[0].trim();
+        const lines = [
+            header,
+            '',
+            '[Events]',
+            'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+        ];
+        
+        for (const block of blocks) {
+            const fields = block.text.split(',');
+            if (fields.length < 9) continue;
+            
+            const layer = fields[1] || '0';
+            lines.push(`Dialogue: ${layer},${this.formatASSTime(block.start)},${this.formatASSTime(block.end)},${fields.slice(2).join(',')}`);
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Format milliseconds as HH:MM:SS<sep>mmm
+     * @param {number} ms - Milliseconds
+     * @param {string} separator - ',' for SRT, '.' for WebVTT
+     * @returns {string} - Timestamp
+     */
+    formatTime(ms, separator) {
+        const pad = (value, length) => String(value).padStart(length, '0');
+        const hours = Math.floor(ms / 3600000);
+        const minutes = Math.floor(ms / 60000) % 60;
+        const seconds = Math.floor(ms / 1000) % 60;
+        
+        return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}${separator}${pad(ms % 1000, 3)}`;
+    }
+    
+    /**
+     * Format milliseconds as an ASS timestamp (H:MM:SS.cc)
+     * @param {number} ms - Milliseconds
+     * @returns {string} - Timestamp
+     */
+    formatASSTime(ms) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const centiseconds = Math.floor(ms / 10);
+        
+        return `${Math.floor(centiseconds / 360000)}:${pad(Math.floor(centiseconds / 6000) % 60)}:${pad(Math.floor(centiseconds / 100) % 60)}.${pad(centiseconds % 100)}`;
+    }
+    
+    /**
+     * Iterate the child elements of an in-memory master element
+     * @param {Uint8Array} data - Master element data
+     * @returns {Array} - Child element headers, offsets relative to data
+     */
+    children(data) {
+        const result = [];
+        let offset = 0;
+        
+        while (offset < data.length) {
+            const element = this.parseElementHeader(data, offset);
+            if (!element) break;
+            element.end = Math.min(element.end, data.length);
+            result.push(element);
+            offset = element.end;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Read an element header (ID and size) from the file
+     * @param {number} offset - File offset
+     * @returns {Promise<object|null>} - {id, size, dataOffset, end, unknownSize} or null at end of file
+     */
+    async readElementHeader(offset) {
+        const bytes = await this.read(offset, 12);
+        const element = this.parseElementHeader(bytes, 0);
+        if (!element) return null;
+        
+        element.dataOffset += offset;
+        element.end += offset;
+        return element;
+    }
+    
+    /**
+     * Parse an element header from a buffer
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} offset - Offset of the header in the buffer
+     * @returns {object|null} - {id, size, dataOffset, end, unknownSize} or null if truncated
+     */
+    parseElementHeader(bytes, offset) {
+        const id = this.readVint(bytes, offset, true);
+        if (!id) return null;
+        
+        const size = this.readVint(bytes, offset + id.length);
+        if (!size) return null;
+        
+        const dataOffset = offset + id.length + size.length;
+        return {
+            id: id.value,
+            size: size.unknown ? Infinity : size.value,
+            dataOffset: dataOffset,
+            end: size.unknown ? Infinity : dataOffset + size.value,
+            unknownSize: size.unknown
+        };
+    }
+    
+    /**
+     * Read an EBML variable-length integer
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} offset - Offset in the buffer
+     * @param {boolean} [keepMarker=false] - Keep the length marker bit (element IDs are written that way)
+     * @returns {object|null} - {value, length, unknown} or null if truncated/invalid
+     */
+    readVint(bytes, offset, keepMarker = false) {
+        if (offset >= bytes.length) return null;
+        
+        const first = bytes[offset];
+        let length = 1;
+        let mask = 0x80;
+        while (length <= 8 && !(first & mask)) {
+            length++;
+            mask >>= 1;
+        }
+        if (length > 8 || offset + length > bytes.length) return null;
+        
+        let value = keepMarker ? first : first & (mask - 1);
+        let allOnes = (first & (mask - 1)) === mask - 1;
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + bytes[offset + i];
+            if (bytes[offset + i] !== 0xFF) allOnes = false;
+        }
+        
+        return { value: value, length: length, unknown: !keepMarker && allOnes };
+    }
+    
+    /**
+     * Read a big-endian unsigned integer
+     * @param {Uint8Array} bytes - Buffer
+     * @param {number} offset - Offset in the buffer
+     * @param {number} length - Number of bytes
+     * @returns {number} - Value
+     */
+    readUInt(bytes, offset, length) {
+        let value = 0;
+        for (let i = 0; i < length; i++) {
+            value = value * 256 + bytes[offset + i];
+        }
+        return value;
+    }
+    
+    /**
+     * Read an ASCII string, dropping trailing NUL padding
+     * @param {Uint8Array} bytes - String bytes
+     * @returns {string} - String
+     */
+    readString(bytes) {
+        return String.fromCharCode.apply(null, bytes).replace(/\0+$/, '');
+    }
+    
+    /**
+     * Read bytes from the file through a small read-ahead window
+     * @param {number} offset - File offset
+     * @param {number} length - Number of bytes
+     * @returns {Promise<Uint8Array>} - Bytes (shorter than length at end of file)
+     */
+    async read(offset, length) {
+        const windowEnd = this.windowStart + this.windowBytes.length;
+        if (offset >= this.windowStart && offset + length <= windowEnd) {
+            return this.windowBytes.subarray(offset - this.windowStart, offset - this.windowStart + length);
+        }
+        
+        const end = Math.min(this.file.size, offset + Math.max(length, MkvDemuxer.READ_AHEAD));
+        const buffer = await this.file.slice(offset, end).arrayBuffer();
+        this.windowStart = offset;
+        this.windowBytes = new Uint8Array(buffer);
+        
+        return this.windowBytes.subarray(0, Math.min(length, this.windowBytes.length));
+    }
+}
+
+MkvDemuxer.READ_AHEAD = 64 * 1024;
+MkvDemuxer.SUBTITLE_TRACK_TYPE = 0x11;
+
+MkvDemuxer.IDS = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    NAME: 0x536E,
+    LANGUAGE: 0x22B59C,
+    LANGUAGE_IETF: 0x22B59D,
+    DEFAULT_DURATION: 0x23E383,
+    CONTENT_ENCODINGS: 0x6D80,
+    CONTENT_COMPRESSION: 0x5034,
+    CONTENT_COMP_ALGO: 0x4254,
+    CONTENT_COMP_SETTINGS: 0x4255,
+    CLUSTER: 0x1F43B675,
+    TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    BLOCK_DURATION: 0x9B,
+    CUES: 0x1C53BB6B,
+    CHAPTERS: 0x1043A770,
+    TAGS: 0x1254C367,
+    ATTACHMENTS: 0x1941A469
+};
+
+MkvDemuxer.TOP_LEVEL_IDS = [
+    MkvDemuxer.IDS.SEEK_HEAD,
+    MkvDemuxer.IDS.INFO,
+    MkvDemuxer.IDS.TRACKS,
+    MkvDemuxer.IDS.CLUSTER,
+    MkvDemuxer.IDS.CUES,
+    MkvDemuxer.IDS.CHAPTERS,
+    MkvDemuxer.IDS.TAGS,
+    MkvDemuxer.IDS.ATTACHMENTS
+];
+
+// Matroska codec IDs of text subtitle formats, mapped to the SubtitleParser format
+MkvDemuxer.TEXT_CODECS = {
+    'S_TEXT/UTF8': 'srt',
+    'S_TEXT/ASCII': 'srt',
+    'S_TEXT/ASS': 'ass',
+    'S_TEXT/SSA': 'ass',
+    'S_ASS': 'ass',
+    'S_SSA': 'ass',
+    'S_TEXT/WEBVTT': 'vtt',
+    'D_WEBVTT/SUBTITLES': 'vtt'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MkvDemuxer;
+}
@@ -0,0 +1,160 @@
+/**
+ * Publishes the parsed cues as the video's own text tracks. A hidden metadata track reports cue
+ * changes; two subtitle tracks ("Japanese (readings)" and "Translation") show plain text with the
+ * readings in brackets (漢字(かんじ)) where the furigana overlay cannot be drawn: in Picture-in-Picture,
+ * and when captions are turned on from the browser's own video controls.
+ */
+class NativeTracks {
+    /**
+     * @param {HTMLVideoElement} video - Video element to add the tracks to
+     * @param {object} callbacks - Notifications
+     * @param {Function} callbacks.onCueChange - Called when a cue of either track starts or ends
+     * @param {Function} callbacks.onModeChange - Called with {subtitles, translation} when the user
+     *     turns native captions on or off (not for the Picture-in-Picture switch)
+     */
+    constructor(video, callbacks) {
+        this.video = video;
+        this.callbacks = callbacks;
+        
+        // Metadata tracks are not in the captions menu, so cue changes keep coming whatever the user picks there
+        this.timing = video.addTextTrack('metadata', 'Cue timing');
+        this.timing.mode = 'hidden';
+        this.timing.addEventListener('cuechange', () => callbacks.onCueChange());
+        
+        this.tracks = {
+            subtitles: video.addTextTrack('subtitles', 'Japanese (readings)', 'ja'),
+            translation: video.addTextTrack('subtitles', 'Translation')
+        };
+        for (const track of Object.values(this.tracks)) {
+            track.mode = 'hidden';
+        }
+        
+        // Displayed and timing cue per subtitle object, per track
+        this.cues = { subtitles: new Map(), translation: new Map() };
+        
+        // Tracks the player shows, and the track modes to restore when Picture-in-Picture ends
+        this.visible = { subtitles: true, translation: true };
+        this.savedModes = null;
+        
+        video.addEventListener('enterpictureinpicture', () => this.enterPictureInPicture());
+        video.addEventListener('leavepictureinpicture', () => this.leavePictureInPicture());
+        video.textTracks.addEventListener('change', () => {
+            if (!this.savedModes) callbacks.onModeChange(this.showing());
+        });
+    }
+    
+    /**
+     * Check whether the browser can create text tracks from script
+     * @param {HTMLVideoElement} video - Video element
+     * @returns {boolean} - True when VTTCue and addTextTrack are available
+     */
+    static isSupported(video) {
+        return typeof VTTCue !== 'undefined' && typeof video.addTextTrack === 'function';
+    }
+    
+    /**
+     * Replace the cues of a track, e.g. after loading a file or retiming it
+     * @param {string} kind - "subtitles" or "translation"
+     * @param {Array} subtitles - Subtitle objects with start and end in milliseconds
+     * @param {Function} textOf - Text to show for a subtitle
+     */
+    setCues(kind, subtitles, textOf) {
+        const track = this.tracks[kind];
+        for (const { cue, timingCue } of this.cues[kind].values()) {
+            track.removeCue(cue);
+            this.timing.removeCue(timingCue);
+        }
+        this.cues[kind] = new Map();
+        
+        for (const subtitle of subtitles) {
+            const cue = new VTTCue(subtitle.start / 1000, subtitle.end / 1000, NativeTracks.escape(textOf(subtitle)));
+            const timingCue = new VTTCue(subtitle.start / 1000, subtitle.end / 1000, '');
+            track.addCue(cue);
+            this.timing.addCue(timingCue);
+            this.cues[kind].set(subtitle, { cue: cue, timingCue: timingCue });
+        }
+    }
+    
+    /**
+     * Change the text of one cue, e.g. once its readings are known
+     * @param {string} kind - "subtitles" or "translation"
+     * @param {object} subtitle - Subtitle object
+     * @param {string} text - Text to show
+     */
+    setText(kind, subtitle, text) {
+        const entry = this.cues[kind].get(subtitle);
+        if (entry) {
+            entry.cue.text = NativeTracks.escape(text);
+        }
+    }
+    
+    /**
+     * Show or hide a track in Picture-in-Picture, following the player's own show/hide toggles
+     * @param {string} kind - "subtitles" or "translation"
+     * @param {boolean} visible - Whether the track is shown
+     */
+    setVisible(kind, visible) {
+        this.visible[kind] = visible;
+        if (this.savedModes) {
+            this.tracks[kind].mode = visible ? 'showing' : 'hidden';
+        }
+    }
+    
+    /**
+     * Tracks the browser currently draws
+     * @returns {object} - {subtitles, translation}: true for the tracks that are showing
+     */
+    showing() {
+        return {
+            subtitles: this.tracks.subtitles.mode === 'showing',
+            translation: this.tracks.translation.mode === 'showing'
+        };
+    }
+    
+    /**
+     * The overlay is not part of the Picture-in-Picture window, so let the browser draw the tracks there
+     */
+    enterPictureInPicture() {
+        this.savedModes = { subtitles: this.tracks.subtitles.mode, translation: this.tracks.translation.mode };
+        for (const [kind, track] of Object.entries(this.tracks)) {
+            track.mode = this.visible[kind] ? 'showing' : 'hidden';
+        }
+    }
+    
+    /**
+     * Back in the page: restore the track modes from before Picture-in-Picture
+     */
+    leavePictureInPicture() {
+        if (!this.savedModes) return;
+        
+        const saved = this.savedModes;
+        this.savedModes = null;
+        for (const [kind, track] of Object.entries(this.tracks)) {
+            track.mode = saved[kind];
+        }
+    }
+    
+    /**
+     * Plain text with the readings in brackets after the words they belong to
+     * @param {Array} segments - Ruby segments ({text, reading}, reading null for plain text)
+     * @returns {string} - Text such as 漢字(かんじ)を読(よ)む
+     */
+    static readingText(segments) {
+        return segments.map(segment => segment.reading ? `${segment.text}(${segment.reading})` : segment.text).join('');
+    }
+    
+    /**
+     * Escape text for WebVTT cue text, where tags and character references are markup
+     * @param {string} text - Plain text
+     * @returns {string} - Cue text
+     */
+    static escape(text) {
+        // A page global in the browser, a module in Node
+        const markup = typeof SubtitleMarkup !== 'undefined' ? SubtitleMarkup : require('./subtitle-markup.js');
+        return markup.escapeHTML(text);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NativeTracks;
+}
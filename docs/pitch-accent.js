@@ -0,0 +1,119 @@
+/**
+ * Tokyo pitch-accent dictionary for the token overlay, fetched on first use
+ */
+class PitchAccent {
+    /**
+     * @param {string} path - URL of the accent JSON file (see scripts/build-accents.js)
+     */
+    constructor(path) {
+        this.path = path;
+        this.index = null;
+        this.loading = null;
+        // True when the file is the small sample shipped in the repository, not a full Kanjium build
+        this.sample = false;
+    }
+    
+    /**
+     * Fetch and index the dictionary once; later calls reuse the same promise
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(this.path)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Accent dictionary not found at ${this.path} (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.sample = Boolean(data.sample);
+                    this.buildIndex(data.entries);
+                })
+                .catch(error => {
+                    // Allow a retry when the overlay is turned on again
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+    
+    /**
+     * Index entries by word
+     * @param {Array} entries - Entries as [word, reading, accents]
+     */
+    buildIndex(entries) {
+        this.index = new Map();
+        
+        for (const [word, reading, accents] of entries) {
+            if (!this.index.has(word)) {
+                this.index.set(word, []);
+            }
+            this.index.get(word).push({ word: word, reading: PitchAccent.toHiragana(reading), accents: accents });
+        }
+    }
+    
+    /**
+     * Look up the accent of a word; homographs are told apart by their reading
+     * @param {string} word - Word as written, in its dictionary form
+     * @param {string} [reading] - Reading in kana; without it the first entry for the word is used
+     * @returns {object|null} - {word, reading, accents} or null if unknown or not loaded yet
+     */
+    lookup(word, reading) {
+        const entries = this.index && this.index.get(word);
+        if (!entries) return null;
+        
+        if (reading) {
+            const hiragana = PitchAccent.toHiragana(reading);
+            return entries.find(entry => entry.reading === hiragana) || null;
+        }
+        return entries[0];
+    }
+    
+    /**
+     * Split a reading into morae: small ゃ/ゅ/ょ and other small vowels join the mora before them,
+     * while っ, ん and ー count on their own
+     * @param {string} reading - Reading in kana
+     * @returns {Array} - Morae
+     */
+    static morae(reading) {
+        const morae = [];
+        for (const ch of reading) {
+            if (PitchAccent.SMALL_KANA.includes(ch) && morae.length) {
+                morae[morae.length - 1] += ch;
+            } else {
+                morae.push(ch);
+            }
+        }
+        return morae;
+    }
+    
+    /**
+     * Name the accent pattern of a word from its downstep position
+     * @param {number} accent - Mora after which the pitch drops, 0 for none
+     * @param {number} moraCount - Number of morae in the word
+     * @returns {string} - "heiban", "atamadaka", "nakadaka" or "odaka"
+     */
+    static pattern(accent, moraCount) {
+        if (accent === 0) return 'heiban';
+        if (accent === 1) return 'atamadaka';
+        return accent >= moraCount ? 'odaka' : 'nakadaka';
+    }
+    
+    /**
+     * Convert katakana to hiragana, leaving everything else as it is
+     * @param {string} text - Kana text
+     * @returns {string} - Hiragana text
+     */
+    static toHiragana(text) {
+        return text.replace(/[\u30A1-\u30F6]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+    }
+}
+
+// Kana that do not form a mora of their own
+PitchAccent.SMALL_KANA = 'ぁぃぅぇぉゃゅょゎゕゖァィゥェォャュョヮヵヶ';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PitchAccent;
+}
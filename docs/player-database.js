@@ -0,0 +1,62 @@
+/**
+ * Shared IndexedDB database for data kept between visits
+ */
+class PlayerDatabase {
+    /**
+     * Open the database, creating missing object stores on upgrade
+     * @returns {Promise<IDBDatabase>} - Open database (shared by all callers)
+     */
+    static open() {
+        if (!PlayerDatabase.opening) {
+            PlayerDatabase.opening = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error("IndexedDB is not available in this browser"));
+                    return;
+                }
+                
+                const request = indexedDB.open(PlayerDatabase.NAME, PlayerDatabase.VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    for (const [name, options] of Object.entries(PlayerDatabase.STORES)) {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, options);
+                        }
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return PlayerDatabase.opening;
+    }
+    
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    static async run(storeName, mode, operation) {
+        const db = await PlayerDatabase.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+PlayerDatabase.NAME = 'kanjiVideoPlayer';
+PlayerDatabase.VERSION = 3;
+PlayerDatabase.opening = null;
+
+// Bump VERSION when adding a store so existing databases get upgraded
+PlayerDatabase.STORES = {
+    cards: { keyPath: 'id', autoIncrement: true },
+    sessions: { keyPath: 'id' },
+    sessionFiles: { keyPath: ['session', 'kind'] }
+};
@@ -0,0 +1,134 @@
+/**
+ * Offline support: precaches the player, the Kuroshiro libraries and the dictionaries on install.
+ * The player's own files are fetched from the network first so updates show up on the next visit,
+ * falling back to the cache when offline; the large libraries and dictionaries are served from the cache.
+ */
+
+// Bump when the precached libraries or dictionaries change (e.g. a rebuilt JMdict), so old caches are dropped
+const CACHE_NAME = 'kanji-video-player-v1';
+
+// Every file the player needs; test/service-worker.test.js checks they all exist
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icon.svg',
+    'config.js',
+    'app.js',
+    'kanji-video-player.js',
+    'player.html',
+    'player.css',
+    'subtitle-markup.js',
+    'subtitle-parser.js',
+    'kanji-presets.js',
+    'known-kanji.js',
+    'user-dictionary.js',
+    'pitch-accent.js',
+    'token-overlay.js',
+    'comprehension-report.js',
+    'subtitle-renderer.js',
+    'furigana-annotator.js',
+    'dictionary.js',
+    'player-database.js',
+    'session-store.js',
+    'vocabulary-deck.js',
+    'study-mode.js',
+    'transcript-panel.js',
+    'mkv-demuxer.js',
+    'worker-analyzer.js',
+    'analyzer-worker.js',
+    'native-tracks.js',
+    'video-player.js',
+    'lib/kuroshiro.min.js',
+    'lib/kuroshiro-analyzer-kuromoji.min.js',
+    'jmdict/jmdict-eng.json',
+    'accent/accents.json',
+    'kuromoji/dict/base.dat.gz',
+    'kuromoji/dict/cc.dat.gz',
+    'kuromoji/dict/check.dat.gz',
+    'kuromoji/dict/tid.dat.gz',
+    'kuromoji/dict/tid_map.dat.gz',
+    'kuromoji/dict/tid_pos.dat.gz',
+    'kuromoji/dict/unk.dat.gz',
+    'kuromoji/dict/unk_char.dat.gz',
+    'kuromoji/dict/unk_compat.dat.gz',
+    'kuromoji/dict/unk_invoke.dat.gz',
+    'kuromoji/dict/unk_map.dat.gz',
+    'kuromoji/dict/unk_pos.dat.gz'
+];
+
+// Served from the cache without asking the network
+const CACHE_FIRST = /\/(lib|kuromoji|jmdict|accent)\//;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    // Only http(s) requests are cached (local files are played from blob: URLs)
+    if (!url.protocol.startsWith('http')) return;
+    
+    // Videos from src or loadVideo(url) are streamed with Range requests, answered with 206 Partial
+    // Content, which the cache does not take; they are left to the browser, and are too big to cache anyway
+    if (request.headers.has('range') || request.destination === 'video' || request.destination === 'audio') return;
+    
+    if (url.origin !== self.location.origin || CACHE_FIRST.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Answer from the cache, fetching and caching on a miss (e.g. the unpkg libraries with librarySource 'cdn')
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} - Response
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.status === 200 || response.type === 'opaque') {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Answer from the network and refresh the cache, falling back to the cache when offline
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} - Response
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Recent playback sessions stored in IndexedDB, so an interrupted episode can be resumed.
+ * A session is keyed by its video (name and size) and holds everything needed to pick up again:
+ * the video's file handle where the File System Access API exists, the subtitle file names,
+ * the playback position, the subtitle timing and the reading settings. The subtitle files' content
+ * is stored apart, once per load (see saveFile()), so saving the position does not copy it again.
+ */
+class SessionStore {
+    /**
+     * Save a session, replacing the one for the same video, and forget the oldest beyond MAX_SESSIONS
+     * @param {object} session - Session with id, videoName, videoSize, videoHandle, subtitles and translation
+     *     ({fileName} or null), currentTime, duration, timing and settings
+     * @returns {Promise<void>}
+     */
+    async save(session) {
+        const record = Object.assign({}, session, { updated: Date.now() });
+        await PlayerDatabase.run('sessions', 'readwrite', store => store.put(record));
+        
+        const sessions = await this.getRecent();
+        for (const old of sessions.slice(SessionStore.MAX_SESSIONS)) {
+            await this.remove(old.id);
+        }
+    }
+    
+    /**
+     * Change some fields of a saved session, e.g. the position while the video plays
+     * @param {string} id - Session id
+     * @param {object} changes - Fields to replace
+     * @returns {Promise<void>} - Resolves once written; nothing is written if the session is not saved
+     */
+    async update(id, changes) {
+        await PlayerDatabase.run('sessions', 'readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put(Object.assign(request.result, changes, { updated: Date.now() }));
+                }
+            };
+            return request;
+        });
+    }
+    
+    /**
+     * Store the content of a session's subtitle file, replacing the previous one of the same kind
+     * @param {string} id - Session id
+     * @param {string} kind - "subtitles" or "translation"
+     * @param {object} source - {content, fileName}
+     * @returns {Promise<void>}
+     */
+    async saveFile(id, kind, source) {
+        await PlayerDatabase.run('sessionFiles', 'readwrite', store => store.put({ session: id, kind: kind, content: source.content, fileName: source.fileName }));
+    }
+    
+    /**
+     * Subtitle files of a session. Sessions saved before the files were stored apart carry their content.
+     * @param {object} session - Stored session
+     * @returns {Promise<object>} - {subtitles, translation}, each {content, fileName} or null
+     */
+    async getFiles(session) {
+        const files = {};
+        for (const kind of SessionStore.FILE_KINDS) {
+            const stored = await PlayerDatabase.run('sessionFiles', 'readonly', store => store.get([session.id, kind]));
+            const embedded = session[kind] && session[kind].content !== undefined ? session[kind] : null;
+            files[kind] = stored ? { content: stored.content, fileName: stored.fileName } : embedded;
+        }
+        return files;
+    }
+    
+    /**
+     * Get every session, most recently used first
+     * @returns {Promise<Array>} - Sessions
+     */
+    async getRecent() {
+        const sessions = await PlayerDatabase.run('sessions', 'readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.updated - a.updated);
+    }
+    
+    /**
+     * Delete a session and its subtitle files
+     * @param {string} id - Session id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await PlayerDatabase.run('sessions', 'readwrite', store => store.delete(id));
+        for (const kind of SessionStore.FILE_KINDS) {
+            await PlayerDatabase.run('sessionFiles', 'readwrite', store => store.delete([id, kind]));
+        }
+    }
+    
+    /**
+     * Session id for a video file; the same file opened again maps to the same session
+     * @param {File} file - Video file
+     * @returns {string} - Id
+     */
+    static idFor(file) {
+        return `${file.name}:${file.size}`;
+    }
+}
+
+SessionStore.MAX_SESSIONS = 10;
+SessionStore.FILE_KINDS = ['subtitles', 'translation'];
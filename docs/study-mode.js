@@ -0,0 +1,226 @@
+/**
+ * Sentence-by-sentence playback: pause at the end of each cue, replay it,
+ * step to the previous or next cue and loop a cue at a chosen rate
+ */
+class StudyMode {
+    /**
+     * @param {HTMLVideoElement} video - Video element to control
+     * @param {SubtitleParser} parser - Parser holding the loaded cues
+     */
+    constructor(video, parser) {
+        this.video = video;
+        this.parser = parser;
+        this.enabled = false;
+        
+        // Loop settings used by loop()
+        this.loopCount = 3;
+        this.loopRate = 0.75;
+        
+        // Cue playback stops at, how many more times it plays and the rate to restore afterwards
+        this.cue = null;
+        this.remainingPlays = 0;
+        this.restoreRate = null;
+        
+        // Last cue played to its end, so replay works after the auto-pause
+        this.lastCue = null;
+        this.frame = null;
+        
+        this.video.addEventListener('play', () => this.watch());
+        this.video.addEventListener('seeking', () => this.handleSeek());
+    }
+    
+    /**
+     * Turn automatic pausing at cue ends on or off
+     * @param {boolean} enabled - Whether study mode is on
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.finish();
+        }
+    }
+    
+    /**
+     * Forget the playing and finished cues, e.g. when another subtitle file is loaded
+     */
+    reset() {
+        this.finish();
+        this.lastCue = null;
+    }
+    
+    /**
+     * Cues sorted by start time
+     * @returns {Array} - Subtitle objects
+     */
+    get cues() {
+        return this.parser.index;
+    }
+    
+    /**
+     * Cue the user is studying: the one playing, the one just finished,
+     * or else the last cue that started before the current time
+     * @returns {object|null} - Subtitle object
+     */
+    currentCue() {
+        if (this.cue) return this.cue;
+        
+        const time = this.video.currentTime * 1000;
+        const active = this.parser.findSubtitlesAtTime(time);
+        if (active.length) return active[0];
+        if (this.lastCue) return this.lastCue;
+        
+        const index = this.indexBefore(time);
+        return index === -1 ? null : this.cues[index];
+    }
+    
+    /**
+     * Index of the last cue starting at or before a time
+     * @param {number} time - Time in milliseconds
+     * @returns {number} - Index into cues, or -1
+     */
+    indexBefore(time) {
+        const cues = this.cues;
+        let low = 0;
+        let high = cues.length - 1;
+        let found = -1;
+        
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (cues[mid].start <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        return found;
+    }
+    
+    /**
+     * Play the current cue again from its start
+     * @returns {object|null} - Cue played
+     */
+    replay() {
+        const cue = this.currentCue();
+        if (cue) this.playCue(cue, 1);
+        return cue;
+    }
+    
+    /**
+     * Play the cue before or after the current one
+     * @param {number} offset - -1 for the previous cue, 1 for the next
+     * @returns {object|null} - Cue played
+     */
+    step(offset) {
+        const cues = this.cues;
+        const cue = this.currentCue();
+        const index = cue ? cues.indexOf(cue) : this.indexBefore(this.video.currentTime * 1000);
+        
+        // Before the first cue, "next" is the first cue
+        const target = cues[Math.max(0, index + offset)];
+        if (target) this.playCue(target, 1);
+        return target || null;
+    }
+    
+    /**
+     * Play the current cue loopCount times at loopRate, then restore the rate
+     * @returns {object|null} - Cue played
+     */
+    loop() {
+        const cue = this.currentCue();
+        if (cue) this.playCue(cue, this.loopCount, this.loopRate);
+        return cue;
+    }
+    
+    /**
+     * Seek to a cue and play it, stopping at its end even outside study mode
+     * @param {object} cue - Subtitle object
+     * @param {number} times - Number of times to play it
+     * @param {number} [rate] - Playback rate while the cue plays
+     */
+    playCue(cue, times, rate) {
+        this.finish();
+        
+        if (rate) {
+            this.restoreRate = this.video.playbackRate;
+            this.video.playbackRate = rate;
+        }
+        
+        this.video.currentTime = cue.start / 1000;
+        this.cue = cue;
+        this.remainingPlays = times;
+        this.video.play();
+    }
+    
+    /**
+     * Poll the playback position every frame while playing; timeupdate fires
+     * only a few times a second, too late to stop cleanly at a cue end
+     */
+    watch() {
+        cancelAnimationFrame(this.frame);
+        
+        const tick = () => {
+            if (this.video.paused) return;
+            this.checkCueEnd();
+            this.frame = requestAnimationFrame(tick);
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+    
+    /**
+     * Pause or loop once the playing cue has ended
+     */
+    checkCueEnd() {
+        const time = this.video.currentTime * 1000;
+        
+        if (!this.cue && this.enabled) {
+            // Stop at the active cue that ends first, ignoring one we are already paused at the end of
+            const active = this.parser.findSubtitlesAtTime(time)
+                .filter(cue => cue.end > time)
+                .sort((a, b) => a.end - b.end);
+            if (active.length) {
+                this.cue = active[0];
+                this.remainingPlays = 1;
+            }
+        }
+        
+        if (!this.cue || time < this.cue.end) return;
+        
+        if (this.remainingPlays > 1) {
+            this.remainingPlays--;
+            this.video.currentTime = this.cue.start / 1000;
+            return;
+        }
+        
+        const cue = this.cue;
+        this.video.pause();
+        this.finish();
+        this.lastCue = cue;
+    }
+    
+    /**
+     * A seek away from the playing cue cancels its loop
+     */
+    handleSeek() {
+        const time = this.video.currentTime * 1000;
+        if (this.cue && (time < this.cue.start - 1 || time > this.cue.end)) {
+            this.finish();
+        }
+        if (this.lastCue && (time < this.lastCue.start - 1 || time > this.lastCue.end + 1)) {
+            this.lastCue = null;
+        }
+    }
+    
+    /**
+     * Stop tracking the playing cue and restore the playback rate
+     */
+    finish() {
+        this.cue = null;
+        this.remainingPlays = 0;
+        if (this.restoreRate !== null) {
+            this.video.playbackRate = this.restoreRate;
+            this.restoreRate = null;
+        }
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Styling markup of subtitle text (<i>, <b>, <font color>, WebVTT classes, ASS override tags).
+ * Cue text is parsed into lines of styled runs, so only the text runs get annotated, and
+ * rendered back as sanitized HTML: every run is escaped and only italic, bold, underline,
+ * strike-through and colour survive.
+ */
+class SubtitleMarkup {
+    /**
+     * Parse the text of a cue into lines of styled runs
+     * @param {Array} lines - Text lines of the cue; for ASS, the Text field of the Dialogue line
+     * @param {string} format - 'srt', 'vtt' or 'ass'
+     * @returns {object} - {lines, alignment}: lines of runs ({text, italic, bold, underline, strike, color}),
+     *     and the numpad alignment of an {\anN} tag, or null
+     */
+    static parse(lines, format) {
+        const result = { lines: [], alignment: null };
+        const stack = [];
+        let style = {};
+        let runs = [];
+        
+        // SRT files often carry ASS override blocks such as {\an8} as well
+        const tagPattern = format === 'ass' ? /\{([^}]*)\}/g : format === 'vtt' ? /<([^>]*)>/g : /<([^>]*)>|\{(\\[^}]*)\}/g;
+        
+        const addText = text => {
+            if (format === 'vtt') text = SubtitleMarkup.decodeEntities(text);
+            
+            // ASS text has its own escapes: \N is a line break, \n a soft break, \h a non-breaking space
+            const parts = format === 'ass' ? text.replace(/\\n/g, ' ').replace(/\\h/g, '\u00A0').split('\\N') : [text];
+            parts.forEach((part, i) => {
+                if (i > 0) {
+                    result.lines.push(runs);
+                    runs = [];
+                }
+                if (!part) return;
+                
+                const last = runs[runs.length - 1];
+                if (last && SubtitleMarkup.sameStyle(last, style)) {
+                    last.text += part;
+                } else {
+                    runs.push(Object.assign({ text: part }, style));
+                }
+            });
+        };
+        
+        for (const line of lines) {
+            let last = 0;
+            let match;
+            tagPattern.lastIndex = 0;
+            
+            while ((match = tagPattern.exec(line)) !== null) {
+                addText(line.slice(last, match.index));
+                if (format === 'ass' || match[2] !== undefined) {
+                    style = SubtitleMarkup.applyOverrides(match[1] !== undefined ? match[1] : match[2], style, result);
+                } else {
+                    style = SubtitleMarkup.applyTag(match[1], style, stack);
+                }
+                last = tagPattern.lastIndex;
+            }
+            addText(line.slice(last));
+            
+            result.lines.push(runs);
+            runs = [];
+        }
+        
+        result.lines = result.lines.map(SubtitleMarkup.trimLine).filter(line => line.length);
+        return result;
+    }
+    
+    /**
+     * Apply an HTML-like SRT/WebVTT tag to the current style. Unknown tags (<v>, <lang>,
+     * inline timestamps...) change nothing but still pair up with their closing tag.
+     * @param {string} tag - Tag content without the angle brackets
+     * @param {object} style - Current style
+     * @param {Array} stack - Open tags with the style to restore when they close
+     * @returns {object} - New style
+     */
+    static applyTag(tag, style, stack) {
+        const match = tag.trim().match(/^(\/?)([a-z]+)(.*)$/i);
+        if (!match) return style;
+        
+        const name = match[2].toLowerCase();
+        if (match[1]) {
+            const open = stack.map(entry => entry.name).lastIndexOf(name);
+            if (open === -1) return style;
+            
+            const previous = stack[open].style;
+            stack.length = open;
+            return previous;
+        }
+        
+        stack.push({ name: name, style: style });
+        const next = Object.assign({}, style);
+        const flags = { i: 'italic', b: 'bold', u: 'underline', s: 'strike' };
+        
+        if (flags[name]) {
+            next[flags[name]] = true;
+        } else if (name === 'font') {
+            const color = match[3].match(/color\s*=\s*["']?([^"'\s>]+)/i);
+            if (color) next.color = color[1];
+        } else if (name === 'c') {
+            // WebVTT colour classes: <c.yellow>
+            const color = match[3].split('.').find(name => SubtitleMarkup.VTT_COLORS.includes(name));
+            if (color) next.color = color;
+        }
+        return next;
+    }
+    
+    /**
+     * Apply an ASS override block ({\i1\c&H0000FF&}) to the current style
+     * @param {string} block - Block content without the braces
+     * @param {object} style - Current style
+     * @param {object} result - Parse result, receives the {\anN} alignment
+     * @returns {object} - New style
+     */
+    static applyOverrides(block, style, result) {
+        const next = Object.assign({}, style);
+        const flags = { i: 'italic', b: 'bold', u: 'underline', s: 'strike' };
+        const pattern = /\\(an|[ibus]|1?c|r)(&H[0-9A-Fa-f]+&?|\d+)?(?=\\|$)/g;
+        let match;
+        
+        while ((match = pattern.exec(block)) !== null) {
+            const tag = match[1];
+            const value = match[2] || '';
+            
+            if (tag === 'an') {
+                result.alignment = parseInt(value, 10) || null;
+            } else if (tag === 'r') {
+                // Reset to the line style
+                for (const key of Object.keys(next)) delete next[key];
+            } else if (flags[tag]) {
+                if (value && value !== '0') next[flags[tag]] = true;
+                else delete next[flags[tag]];
+            } else if (value.startsWith('&H')) {
+                // &HBBGGRR& colours, blue first
+                const hex = value.replace(/[&H]/gi, '').padStart(6, '0').slice(-6);
+                next.color = `#${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`;
+            } else {
+                delete next.color;
+            }
+        }
+        
+        return next;
+    }
+    
+    /**
+     * Drop leading and trailing whitespace of a line of runs, and runs left empty by it
+     * @param {Array} runs - Runs of one line
+     * @returns {Array} - Trimmed runs
+     */
+    static trimLine(runs) {
+        const trimmed = runs.map(run => Object.assign({}, run));
+        if (trimmed.length) {
+            trimmed[0].text = trimmed[0].text.replace(/^\s+/, '');
+            trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.replace(/\s+$/, '');
+        }
+        return trimmed.filter(run => run.text);
+    }
+    
+    /**
+     * Whether a run has exactly the given style
+     * @param {object} run - Styled run
+     * @param {object} style - Style
+     * @returns {boolean} - True if all style properties match
+     */
+    static sameStyle(run, style) {
+        return ['italic', 'bold', 'underline', 'strike', 'color'].every(key => run[key] === style[key]);
+    }
+    
+    /**
+     * Plain text of parsed lines, joined with spaces like the cue text
+     * @param {Array} lines - Lines of runs
+     * @returns {string} - Plain text
+     */
+    static plainText(lines) {
+        return SubtitleMarkup.plainLines(lines).join(' ');
+    }
+    
+    /**
+     * Plain text of each parsed line
+     * @param {Array} lines - Lines of runs
+     * @returns {Array} - One string per line
+     */
+    static plainLines(lines) {
+        return lines.map(runs => runs.map(run => run.text).join(''));
+    }
+    
+    /**
+     * Render lines of runs as HTML, with <br> between lines
+     * @param {Array} lines - Lines of runs
+     * @param {Function} [renderText] - Returns the HTML for a run's text (e.g. with furigana);
+     *     must escape the text itself. Defaults to escaping it.
+     * @returns {string} - HTML that is safe to assign to innerHTML
+     */
+    static render(lines, renderText = run => SubtitleMarkup.escapeHTML(run.text)) {
+        return lines.map(runs => runs.map(run => {
+            let html = renderText(run);
+            if (run.color && SubtitleMarkup.isSafeColor(run.color)) html = `<span style="color: ${run.color}">${html}</span>`;
+            if (run.strike) html = `<s>${html}</s>`;
+            if (run.underline) html = `<u>${html}</u>`;
+            if (run.bold) html = `<b>${html}</b>`;
+            if (run.italic) html = `<i>${html}</i>`;
+            return html;
+        }).join('')).join('<br>');
+    }
+    
+    /**
+     * Whether a colour from a subtitle file can be put into a style attribute
+     * @param {string} color - Colour name or #rgb/#rrggbb
+     * @returns {boolean} - True for hex colours and plain colour names
+     */
+    static isSafeColor(color) {
+        return /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) || /^[a-z]+$/i.test(color);
+    }
+    
+    /**
+     * Escape text for HTML, and for WebVTT cue text, which decodes the same references
+     * @param {string} text - Text
+     * @returns {string} - Escaped text
+     */
+    static escapeHTML(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Decode the character references allowed in WebVTT cue text
+     * @param {string} text - Cue text without tags
+     * @returns {string} - Decoded text
+     */
+    static decodeEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, '\u00A0')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&lrm;|&rlm;/g, '')
+            .replace(/&#(\d+);/g, (entity, code) => SubtitleMarkup.codePoint(entity, parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (entity, code) => SubtitleMarkup.codePoint(entity, parseInt(code, 16)))
+            .replace(/&amp;/g, '&');
+    }
+    
+    /**
+     * Character of a numeric character reference. References to surrogates or beyond U+10FFFF
+     * name no character and are left as they are written.
+     * @param {string} entity - Reference as written, e.g. "&#x6F22;"
+     * @param {number} code - Code point
+     * @returns {string} - The character, or the reference itself
+     */
+    static codePoint(entity, code) {
+        if (code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+            return entity;
+        }
+        return String.fromCodePoint(code);
+    }
+}
+
+// Colour classes predefined by WebVTT
+SubtitleMarkup.VTT_COLORS = ['white', 'lime', 'cyan', 'red', 'yellow', 'magenta', 'blue', 'black'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubtitleMarkup;
+}
@@ -1,65 +1,1000 @@
 /**
- * Parse SRT subtitle files
+ * Parse SRT, WebVTT and ASS/SSA subtitle files
  */
 class SubtitleParser {
     constructor() {
         this.subtitles = [];
+        this.index = [];
+        this.subtreeEnds = [];
+        this.format = null;
+        this.styles = {};
+        this.scriptInfo = {};
+        
+        // Problems found by the last parse: { line, message } with 1-based line numbers
+        this.errors = [];
+        
+        // Timing adjustment applied to the cues: time = file time * scale + offset (ms)
+        this.timing = { scale: 1, offset: 0 };
+        this.sourceTimes = new Map();
     }
-
+    
     /**
-     * Parse SRT file content
-     * @param {string} content - SRT file content
+     * Parse subtitle content, picking the parser from the file name or the content itself
+     * @param {string} content - Subtitle file content
+     * @param {string} [fileName] - Original file name, used for extension detection
      * @returns {Array} - Array of subtitle objects with start, end, and text properties
      */
+    parse(content, fileName) {
+        const format = this.detectFormat(content, fileName);
+        this.timing = { scale: 1, offset: 0 };
+        this.sourceTimes = new Map();
+        
+        switch (format) {
+            case 'vtt':
+                return this.parseVTT(content);
+            case 'ass':
+                return this.parseASS(content);
+            default:
+                return this.parseSRT(content);
+        }
+    }
+    
+    /**
+     * Detect the subtitle format from the file extension, falling back to sniffing the content
+     * @param {string} content - Subtitle file content
+     * @param {string} [fileName] - Original file name
+     * @returns {string} - One of 'srt', 'vtt' or 'ass'
+     */
+    detectFormat(content, fileName) {
+        const extension = fileName ? fileName.split('.').pop().toLowerCase() : '';
+        
+        if (extension === 'vtt') return 'vtt';
+        if (extension === 'ass' || extension === 'ssa') return 'ass';
+        if (extension === 'srt') return 'srt';
+        
+        const head = this.stripBOM(content).trimStart();
+        if (head.startsWith('WEBVTT')) return 'vtt';
+        if (/^\[Script Info\]/im.test(head) || /^\[Events\]/im.test(head)) return 'ass';
+        
+        return 'srt';
+    }
+    
+    /**
+     * Parse SRT file content. Malformed blocks are skipped and reported in this.errors.
+     * Accepts a missing index line, "." as well as "," before the milliseconds and any number of hour digits.
+     * @param {string} content - SRT file content
+     * @returns {Array} - Array of subtitle objects with start, end, text (lines joined with spaces,
+     *     without tags), lines of styled runs and the raw text, plus ruby segments for cues with bracketed readings
+     */
     parseSRT(content) {
         this.subtitles = [];
+        this.errors = [];
+        this.format = 'srt';
         
-        // Normalize line breaks to handle different formats
-        const normalizedContent = content.replace(/\r\n|\r|\n/g, '\n');
+        for (const block of this.splitBlocks(content)) {
+            // The index line is optional, so look for the timing line in the first two lines
+            const timingIndex = block.lines.findIndex((line, i) => i < 2 && line.includes('-->'));
+            if (timingIndex === -1) {
+                this.addError(block.line, `No timing line in block "${block.lines[0]}"`);
+                continue;
+            }
+            
+            // Parse timestamp line (format: 00:00:00,000 --> 00:00:00,000)
+            const timestampLine = block.lines[timingIndex];
+            const timeMatch = timestampLine.match(/^\s*(\d+:\d{2}:\d{2}[,.]\d{1,3})\s*-->\s*(\d+:\d{2}:\d{2}[,.]\d{1,3})/);
+            if (!timeMatch) {
+                this.addError(block.line + timingIndex, `Invalid timing line "${timestampLine}"`);
+                continue;
+            }
+            
+            const startTime = this.timeToMilliseconds(timeMatch[1]);
+            const endTime = this.timeToMilliseconds(timeMatch[2]);
+            if (endTime < startTime) {
+                this.addError(block.line + timingIndex, `End time is before start time in "${timestampLine}"`);
+                continue;
+            }
+            
+            const textLines = block.lines.slice(timingIndex + 1);
+            const markup = this.parseMarkup(textLines, 'srt');
+            const text = this.markupModule().plainText(markup.lines);
+            if (!text) continue;
+            
+            const subtitle = {
+                start: startTime,
+                end: endTime,
+                text: text,
+                lines: markup.lines,
+                rawText: textLines.join('\n')
+            };
+            if (markup.alignment) subtitle.position = { alignment: markup.alignment };
+            
+            // Readings written as 漢字[かんじ] by toSRT(); they are dropped from the styled runs, keeping the lines
+            const ruby = this.parseBracketRuby(text);
+            if (ruby) {
+                subtitle.lines = markup.lines.map(runs => runs.map(run => Object.assign({}, run, {
+                    text: (this.parseBracketRuby(run.text) || [run]).map(segment => segment.text).join('')
+                })));
+                subtitle.text = this.markupModule().plainText(subtitle.lines);
+                subtitle.ruby = ruby;
+            }
+            
+            this.subtitles.push(subtitle);
+        }
         
-        // Split by double newline to get subtitle blocks
-        const subtitleBlocks = normalizedContent.trim().split('\n\n');
+        this.buildIndex();
+        return this.subtitles;
+    }
+    
+    /**
+     * Parse WebVTT file content. Malformed cues are skipped and reported in this.errors.
+     * @param {string} content - WebVTT file content
+     * @returns {Array} - Array of subtitle objects with start, end, text, lines, rawText and settings
+     *     properties (see parseSRT), plus ruby segments for cues with <ruby> tags
+     */
+    parseVTT(content) {
+        this.subtitles = [];
+        this.errors = [];
+        this.format = 'vtt';
         
-        for (const block of subtitleBlocks) {
-            // Parse each subtitle block
-            const lines = block.split('\n');
+        for (const block of this.splitBlocks(content)) {
+            const lines = block.lines;
             
-            // Skip empty blocks
-            if (lines.length < 3) continue;
+            // Header, comment, style and region blocks carry no cues
+            if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
             
-            // Skip index number and get to timestamp line
-            let timestampLine = lines[1];
+            // Cue identifier is optional, so look for the timing line in the first two lines
+            const timingIndex = lines.findIndex((line, i) => i < 2 && line.includes('-->'));
+            if (timingIndex === -1) {
+                this.addError(block.line, `No timing line in block "${lines[0]}"`);
+                continue;
+            }
             
-            // Parse timestamp line (format: 00:00:00,000 --> 00:00:00,000)
-            const timeMatch = timestampLine.match(/(\d{2}:\d{2}:\d{2},\d{3}) --> (\d{2}:\d{2}:\d{2},\d{3})/);
-            if (!timeMatch) continue;
+            const timeMatch = lines[timingIndex].match(/^\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/);
+            if (!timeMatch) {
+                this.addError(block.line + timingIndex, `Invalid timing line "${lines[timingIndex]}"`);
+                continue;
+            }
             
-            const startTime = this.timeToMilliseconds(timeMatch[1]);
-            const endTime = this.timeToMilliseconds(timeMatch[2]);
+            const startTime = this.timestampToMilliseconds(timeMatch[1]);
+            const endTime = this.timestampToMilliseconds(timeMatch[2]);
+            if (endTime < startTime) {
+                this.addError(block.line + timingIndex, `End time is before start time in "${lines[timingIndex]}"`);
+                continue;
+            }
             
-            // Join all text lines
-            const text = lines.slice(2).join(' ');
+            const textLines = lines.slice(timingIndex + 1);
+            const ruby = this.parseVTTRuby(textLines.join(' ').trim());
+            // The <rt> readings (and <rp> fallbacks) of <ruby> tags are not part of the text
+            const markup = this.parseMarkup(ruby ? textLines.map(line => line.replace(/<(rt|rp)>[^<]*(?:<\/\1>)?/gi, '')) : textLines, 'vtt');
+            const text = this.markupModule().plainText(markup.lines);
+            if (!text) continue;
             
-            this.subtitles.push({
+            const subtitle = {
                 start: startTime,
                 end: endTime,
-                text: text
-            });
+                text: text,
+                lines: markup.lines,
+                rawText: textLines.join('\n'),
+                settings: this.parseVTTSettings(timeMatch[3])
+            };
+            if (ruby) subtitle.ruby = ruby;
+            
+            this.subtitles.push(subtitle);
+        }
+        
+        this.buildIndex();
+        return this.subtitles;
+    }
+    
+    /**
+     * Split SRT/WebVTT content into blocks separated by one or more blank lines
+     * @param {string} content - File content
+     * @returns {Array} - Blocks with their lines and the 1-based line number of their first line
+     */
+    splitBlocks(content) {
+        const lines = this.stripBOM(content).split(/\r\n|\r|\n/);
+        const blocks = [];
+        let block = null;
+        
+        lines.forEach((line, i) => {
+            if (!line.trim()) {
+                block = null;
+            } else if (block) {
+                block.lines.push(line);
+            } else {
+                block = { line: i + 1, lines: [line] };
+                blocks.push(block);
+            }
+        });
+        
+        return blocks;
+    }
+    
+    /**
+     * SubtitleMarkup, which is a separate script in the browser and a module in Node
+     * @returns {Function} - The SubtitleMarkup class
+     */
+    markupModule() {
+        return typeof SubtitleMarkup !== 'undefined' ? SubtitleMarkup : require('./subtitle-markup.js');
+    }
+    
+    /**
+     * Parse the styling tags and line breaks of a cue's text
+     * @param {Array} lines - Text lines; for ASS, the Text field
+     * @param {string} format - 'srt', 'vtt' or 'ass'
+     * @returns {object} - {lines, alignment}, see SubtitleMarkup.parse()
+     */
+    parseMarkup(lines, format) {
+        return this.markupModule().parse(lines, format);
+    }
+    
+    /**
+     * Record a parse error
+     * @param {number} line - 1-based line number in the file
+     * @param {string} message - What is wrong
+     */
+    addError(line, message) {
+        this.errors.push({ line: line, message: message });
+    }
+    
+    /**
+     * Parse ASS/SSA file content. Dialogue lines with invalid timestamps are reported in this.errors.
+     * @param {string} content - ASS/SSA file content
+     * @returns {Array} - Array of subtitle objects with start, end, text, lines, style and position properties
+     */
+    parseASS(content) {
+        this.subtitles = [];
+        this.errors = [];
+        this.format = 'ass';
+        this.styles = {};
+        this.scriptInfo = {};
+        
+        const lines = this.stripBOM(content).split(/\r\n|\r|\n/);
+        let section = '';
+        let styleFormat = null;
+        let eventFormat = null;
+        
+        for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+            const line = lines[lineIndex].trim();
+            if (!line || line.startsWith(';')) continue;
+            
+            const sectionMatch = line.match(/^\[(.+)\]$/);
+            if (sectionMatch) {
+                section = sectionMatch[1].toLowerCase();
+                continue;
+            }
+            
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+            
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            
+            if (section === 'script info') {
+                this.scriptInfo[key] = value;
+            } else if (section === 'v4+ styles' || section === 'v4 styles') {
+                if (key === 'Format') {
+                    styleFormat = value.split(',').map(field => field.trim());
+                } else if (key === 'Style' && styleFormat) {
+                    const style = this.parseASSFields(value, styleFormat);
+                    this.styles[style.Name] = style;
+                }
+            } else if (section === 'events') {
+                if (key === 'Format') {
+                    eventFormat = value.split(',').map(field => field.trim());
+                } else if (key === 'Dialogue') {
+                    if (!eventFormat) {
+                        this.addError(lineIndex + 1, "Dialogue line before the [Events] Format line");
+                        continue;
+                    }
+                    
+                    const cue = this.parseASSDialogue(value, eventFormat);
+                    if (cue && (isNaN(cue.start) || isNaN(cue.end))) {
+                        this.addError(lineIndex + 1, `Invalid timestamps in "${line}"`);
+                    } else if (cue && cue.end < cue.start) {
+                        this.addError(lineIndex + 1, `End time is before start time in "${line}"`);
+                    } else if (cue) {
+                        this.subtitles.push(cue);
+                    }
+                }
+            }
         }
         
+        // Dialogue lines in ASS files are not guaranteed to be in time order
+        this.subtitles.sort((a, b) => a.start - b.start);
+        
+        this.buildIndex();
         return this.subtitles;
     }
     
+    /**
+     * Turn a single ASS Dialogue line into a subtitle object
+     * @param {string} value - Dialogue line without the "Dialogue:" prefix
+     * @param {Array} format - Field names from the [Events] Format line
+     * @returns {object|null} - Subtitle object or null if the line has no text.
+     *     The raw fields are kept so the line can be written back unchanged apart from its timing.
+     */
+    parseASSDialogue(value, format) {
+        const fields = this.parseASSFields(value, format);
+        const rawText = fields.Text || '';
+        const style = this.styles[fields.Style] || this.styles[(fields.Style || '').replace(/^\*/, '')] || null;
+        
+        const ruby = this.parseKaraokeRuby(rawText);
+        const lines = this.parseMarkup([ruby ? this.stripKaraokeReadings(rawText) : rawText], 'ass').lines;
+        const text = this.markupModule().plainText(lines);
+        if (!text) return null;
+        
+        const subtitle = {
+            start: this.timestampToMilliseconds(fields.Start),
+            end: this.timestampToMilliseconds(fields.End),
+            text: text,
+            lines: lines,
+            fields: fields,
+            layer: parseInt(fields.Layer, 10) || 0,
+            actor: fields.Name || fields.Actor || '',
+            style: style,
+            position: this.parseASSPosition(rawText, style, fields)
+        };
+        if (ruby) subtitle.ruby = ruby;
+        
+        return subtitle;
+    }
+    
+    /**
+     * Read furigana from SRT text written as 漢字[かんじ], or ｜はい[hai] when the base is not kanji.
+     * Only brackets holding kana or romaji right after kanji (or a ｜-marked base) count,
+     * so sound cues like [拍手] are left alone.
+     * @param {string} text - Cue text
+     * @returns {Array|null} - Ruby segments (text and reading, null for plain text), or null without readings
+     */
+    parseBracketRuby(text) {
+        const pattern = /(?:｜([^｜[\]]+)|([\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF々〆ヶ]+))\[([\u3041-\u30FFa-zA-Zāīūēō' -]+)\]/g;
+        return this.collectRuby(text, pattern, plain => plain);
+    }
+    
+    /**
+     * Read furigana from WebVTT <ruby>base<rt>reading</rt></ruby> tags
+     * @param {string} text - Cue text with tags
+     * @returns {Array|null} - Ruby segments, or null without readings
+     */
+    parseVTTRuby(text) {
+        if (!/<ruby>/i.test(text)) return null;
+        
+        // Inside <ruby>, each base text is followed by its <rt>; the closing </rt> is optional
+        const pattern = /(?:<ruby>)?([^<]+)<rt>([^<]*)(?:<\/rt>)?(?:<\/ruby>)?/gi;
+        return this.collectRuby(text, pattern, plain => this.stripVTTTags(plain));
+    }
+    
+    /**
+     * Read furigana from ASS karaoke syllables written as {\kNN}漢字|かんじ (Aegisub furigana syntax)
+     * @param {string} rawText - Dialogue text including override tags
+     * @returns {Array|null} - Ruby segments, or null if the line is not karaoke with readings
+     */
+    parseKaraokeRuby(rawText) {
+        if (!/\\[kK][fo]?\d/.test(rawText) || !rawText.includes('|')) return null;
+        
+        const segments = rawText.split(/\{[^}]*\}/)
+            .filter(syllable => syllable)
+            .map(syllable => {
+                const separator = syllable.indexOf('|');
+                const text = separator === -1 ? syllable : syllable.slice(0, separator);
+                return {
+                    text: text.replace(/\\[Nn]/g, ' ').replace(/\\h/g, ' '),
+                    reading: separator === -1 ? null : syllable.slice(separator + 1)
+                };
+            });
+        
+        return segments.some(segment => segment.reading !== null) ? segments : null;
+    }
+    
+    /**
+     * Remove the readings from karaoke syllables ({\k20}漢字|かんじ becomes {\k20}漢字), keeping the override tags
+     * @param {string} rawText - Dialogue text of a karaoke line with readings
+     * @returns {string} - Dialogue text without the readings
+     */
+    stripKaraokeReadings(rawText) {
+        return rawText.replace(/\|[^{]*/g, '');
+    }
+    
+    /**
+     * Split text into ruby segments around the matches of a pattern capturing base text and reading
+     * @param {string} text - Text
+     * @param {RegExp} pattern - Global pattern with groups for the base text and then the reading
+     * @param {Function} clean - Cleans the base text and the text between matches
+     * @returns {Array|null} - Ruby segments, or null if nothing matched
+     */
+    collectRuby(text, pattern, clean) {
+        const segments = [];
+        let last = 0;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > last) {
+                segments.push({ text: clean(text.slice(last, match.index)), reading: null });
+            }
+            // The base text may be in either of two alternative groups; the reading is the last group
+            const base = match.slice(1, -1).find(group => group !== undefined);
+            segments.push({ text: clean(base), reading: clean(match[match.length - 1]) });
+            last = pattern.lastIndex;
+        }
+        if (!segments.length) return null;
+        
+        if (last < text.length) {
+            segments.push({ text: clean(text.slice(last)), reading: null });
+        }
+        return segments.filter(segment => segment.text);
+    }
+    
+    /**
+     * Text of an ASS line without override tags and karaoke readings
+     * @param {string} rawText - Dialogue text including override tags
+     * @returns {string} - Plain text
+     */
+    assPlainText(rawText) {
+        const text = this.parseKaraokeRuby(rawText) ? this.stripKaraokeReadings(rawText) : rawText;
+        return this.markupModule().plainText(this.parseMarkup([text], 'ass').lines);
+    }
+    
+    /**
+     * Leading override block of an ASS line (e.g. {\an8\pos(320,50)}) without karaoke timing
+     * @param {string} rawText - Dialogue text including override tags
+     * @returns {string} - Override block, or an empty string
+     */
+    leadingASSTags(rawText) {
+        const match = rawText.match(/^\{[^}]*\}/);
+        if (!match) return '';
+        
+        const tags = match[0].replace(/\\k[fo]?\d+/gi, '');
+        return tags === '{}' ? '' : tags;
+    }
+    
+    /**
+     * Split a comma separated ASS line into named fields. The last field may itself contain commas.
+     * @param {string} value - Line content after the key
+     * @param {Array} format - Field names
+     * @returns {object} - Map of field name to value
+     */
+    parseASSFields(value, format) {
+        const parts = value.split(',');
+        const fields = {};
+        
+        format.forEach((name, i) => {
+            const isLast = i === format.length - 1;
+            fields[name] = (isLast ? parts.slice(i).join(',') : parts[i] || '').trim();
+        });
+        
+        return fields;
+    }
+    
+    /**
+     * Resolve alignment, explicit position and margins for an ASS cue
+     * @param {string} rawText - Dialogue text including override tags
+     * @param {object|null} style - Resolved style for the cue
+     * @param {object} fields - Dialogue fields
+     * @returns {object} - Position info: alignment (numpad layout), x, y, marginL, marginR, marginV
+     */
+    parseASSPosition(rawText, style, fields) {
+        let alignment = style ? parseInt(style.Alignment, 10) : 2;
+        let x = null;
+        let y = null;
+        
+        // Legacy SSA styles use a different alignment numbering
+        if (style && this.scriptInfo.ScriptType && this.scriptInfo.ScriptType.toLowerCase() === 'v4.00') {
+            alignment = this.legacyAlignmentToNumpad(alignment);
+        }
+        
+        const anMatch = rawText.match(/\\an([1-9])/);
+        const legacyMatch = rawText.match(/\\a(\d{1,2})(?![0-9n])/);
+        if (anMatch) {
+            alignment = parseInt(anMatch[1], 10);
+        } else if (legacyMatch) {
+            alignment = this.legacyAlignmentToNumpad(parseInt(legacyMatch[1], 10));
+        }
+        
+        const posMatch = rawText.match(/\\pos\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\)/);
+        if (posMatch) {
+            x = parseFloat(posMatch[1]);
+            y = parseFloat(posMatch[2]);
+        }
+        
+        // Per-line margins override the style when non-zero
+        const margin = (name) => {
+            const value = parseInt(fields[name], 10);
+            if (value) return value;
+            return style ? parseInt(style[name], 10) || 0 : 0;
+        };
+        
+        return {
+            alignment: alignment || 2,
+            x: x,
+            y: y,
+            marginL: margin('MarginL'),
+            marginR: margin('MarginR'),
+            marginV: margin('MarginV')
+        };
+    }
+    
+    /**
+     * Convert legacy SSA alignment (1-3 bottom, +4 top, +8 middle) to numpad layout used by \an
+     * @param {number} value - Legacy alignment value
+     * @returns {number} - Numpad alignment
+     */
+    legacyAlignmentToNumpad(value) {
+        const horizontal = value & 3;
+        if (value & 4) return horizontal + 6;
+        if (value & 8) return horizontal + 3;
+        return horizontal;
+    }
+    
+    /**
+     * Parse WebVTT cue settings (e.g. "line:0 position:50% align:start")
+     * @param {string} settingsString - Text after the end timestamp
+     * @returns {object} - Map of setting name to value
+     */
+    parseVTTSettings(settingsString) {
+        const settings = {};
+        
+        for (const part of settingsString.trim().split(/\s+/)) {
+            const separator = part.indexOf(':');
+            if (separator > 0) {
+                settings[part.slice(0, separator)] = part.slice(separator + 1);
+            }
+        }
+        
+        return settings;
+    }
+    
+    /**
+     * Remove WebVTT cue tags (<c>, <v>, <i>, inline timestamps...) and decode entities
+     * @param {string} line - Cue text line
+     * @returns {string} - Plain text
+     */
+    stripVTTTags(line) {
+        return this.markupModule().decodeEntities(line.replace(/<[^>]*>/g, ''));
+    }
+    
+    /**
+     * Remove a leading byte order mark
+     * @param {string} content - File content
+     * @returns {string} - Content without BOM
+     */
+    stripBOM(content) {
+        return content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+    }
+    
     /**
      * Convert SRT timestamp to milliseconds
-     * @param {string} timeString - SRT timestamp (format: 00:00:00,000)
+     * @param {string} timeString - SRT timestamp (format: 00:00:00,000; "." is accepted before the milliseconds)
      * @returns {number} - Milliseconds
      */
     timeToMilliseconds(timeString) {
-        const [time, milliseconds] = timeString.split(',');
+        const [time, milliseconds] = timeString.split(/[,.]/);
         const [hours, minutes, seconds] = time.split(':').map(Number);
         
-        return (hours * 3600 + minutes * 60 + seconds) * 1000 + parseInt(milliseconds);
+        return (hours * 3600 + minutes * 60 + seconds) * 1000 + parseInt(milliseconds.padEnd(3, '0'));
+    }
+    
+    /**
+     * Convert VTT/ASS timestamp to milliseconds
+     * @param {string} timeString - Timestamp such as 00:01.500, 00:00:01.500 or 0:00:01.50
+     * @returns {number} - Milliseconds
+     */
+    timestampToMilliseconds(timeString) {
+        const [time, fraction = '0'] = timeString.trim().split('.');
+        const parts = time.split(':').map(Number);
+        while (parts.length < 3) parts.unshift(0);
+        const [hours, minutes, seconds] = parts;
+        
+        // ASS uses centiseconds, VTT uses milliseconds
+        const milliseconds = Math.round(parseInt(fraction, 10) * Math.pow(10, 3 - fraction.length));
+        
+        return (hours * 3600 + minutes * 60 + seconds) * 1000 + milliseconds;
+    }
+    
+    /**
+     * Shift and stretch every cue relative to the times in the file
+     * @param {object} timing - Adjustment: new time = file time * scale + offset (ms)
+     * @param {number} timing.scale - Speed factor, e.g. 25 / 23.976 for a framerate mismatch
+     * @param {number} timing.offset - Offset in milliseconds
+     */
+    setTiming(timing) {
+        this.timing = { scale: timing.scale, offset: timing.offset };
+        
+        for (const subtitle of this.subtitles) {
+            const source = this.sourceTiming(subtitle);
+            subtitle.start = Math.max(0, Math.round(source.start * timing.scale + timing.offset));
+            subtitle.end = Math.max(0, Math.round(source.end * timing.scale + timing.offset));
+        }
+        
+        this.buildIndex();
+    }
+    
+    /**
+     * Times of a cue as written in the file, before any timing adjustment
+     * @param {object} subtitle - Subtitle object
+     * @returns {object} - Object with start and end in milliseconds
+     */
+    sourceTiming(subtitle) {
+        if (!this.sourceTimes.has(subtitle)) {
+            this.sourceTimes.set(subtitle, { start: subtitle.start, end: subtitle.end });
+        }
+        return this.sourceTimes.get(subtitle);
+    }
+    
+    /**
+     * Compute a timing adjustment from one or two sync points. One point only shifts the cues;
+     * two points also stretch them, which fixes drift from a framerate mismatch.
+     * @param {object} first - Sync point: source (time in the file) and target (true time), in ms
+     * @param {object} [second] - Second sync point, on another cue
+     * @returns {object} - Timing with scale and offset, see setTiming()
+     */
+    static timingFromPoints(first, second) {
+        if (!second) {
+            return { scale: 1, offset: first.target - first.source };
+        }
+        if (first.source === second.source) {
+            throw new Error("Sync points must be on lines with different start times");
+        }
+        
+        const scale = (second.target - first.target) / (second.source - first.source);
+        if (scale <= 0) {
+            throw new Error("Sync points are in the wrong order");
+        }
+        return { scale: scale, offset: first.target - first.source * scale };
+    }
+    
+    /**
+     * Write the cues, with their current timing, back to a subtitle file
+     * @param {string} [format] - 'srt', 'vtt' or 'ass'; defaults to the format that was parsed
+     * @param {Map} [ruby] - Ruby segments ({text, reading}) per cue, to bake readings into the file: one array
+     *     of segments per line of the cue (a flat array is a single line). Segments may carry the style of the
+     *     run they come from (italic, bold, underline, strike, color), which is written as the format's tags.
+     *     Segments are used only when their text adds up to the cue text.
+     * @returns {string} - File content
+     */
+    serialize(format = this.format, ruby) {
+        switch (format) {
+            case 'vtt':
+                return this.toVTT(ruby);
+            case 'ass':
+                return this.toASS(ruby);
+            default:
+                return this.toSRT(ruby);
+        }
+    }
+    
+    /**
+     * Lines of ruby segments to write for a cue
+     * @param {object} subtitle - Subtitle object
+     * @param {Map} [ruby] - Ruby segments per cue, see serialize()
+     * @returns {Array|null} - Lines of segments, or null to write the plain text
+     */
+    rubyFor(subtitle, ruby) {
+        const value = ruby && ruby.get(subtitle);
+        if (!value || !value.length) return null;
+        
+        const lines = Array.isArray(value[0]) ? value : [value];
+        if (!lines.some(line => line.some(segment => segment.reading))) return null;
+        return this.markupModule().plainText(lines) === subtitle.text ? lines : null;
+    }
+    
+    /**
+     * Write a line of ruby segments, wrapping each stretch of equally styled segments in SRT or WebVTT tags
+     * @param {Array} line - Ruby segments with the style of their run
+     * @param {string} format - 'srt' or 'vtt'
+     * @param {Function} write - Text for one segment, with its reading
+     * @returns {string} - Cue text line
+     */
+    styledLine(line, format, write) {
+        const markup = this.markupModule();
+        const stretches = [];
+        for (const segment of line) {
+            const last = stretches[stretches.length - 1];
+            if (last && markup.sameStyle(last.style, segment)) {
+                last.text += write(segment);
+            } else {
+                stretches.push({ style: segment, text: write(segment) });
+            }
+        }
+        
+        return stretches.map(({ style, text }) => {
+            // WebVTT has no tag for strike-through, and only its colour classes
+            if (style.color && format === 'srt' && markup.isSafeColor(style.color)) text = `<font color="${style.color}">${text}</font>`;
+            if (style.color && format === 'vtt' && markup.VTT_COLORS.includes(style.color)) text = `<c.${style.color}>${text}</c>`;
+            if (style.strike && format === 'srt') text = `<s>${text}</s>`;
+            if (style.underline) text = `<u>${text}</u>`;
+            if (style.bold) text = `<b>${text}</b>`;
+            if (style.italic) text = `<i>${text}</i>`;
+            return text;
+        }).join('');
+    }
+    
+    /**
+     * ASS override tags that switch from one run style to another
+     * @param {object} style - Style of the next syllable
+     * @param {object} previous - Style so far
+     * @returns {string} - Tags such as \i1\c&H0000FF&, without braces
+     */
+    assStyleTags(style, previous) {
+        const flags = { italic: 'i', bold: 'b', underline: 'u', strike: 's' };
+        let tags = '';
+        for (const [key, tag] of Object.entries(flags)) {
+            if (Boolean(style[key]) !== Boolean(previous[key])) tags += `\\${tag}${style[key] ? 1 : 0}`;
+        }
+        
+        // ASS colours are &HBBGGRR&; colour names have no ASS form and fall back to the line style
+        const assColor = color => /^#[0-9a-f]{6}$/i.test(color || '') ? `&H${color.slice(5, 7)}${color.slice(3, 5)}${color.slice(1, 3)}&`.toUpperCase() : '';
+        if (assColor(style.color) !== assColor(previous.color)) tags += `\\c${assColor(style.color)}`;
+        return tags;
+    }
+    
+    /**
+     * Whether a cue's text is still the text that was parsed, so its markup and line breaks apply
+     * @param {object} subtitle - Subtitle object
+     * @returns {boolean} - False when the cue has no parsed lines or its text was changed since
+     */
+    isUnedited(subtitle) {
+        return Boolean(subtitle.lines) && this.markupModule().plainText(subtitle.lines) === subtitle.text;
+    }
+    
+    /**
+     * Replace the text of a cue with new lines of styled runs (e.g. the text annotated with readings),
+     * keeping its timing, settings and position. The cue is then written from these lines, see cueText().
+     * @param {object} subtitle - Subtitle object
+     * @param {Array} lines - Lines of runs, see SubtitleMarkup.parse()
+     */
+    setLines(subtitle, lines) {
+        subtitle.lines = lines;
+        subtitle.text = this.markupModule().plainText(lines);
+        delete subtitle.rawText;
+    }
+    
+    /**
+     * Text to write for a cue without readings: its parsed lines with the format's tags for their style,
+     * or the cue text as a single line if it was edited
+     * @param {object} subtitle - Subtitle object
+     * @param {string} format - 'srt', 'vtt' or 'ass'
+     * @returns {string} - Cue text; for ASS, the Dialogue text without the leading override block of parsed lines
+     */
+    cueText(subtitle, format) {
+        const escape = this.markupModule().escapeHTML;
+        const lines = this.isUnedited(subtitle) ? subtitle.lines : [[{ text: subtitle.text }]];
+        
+        switch (format) {
+            case 'vtt':
+                return lines.map(line => this.styledLine(line, 'vtt', run => escape(run.text))).join('\n');
+            case 'ass': {
+                let style = {};
+                return (subtitle.fields ? '' : this.alignmentTag(subtitle)) + lines.map(line => line.map(run => {
+                    const tags = this.assStyleTags(run, style);
+                    style = run;
+                    return (tags ? `{${tags}}` : '') + run.text;
+                }).join('')).join('\\N');
+            }
+            default:
+                return this.alignmentTag(subtitle) + lines.map(line => this.styledLine(line, 'srt', run => run.text)).join('\n');
+        }
+    }
+    
+    /**
+     * {\anN} tag for the position of a cue, read by SRT players and ASS; bottom centre (2) is the default
+     * @param {object} subtitle - Subtitle object
+     * @returns {string} - Tag, or an empty string for the default position
+     */
+    alignmentTag(subtitle) {
+        const alignment = subtitle.position && subtitle.position.alignment;
+        return alignment && alignment !== 2 ? `{\\an${alignment}}` : '';
+    }
+    
+    /**
+     * Original text of a cue, with its tags and line breaks, when writing it back to the format it came from
+     * @param {object} subtitle - Subtitle object
+     * @param {string} format - Format being written
+     * @returns {string|null} - Raw text, or null if the cue has to be written from its plain text
+     */
+    sourceText(subtitle, format) {
+        return format === this.format && subtitle.rawText !== undefined && this.isUnedited(subtitle) ? subtitle.rawText : null;
+    }
+    
+    /**
+     * Write the cues as SRT, with readings in brackets after the kanji: 漢字[かんじ].
+     * Readings of kana (romaji mode) mark where their base starts: ｜はい[hai].
+     * @param {Map} [ruby] - Ruby segments per cue, see serialize()
+     * @returns {string} - SRT content
+     */
+    toSRT(ruby) {
+        return this.index.map((subtitle, i) => {
+            const lines = this.rubyFor(subtitle, ruby);
+            const text = lines ?
+                this.alignmentTag(subtitle) + lines.map(line => this.styledLine(line, 'srt', segment => {
+                    if (!segment.reading) return segment.text;
+                    const marker = /^[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF々〆ヶ]+$/.test(segment.text) ? '' : '｜';
+                    return `${marker}${segment.text}[${segment.reading}]`;
+                })).join('\n') :
+                this.sourceText(subtitle, 'srt') || this.cueText(subtitle, 'srt');
+            return `${i + 1}\n${this.formatTimestamp(subtitle.start, 'srt')} --> ${this.formatTimestamp(subtitle.end, 'srt')}\n${text}\n`;
+        }).join('\n');
+    }
+    
+    /**
+     * Write the cues as WebVTT, keeping their cue settings, with readings as <ruby>/<rt> tags
+     * @param {Map} [ruby] - Ruby segments per cue, see serialize()
+     * @returns {string} - WebVTT content
+     */
+    toVTT(ruby) {
+        const escape = this.markupModule().escapeHTML;
+        const cues = this.index.map(subtitle => {
+            const settings = Object.entries(subtitle.settings || {}).map(([name, value]) => ` ${name}:${value}`).join('');
+            const lines = this.rubyFor(subtitle, ruby);
+            const text = lines ?
+                lines.map(line => this.styledLine(line, 'vtt', segment => segment.reading ?
+                    `<ruby>${escape(segment.text)}<rt>${escape(segment.reading)}</rt></ruby>` :
+                    escape(segment.text)
+                )).join('\n') :
+                this.sourceText(subtitle, 'vtt') || this.cueText(subtitle, 'vtt');
+            return `${this.formatTimestamp(subtitle.start, 'vtt')} --> ${this.formatTimestamp(subtitle.end, 'vtt')}${settings}\n${text}\n`;
+        });
+        
+        return ['WEBVTT\n'].concat(cues).join('\n');
+    }
+    
+    /**
+     * ASS text for a cue with readings as karaoke syllables in Aegisub furigana syntax
+     * ({\kNN}漢字|かんじ). The cue duration is shared between syllables by length.
+     * Aegisub's karaoke templater turns these into furigana; a leading position/alignment block is kept.
+     * Line breaks are empty syllables of their own ({\k0}\N), and style changes go into the syllable's tags.
+     * @param {object} subtitle - Subtitle object
+     * @param {Array} lines - Lines of ruby segments
+     * @returns {string} - Dialogue text
+     */
+    karaokeText(subtitle, lines) {
+        const duration = Math.max(0, Math.round((subtitle.end - subtitle.start) / 10));
+        const segments = [].concat(...lines);
+        const length = segments.reduce((sum, segment) => sum + segment.text.length, 0);
+        let used = 0;
+        let count = 0;
+        let style = {};
+        
+        const syllables = lines.map(line => line.map(segment => {
+            count++;
+            const centiseconds = count === segments.length ? duration - used : Math.round(duration * segment.text.length / length);
+            used += centiseconds;
+            const tags = this.assStyleTags(segment, style);
+            style = segment;
+            return `{\\k${Math.max(0, centiseconds)}${tags}}${segment.text}${segment.reading ? '|' + segment.reading : ''}`;
+        }).join(''));
+        
+        return this.leadingASSTags(subtitle.fields ? subtitle.fields.Text : '') + syllables.join('{\\k0}\\N');
+    }
+    
+    /**
+     * Write the cues as ASS. Script info and styles are kept, and parsed ASS lines keep
+     * their override tags unless their text was changed; cues from other formats use the Default style.
+     * Cues with readings become karaoke lines, see karaokeText().
+     * @param {Map} [ruby] - Ruby segments per cue, see serialize()
+     * @returns {string} - ASS content
+     */
+    toASS(ruby) {
+        const eventFormat = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+        const styles = Object.values(this.styles);
+        const styleFormat = styles.length ? Object.keys(styles[0]) : null;
+        const lines = ['[Script Info]'];
+        
+        const scriptInfo = Object.assign({ ScriptType: 'v4.00+' }, this.scriptInfo);
+        for (const [key, value] of Object.entries(scriptInfo)) {
+            lines.push(`${key}: ${value}`);
+        }
+        
+        // Legacy SSA styles keep their own section name and alignment numbering
+        lines.push('', /^v4\.00$/i.test(scriptInfo.ScriptType) ? '[V4 Styles]' : '[V4+ Styles]');
+        if (styleFormat) {
+            lines.push(`Format: ${styleFormat.join(', ')}`);
+            for (const style of styles) {
+                lines.push(`Style: ${styleFormat.map(name => style[name]).join(',')}`);
+            }
+        } else {
+            lines.push(
+                'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+                'Style: Default,Arial,48,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,2,20,20,20,1'
+            );
+        }
+        
+        lines.push('', '[Events]', `Format: ${eventFormat.join(', ')}`);
+        for (const subtitle of this.index) {
+            const fields = Object.assign({ Layer: '0', Style: 'Default', Name: '', MarginL: '0', MarginR: '0', MarginV: '0', Effect: '', Text: this.cueText(subtitle, 'ass') }, subtitle.fields);
+            fields.Start = this.formatTimestamp(subtitle.start, 'ass');
+            fields.End = this.formatTimestamp(subtitle.end, 'ass');
+            if (!subtitle.fields) fields.Name = subtitle.actor || '';
+            
+            const rubyLines = this.rubyFor(subtitle, ruby);
+            if (rubyLines) {
+                fields.Text = this.karaokeText(subtitle, rubyLines);
+            } else if (subtitle.fields && this.assPlainText(subtitle.fields.Text) !== subtitle.text) {
+                // The text was changed after parsing (e.g. readings written inline): keep the leading position block
+                // and write the new lines
+                fields.Text = this.leadingASSTags(subtitle.fields.Text) + this.cueText(subtitle, 'ass');
+            }
+            lines.push(`Dialogue: ${eventFormat.map(name => fields[name] || '').join(',')}`);
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Format milliseconds as a timestamp for a subtitle format
+     * @param {number} ms - Milliseconds
+     * @param {string} format - 'srt' (00:00:01,500), 'vtt' (00:00:01.500) or 'ass' (0:00:01.50)
+     * @returns {string} - Timestamp
+     */
+    formatTimestamp(ms, format) {
+        const pad = (value, length) => String(value).padStart(length, '0');
+        const hours = Math.floor(ms / 3600000);
+        const clock = `${pad(Math.floor(ms / 60000) % 60, 2)}:${pad(Math.floor(ms / 1000) % 60, 2)}`;
+        
+        if (format === 'ass') {
+            return `${hours}:${clock}.${pad(Math.floor(ms % 1000 / 10), 2)}`;
+        }
+        return `${pad(hours, 2)}:${clock}${format === 'srt' ? ',' : '.'}${pad(ms % 1000, 3)}`;
+    }
+    
+    /**
+     * Build the interval index used for time lookups: an augmented interval tree stored in the
+     * cues sorted by start time. The middle cue of a range is the root of that range's subtree,
+     * and subtreeEnds holds the latest end time in each subtree, so a lookup skips every subtree
+     * that ends before the range it is looking for, however long any single cue is.
+     */
+    buildIndex() {
+        this.index = this.subtitles.slice().sort((a, b) => a.start - b.start);
+        this.subtreeEnds = new Array(this.index.length);
+        
+        const build = (low, high) => {
+            if (low > high) return -Infinity;
+            const mid = (low + high) >> 1;
+            this.subtreeEnds[mid] = Math.max(this.index[mid].end, build(low, mid - 1), build(mid + 1, high));
+            return this.subtreeEnds[mid];
+        };
+        build(0, this.index.length - 1);
+    }
+    
+    /**
+     * Find all subtitles active at a specific timestamp, including overlapping cues
+     * @param {number} time - Current video time in milliseconds
+     * @returns {Array} - Active subtitle objects ordered by start time
+     */
+    findSubtitlesAtTime(time) {
+        return this.findSubtitlesInRange(time, time);
+    }
+    
+    /**
+     * Find all subtitles overlapping a time range
+     * @param {number} start - Range start in milliseconds
+     * @param {number} end - Range end in milliseconds
+     * @param {number} [minOverlap=0] - Minimum overlap in milliseconds for a cue to count
+     * @returns {Array} - Overlapping subtitle objects ordered by start time
+     */
+    findSubtitlesInRange(start, end, minOverlap = 0) {
+        const found = [];
+        
+        // In-order walk, so the cues come out sorted by start time
+        const search = (low, high) => {
+            if (low > high) return;
+            const mid = (low + high) >> 1;
+            if (this.subtreeEnds[mid] < start) return;
+            
+            search(low, mid - 1);
+            const subtitle = this.index[mid];
+            // Cues to the right start even later
+            if (subtitle.start > end) return;
+            
+            const overlap = Math.min(end, subtitle.end) - Math.max(start, subtitle.start);
+            if (subtitle.end >= start && overlap >= minOverlap) {
+                found.push(subtitle);
+            }
+            search(mid + 1, high);
+        };
+        search(0, this.index.length - 1);
+        
+        return found;
     }
     
     /**
@@ -68,11 +1003,10 @@ class SubtitleParser {
      * @returns {object|null} - Subtitle object or null if no subtitle for this time
      */
     findSubtitleAtTime(time) {
-        return this.subtitles.find(subtitle => 
-            time >= subtitle.start && time <= subtitle.end
-        ) || null;
+        return this.findSubtitlesAtTime(time)[0] || null;
     }
 }
 
-// Create global instance
-const subtitleParser = new SubtitleParser(); 
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubtitleParser;
+}
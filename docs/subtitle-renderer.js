@@ -0,0 +1,271 @@
+/**
+ * Lays the subtitles over the picture: the overlay follows the area the video is actually drawn in
+ * (letterboxing included), text is sized relative to the video height, and cues with a position
+ * (WebVTT line/position/align/size, ASS \an, \pos and margins, SRT {\anN}) are placed where their
+ * file puts them. Cues without one are stacked in the default box at the bottom, above the translation.
+ */
+class SubtitleRenderer {
+    /**
+     * @param {object} elements - Elements the renderer works with
+     * @param {HTMLVideoElement} elements.video - Video element
+     * @param {Element} elements.area - Overlay holding every subtitle element, positioned in the video container
+     * @param {Element} elements.display - Default box for the Japanese cues without a position
+     * @param {Element} elements.layer - Layer for the positioned Japanese cues
+     */
+    constructor(elements) {
+        this.video = elements.video;
+        this.area = elements.area;
+        this.display = elements.display;
+        this.layer = elements.layer;
+        this.scriptInfo = {};
+        this.appearance = Object.assign({}, SubtitleRenderer.PRESETS[0].appearance);
+        
+        // Follow the video's size: window and container resizes, fullscreen, a new video's dimensions
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.layout()).observe(this.video);
+        } else {
+            window.addEventListener('resize', () => this.layout());
+        }
+        this.video.addEventListener('loadedmetadata', () => this.layout());
+    }
+    
+    /**
+     * Use the script resolution of a newly loaded file for ASS positions
+     * @param {object} scriptInfo - [Script Info] fields of an ASS file, empty for other formats
+     */
+    setScriptInfo(scriptInfo) {
+        this.scriptInfo = scriptInfo || {};
+    }
+    
+    /**
+     * Fit the overlay to the picture and size the text from the video height
+     */
+    layout() {
+        const videoRect = this.video.getBoundingClientRect();
+        const containerRect = this.area.offsetParent ? this.area.offsetParent.getBoundingClientRect() : videoRect;
+        const content = SubtitleRenderer.contentRect(videoRect.width, videoRect.height, this.video.videoWidth, this.video.videoHeight);
+        
+        const style = this.area.style;
+        style.left = `${videoRect.left - containerRect.left + content.left}px`;
+        style.top = `${videoRect.top - containerRect.top + content.top}px`;
+        style.width = `${content.width}px`;
+        style.height = `${content.height}px`;
+        style.fontSize = `${Math.max(8, content.height * this.appearance.size / 100)}px`;
+    }
+    
+    /**
+     * Apply font, size, outline, background opacity and furigana size
+     * @param {object} appearance - Appearance, see SubtitleRenderer.PRESETS
+     */
+    setAppearance(appearance) {
+        this.appearance = Object.assign({}, SubtitleRenderer.PRESETS[0].appearance, appearance);
+        const font = SubtitleRenderer.FONTS.find(entry => entry.id === this.appearance.font) || SubtitleRenderer.FONTS[0];
+        
+        const style = this.area.style;
+        style.setProperty('--subtitle-font', font.family);
+        style.setProperty('--subtitle-outline', SubtitleRenderer.outlineShadow(this.appearance.outline / 100));
+        style.setProperty('--subtitle-background', `rgba(0, 0, 0, ${this.appearance.background / 100})`);
+        style.setProperty('--furigana-size', `${this.appearance.furigana / 100}em`);
+        this.layout();
+    }
+    
+    /**
+     * Remove every Japanese cue from the screen
+     */
+    clear() {
+        this.display.innerHTML = '';
+        this.layer.innerHTML = '';
+    }
+    
+    /**
+     * Show a cue: in its own box where the file positions it, or stacked in the default box
+     * @param {Element} line - Rendered cue (a .subtitle-line element)
+     * @param {object} subtitle - Subtitle object
+     */
+    addCue(line, subtitle) {
+        const placement = SubtitleRenderer.placement(subtitle, this.scriptInfo);
+        if (!placement) {
+            this.display.appendChild(line);
+            return;
+        }
+        
+        const box = document.createElement('div');
+        box.className = 'subtitle-text subtitle-positioned';
+        box.style.left = `${placement.x * 100}%`;
+        box.style.top = `${placement.y * 100}%`;
+        box.style.maxWidth = `${placement.maxWidth * 100}%`;
+        box.style.textAlign = placement.textAlign;
+        box.style.transform = `translate(${-placement.xAnchor * 100}%, ${-placement.yAnchor * 100}%)`;
+        box.appendChild(line);
+        this.layer.appendChild(box);
+    }
+    
+    /**
+     * Where a cue goes on screen, as fractions of the picture
+     * @param {object} subtitle - Subtitle object with WebVTT settings or an ASS/SRT position
+     * @param {object} [scriptInfo] - ASS [Script Info], for PlayResX/PlayResY
+     * @returns {object|null} - {x, y, xAnchor, yAnchor, textAlign, maxWidth}: the point (x, y) of the box at
+     *     (xAnchor, yAnchor) of its size, or null for the default bottom-centre position
+     */
+    static placement(subtitle, scriptInfo = {}) {
+        const settings = subtitle.settings || {};
+        if (['line', 'position', 'size'].some(name => name in settings) || (settings.align && settings.align !== 'center')) {
+            return SubtitleRenderer.vttPlacement(settings);
+        }
+        if (subtitle.position) {
+            return SubtitleRenderer.numpadPlacement(subtitle.position, scriptInfo);
+        }
+        return null;
+    }
+    
+    /**
+     * Placement from WebVTT cue settings; "line" as a number counts lines from the top (negative: from the bottom)
+     * @param {object} settings - Cue settings (line, position, align, size)
+     * @returns {object} - Placement, see placement()
+     */
+    static vttPlacement(settings) {
+        const anchors = { start: 0, left: 0, 'line-left': 0, center: 0.5, middle: 0.5, end: 1, right: 1, 'line-right': 1 };
+        const align = settings.align || 'center';
+        const textAlign = { start: 'left', left: 'left', end: 'right', right: 'right' }[align] || 'center';
+        const percent = value => Math.min(100, Math.max(0, parseFloat(value))) / 100;
+        
+        const [position, positionAlign] = (settings.position || '').split(',');
+        let xAnchor = anchors[align] !== undefined ? anchors[align] : 0.5;
+        const x = position && !isNaN(parseFloat(position)) ? percent(position) : xAnchor;
+        if (positionAlign && anchors[positionAlign] !== undefined) {
+            xAnchor = anchors[positionAlign];
+        }
+        
+        let y = 1 - SubtitleRenderer.DEFAULT_MARGIN.y;
+        let yAnchor = 1;
+        const [line, lineAlign] = (settings.line || '').split(',');
+        if (/%$/.test(line)) {
+            y = percent(line);
+            yAnchor = anchors[lineAlign] !== undefined ? anchors[lineAlign] : 0;
+        } else if (line && !isNaN(parseInt(line, 10))) {
+            const number = parseInt(line, 10);
+            y = number >= 0 ? number * SubtitleRenderer.LINE_STEP : 1 + (number + 1) * SubtitleRenderer.LINE_STEP;
+            yAnchor = number >= 0 ? 0 : 1;
+        }
+        
+        const room = xAnchor === 0 ? 1 - x : xAnchor === 1 ? x : 2 * Math.min(x, 1 - x);
+        const maxWidth = settings.size ? Math.min(percent(settings.size), room) : room;
+        return { x: x, y: Math.min(1, Math.max(0, y)), xAnchor: xAnchor, yAnchor: yAnchor, textAlign: textAlign, maxWidth: maxWidth };
+    }
+    
+    /**
+     * Placement from a numpad alignment (\an), an optional \pos and margins in script pixels
+     * @param {object} position - {alignment, x, y, marginL, marginR, marginV}; SRT cues only have an alignment
+     * @param {object} scriptInfo - ASS [Script Info]
+     * @returns {object|null} - Placement, see placement(); null for bottom-centre cues without \pos
+     */
+    static numpadPlacement(position, scriptInfo) {
+        const alignment = position.alignment || 2;
+        const hasPos = typeof position.x === 'number' && typeof position.y === 'number';
+        if (alignment === 2 && !hasPos) return null;
+        
+        const resolution = SubtitleRenderer.playResolution(scriptInfo);
+        const column = (alignment - 1) % 3;
+        const row = alignment <= 3 ? 'bottom' : alignment <= 6 ? 'middle' : 'top';
+        const xAnchor = column / 2;
+        const yAnchor = { bottom: 1, middle: 0.5, top: 0 }[row];
+        const textAlign = ['left', 'center', 'right'][column];
+        
+        if (hasPos) {
+            const x = position.x / resolution.x;
+            const y = position.y / resolution.y;
+            const room = xAnchor === 0 ? 1 - x : xAnchor === 1 ? x : 2 * Math.min(x, 1 - x);
+            return { x: x, y: y, xAnchor: xAnchor, yAnchor: yAnchor, textAlign: textAlign, maxWidth: Math.max(0.1, room) };
+        }
+        
+        // SRT {\anN} has no margins; use the default box's
+        const margin = (value, size, fallback) => value ? value / size : fallback;
+        const left = margin(position.marginL, resolution.x, SubtitleRenderer.DEFAULT_MARGIN.x);
+        const right = margin(position.marginR, resolution.x, SubtitleRenderer.DEFAULT_MARGIN.x);
+        const vertical = margin(position.marginV, resolution.y, SubtitleRenderer.DEFAULT_MARGIN.y);
+        
+        return {
+            x: [left, (left + 1 - right) / 2, 1 - right][column],
+            y: { bottom: 1 - vertical, middle: 0.5, top: vertical }[row],
+            xAnchor: xAnchor,
+            yAnchor: yAnchor,
+            textAlign: textAlign,
+            maxWidth: Math.max(0.1, 1 - left - right)
+        };
+    }
+    
+    /**
+     * Script resolution that ASS coordinates refer to; libass defaults apply when it is missing
+     * @param {object} scriptInfo - ASS [Script Info]
+     * @returns {object} - {x, y}
+     */
+    static playResolution(scriptInfo) {
+        let x = parseFloat(scriptInfo.PlayResX) || 0;
+        let y = parseFloat(scriptInfo.PlayResY) || 0;
+        if (!x && !y) return { x: 384, y: 288 };
+        if (!x) x = y * 4 / 3;
+        if (!y) y = x * 3 / 4;
+        return { x: x, y: y };
+    }
+    
+    /**
+     * Area the picture is drawn in inside the video element (object-fit: contain)
+     * @param {number} width - Element width
+     * @param {number} height - Element height
+     * @param {number} videoWidth - Intrinsic video width, 0 before the metadata is loaded
+     * @param {number} videoHeight - Intrinsic video height
+     * @returns {object} - {left, top, width, height} relative to the element
+     */
+    static contentRect(width, height, videoWidth, videoHeight) {
+        if (!videoWidth || !videoHeight || !width || !height) {
+            return { left: 0, top: 0, width: width, height: height };
+        }
+        
+        const scale = Math.min(width / videoWidth, height / videoHeight);
+        const contentWidth = videoWidth * scale;
+        const contentHeight = videoHeight * scale;
+        return { left: (width - contentWidth) / 2, top: (height - contentHeight) / 2, width: contentWidth, height: contentHeight };
+    }
+    
+    /**
+     * Text shadow drawing an outline around the text
+     * @param {number} width - Outline width in em, 0 for a soft drop shadow only
+     * @returns {string} - CSS text-shadow value
+     */
+    static outlineShadow(width) {
+        if (!width) return '0 0 0.1em rgba(0, 0, 0, 0.8)';
+        
+        const shadows = [];
+        for (let angle = 0; angle < 360; angle += 45) {
+            const radians = angle * Math.PI / 180;
+            shadows.push(`${(Math.cos(radians) * width).toFixed(3)}em ${(Math.sin(radians) * width).toFixed(3)}em 0 black`);
+        }
+        return shadows.join(', ');
+    }
+}
+
+// Fonts offered in the appearance settings, with Japanese fonts common on each platform first
+SubtitleRenderer.FONTS = [
+    { id: 'sans', label: 'Sans-serif (Gothic)', family: '"Noto Sans JP", "Hiragino Sans", "Yu Gothic", Meiryo, Arial, sans-serif' },
+    { id: 'serif', label: 'Serif (Mincho)', family: '"Noto Serif JP", "Hiragino Mincho ProN", "Yu Mincho", serif' },
+    { id: 'rounded', label: 'Rounded', family: '"M PLUS Rounded 1c", "Hiragino Maru Gothic ProN", "Arial Rounded MT Bold", sans-serif' }
+];
+
+// Built-in appearance presets. size: text height in % of the video height; outline: width in 1/100 em;
+// background: opacity of the box behind the text in %; furigana: reading size in % of the text size.
+SubtitleRenderer.PRESETS = [
+    { name: 'Default', appearance: { font: 'sans', size: 4, outline: 4, background: 50, furigana: 60 } },
+    { name: 'Large', appearance: { font: 'sans', size: 6, outline: 5, background: 50, furigana: 55 } },
+    { name: 'Outline only', appearance: { font: 'sans', size: 4.5, outline: 8, background: 0, furigana: 60 } },
+    { name: 'Mincho', appearance: { font: 'serif', size: 4.5, outline: 5, background: 30, furigana: 60 } }
+];
+
+// Margins of the default box and of positioned cues without their own margins, as fractions of the picture
+SubtitleRenderer.DEFAULT_MARGIN = { x: 0.05, y: 0.08 };
+
+// Height of a WebVTT line for numeric "line" settings, as a fraction of the picture (browsers use about 5.33vh)
+SubtitleRenderer.LINE_STEP = 0.0533;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubtitleRenderer;
+}
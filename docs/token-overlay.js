@@ -0,0 +1,119 @@
+/**
+ * Part-of-speech colouring and pitch-accent marks for subtitle tokens. Every token span gets
+ * pos-* and accent-* classes; the overlay-pos and overlay-accent classes on a container
+ * turn the colours on, so the overlay can be toggled without re-annotating.
+ */
+class TokenOverlay {
+    /**
+     * @param {PitchAccent} accents - Accent dictionary; tokens get no accent class until it is loaded
+     */
+    constructor(accents) {
+        this.accents = accents;
+    }
+    
+    /**
+     * Classes and tooltip for a token span
+     * @param {object} token - Kuromoji token
+     * @returns {object} - {classes, title}: class names and a description such as "Verb · nakadaka [2]"
+     */
+    describe(token) {
+        const classes = [];
+        const details = [];
+        
+        const category = TokenOverlay.category(token);
+        if (category) {
+            classes.push('pos-' + category);
+            details.push(TokenOverlay.CATEGORIES.find(entry => entry.id === category).label);
+        }
+        
+        const accent = TokenOverlay.ACCENTED.includes(category) ? this.accentOf(token) : null;
+        if (accent) {
+            // A page global in the browser, a module in Node
+            const accents = typeof PitchAccent !== 'undefined' ? PitchAccent : require('./pitch-accent.js');
+            const pattern = accents.pattern(accent.accents[0], accents.morae(accent.reading).length);
+            classes.push('accent-' + pattern);
+            const dictionaryForm = accent.word !== token.surface_form ? ` (${accent.word})` : '';
+            details.push(`${pattern} [${accent.accents.join(', ')}]${dictionaryForm}`);
+        }
+        
+        return { classes: classes, title: details.join(' · ') };
+    }
+    
+    /**
+     * Accent entry for a token. Inflected words are looked up by their dictionary form,
+     * whose reading the analyzer does not give, so the first entry for that form is used.
+     * @param {object} token - Kuromoji token
+     * @returns {object|null} - Accent entry, see PitchAccent.lookup()
+     */
+    accentOf(token) {
+        const basicForm = token.basic_form && token.basic_form !== '*' ? token.basic_form : token.surface_form;
+        const reading = token.reading && token.reading !== '*' ? token.reading : token.surface_form;
+        
+        if (basicForm === token.surface_form) {
+            return this.accents.lookup(basicForm, reading);
+        }
+        return this.accents.lookup(basicForm);
+    }
+    
+    /**
+     * Overlay category of a token from its kuromoji part of speech
+     * @param {object} token - Kuromoji token
+     * @returns {string|null} - Category id from CATEGORIES, or null for symbols and other parts of speech
+     */
+    static category(token) {
+        switch (token.pos) {
+            case '動詞':
+                return 'verb';
+            case '名詞':
+                // Stems of na-adjectives (静か, 綺麗) are tagged as nouns
+                return token.pos_detail_1 === '形容動詞語幹' ? 'adjective' : 'noun';
+            case '形容詞':
+            case '連体詞':
+                return 'adjective';
+            case '副詞':
+                return 'adverb';
+            case '助詞':
+                return 'particle';
+            case '助動詞':
+                return 'auxiliary';
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Style sheet for the overlay colours
+     * @param {object} [colors] - Colour per category id; missing or invalid ones use the defaults
+     * @returns {string} - CSS text
+     */
+    static style(colors = {}) {
+        return TokenOverlay.CATEGORIES.map(entry => {
+            const color = /^#[0-9a-f]{6}$/i.test(colors[entry.id]) ? colors[entry.id] : entry.color;
+            return entry.type === 'pos'
+                ? `.overlay-pos .pos-${entry.id} { color: ${color}; }`
+                : `.overlay-accent .accent-${entry.id} { text-decoration: underline 3px ${color}; text-underline-offset: 4px; }`;
+        }).join('\n');
+    }
+}
+
+// Overlay categories with their legend label and default colour. Accent colours follow the common
+// convention of blue for heiban, red for atamadaka, orange for nakadaka and green for odaka.
+TokenOverlay.CATEGORIES = [
+    { id: 'noun', type: 'pos', label: 'Noun', color: '#82b1ff' },
+    { id: 'verb', type: 'pos', label: 'Verb', color: '#ff8a80' },
+    { id: 'adjective', type: 'pos', label: 'Adjective', color: '#ffd180' },
+    { id: 'adverb', type: 'pos', label: 'Adverb', color: '#ea80fc' },
+    { id: 'particle', type: 'pos', label: 'Particle', color: '#b9f6ca' },
+    { id: 'auxiliary', type: 'pos', label: 'Auxiliary', color: '#a7ffeb' },
+    { id: 'heiban', type: 'accent', label: 'Heiban', color: '#4fc3f7' },
+    { id: 'atamadaka', type: 'accent', label: 'Atamadaka', color: '#ef5350' },
+    { id: 'nakadaka', type: 'accent', label: 'Nakadaka', color: '#ffa726' },
+    { id: 'odaka', type: 'accent', label: 'Odaka', color: '#66bb6a' }
+];
+
+// Categories looked up in the accent dictionary; particles and auxiliaries follow the word before them
+TokenOverlay.ACCENTED = ['noun', 'verb', 'adjective', 'adverb'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenOverlay;
+}
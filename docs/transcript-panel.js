@@ -0,0 +1,177 @@
+/**
+ * Scrollable transcript of every cue, highlighted and scrolled along with playback.
+ * Search matches the text as written or its reading, so "たべ" finds 食べる.
+ */
+class TranscriptPanel {
+    /**
+     * @param {HTMLElement} container - Scrollable element the lines are rendered into
+     * @param {HTMLInputElement} searchInput - Search box
+     * @param {HTMLElement} countDisplay - Element showing the number of matching lines
+     * @param {object} options - Callbacks
+     * @param {Function} options.onSeek - Called with a cue when its line is clicked
+     * @param {Function} options.toHiragana - Converts kana to hiragana for reading search
+     */
+    constructor(container, searchInput, countDisplay, options) {
+        this.container = container;
+        this.searchInput = searchInput;
+        this.countDisplay = countDisplay;
+        this.onSeek = options.onSeek;
+        this.toHiragana = options.toHiragana;
+        
+        // Rendered line and search text of every cue
+        this.lines = new Map();
+        this.activeLines = [];
+        
+        // Auto-scrolling pauses while the pointer is over the panel so it does not fight the user
+        this.hovered = false;
+        
+        this.container.addEventListener('click', (e) => {
+            const element = e.target.closest('.transcript-line');
+            const line = element && this.findLine(element);
+            if (line) this.onSeek(line.cue);
+        });
+        this.container.addEventListener('mouseenter', () => { this.hovered = true; });
+        this.container.addEventListener('mouseleave', () => { this.hovered = false; });
+        this.searchInput.addEventListener('input', () => this.search(this.searchInput.value));
+    }
+    
+    /**
+     * Render a line for every cue
+     * @param {Array} cues - Subtitle objects sorted by start time
+     */
+    setCues(cues) {
+        this.container.innerHTML = '';
+        this.lines = new Map();
+        this.activeLines = [];
+        
+        for (const cue of cues) {
+            const element = document.createElement('div');
+            element.className = 'transcript-line';
+            
+            const time = document.createElement('span');
+            time.className = 'transcript-time';
+            time.textContent = TranscriptPanel.formatTime(cue.start);
+            
+            const text = document.createElement('span');
+            text.className = 'transcript-text';
+            text.textContent = cue.text;
+            
+            element.append(time, text);
+            this.container.appendChild(element);
+            this.lines.set(cue, { cue: cue, element: element, time: time, text: text, reading: '' });
+        }
+        
+        this.search(this.searchInput.value);
+    }
+    
+    /**
+     * Refresh the time labels after the cues were retimed
+     */
+    updateTimes() {
+        for (const line of this.lines.values()) {
+            line.time.textContent = TranscriptPanel.formatTime(line.cue.start);
+        }
+    }
+    
+    /**
+     * Line record for a rendered line element
+     * @param {HTMLElement} element - Line element
+     * @returns {object|undefined} - Line with cue, element, time, text and reading
+     */
+    findLine(element) {
+        for (const line of this.lines.values()) {
+            if (line.element === element) return line;
+        }
+        return undefined;
+    }
+    
+    /**
+     * Show the furigana for a cue and remember its reading for search
+     * @param {object} cue - Subtitle object
+     * @param {string} html - Annotated HTML
+     * @param {string} reading - Reading of the whole cue in hiragana
+     */
+    setAnnotation(cue, html, reading) {
+        const line = this.lines.get(cue);
+        if (!line) return;
+        
+        line.text.innerHTML = html;
+        line.reading = reading;
+        
+        // A line may start matching once its reading is known
+        const wasHidden = line.element.hidden;
+        if (this.searchInput.value && this.applySearch(line, this.normalize(this.searchInput.value)) === wasHidden) {
+            this.search(this.searchInput.value);
+        }
+    }
+    
+    /**
+     * Highlight the active cues and scroll the first one into view
+     * @param {Array} cues - Active subtitle objects
+     */
+    setActive(cues) {
+        for (const line of this.activeLines) {
+            line.element.classList.remove('active');
+        }
+        
+        this.activeLines = cues.map(cue => this.lines.get(cue)).filter(Boolean);
+        for (const line of this.activeLines) {
+            line.element.classList.add('active');
+        }
+        
+        const first = this.activeLines[0];
+        if (first && !this.hovered && !first.element.hidden) {
+            // Scroll the panel only, never the page (the container is the offsetParent)
+            const element = first.element;
+            this.container.scrollTop = element.offsetTop - (this.container.clientHeight - element.offsetHeight) / 2;
+        }
+    }
+    
+    /**
+     * Show only the lines matching a query
+     * @param {string} query - Text or reading to look for
+     */
+    search(query) {
+        const normalized = this.normalize(query);
+        let matches = 0;
+        
+        for (const line of this.lines.values()) {
+            if (this.applySearch(line, normalized)) matches++;
+        }
+        
+        this.countDisplay.textContent = normalized ? `${matches} of ${this.lines.size} lines` : '';
+    }
+    
+    /**
+     * Show or hide one line for a normalized query
+     * @param {object} line - Line record
+     * @param {string} query - Normalized query
+     * @returns {boolean} - Whether the line matches
+     */
+    applySearch(line, query) {
+        const matches = !query ||
+            this.normalize(line.cue.text).includes(query) ||
+            line.reading.includes(query);
+        line.element.hidden = !matches;
+        return matches;
+    }
+    
+    /**
+     * Normalize text for search: trimmed, lowercase, katakana as hiragana
+     * @param {string} text - Text
+     * @returns {string} - Normalized text
+     */
+    normalize(text) {
+        return this.toHiragana(text.trim().toLowerCase());
+    }
+    
+    /**
+     * Format milliseconds as M:SS
+     * @param {number} ms - Milliseconds
+     * @returns {string} - Timestamp
+     */
+    static formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
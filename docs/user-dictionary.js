@@ -0,0 +1,330 @@
+/**
+ * The user's reading overrides (surface form → reading), for names, show-specific terms and ateji
+ * the analyzer reads wrongly. Entries are global or scoped to a series; a series entry wins over
+ * a global one. Persisted in localStorage when it is available (not in Node).
+ */
+class UserDictionary {
+    /**
+     * @param {string} [storageKey] - localStorage key for the entries
+     */
+    constructor(storageKey = 'kanjiVideoPlayer.userDictionary') {
+        this.storageKey = storageKey;
+        
+        // series ('' for global) → surface → reading
+        this.entries = new Map();
+        this.load();
+    }
+    
+    /**
+     * Load the entries from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            this.entries = new Map();
+            this.addEntries(JSON.parse(localStorage.getItem(this.storageKey) || '[]'));
+        } catch (error) {
+            console.error("Error reading user dictionary:", error);
+            this.entries = new Map();
+        }
+    }
+    
+    /**
+     * Save the entries to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') return;
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.list()));
+        } catch (error) {
+            console.error("Error saving user dictionary:", error);
+        }
+    }
+    
+    /**
+     * Number of entries, over all series
+     * @returns {number} - Entry count
+     */
+    get size() {
+        let size = 0;
+        for (const words of this.entries.values()) {
+            size += words.size;
+        }
+        return size;
+    }
+    
+    /**
+     * All entries, global ones first
+     * @returns {Array} - Entries with surface, reading and series ('' for global)
+     */
+    list() {
+        const list = [];
+        for (const series of Array.from(this.entries.keys()).sort()) {
+            for (const [surface, reading] of this.entries.get(series)) {
+                list.push({ surface: surface, reading: reading, series: series });
+            }
+        }
+        return list;
+    }
+    
+    /**
+     * Reading override for a word
+     * @param {string} surface - Word as written
+     * @param {string} [series] - Current series; its entries win over global ones
+     * @returns {string|null} - Reading, or null if the word has no override
+     */
+    lookup(surface, series = '') {
+        const scope = this.scopeOf(surface, series);
+        return scope === null ? null : this.entries.get(scope).get(surface);
+    }
+    
+    /**
+     * Which entry applies to a word: the series one if there is one, else the global one
+     * @param {string} surface - Word as written
+     * @param {string} [series] - Current series
+     * @returns {string|null} - Series of the applying entry ('' for global), or null if there is none
+     */
+    scopeOf(surface, series = '') {
+        for (const scope of series ? [series, ''] : ['']) {
+            const words = this.entries.get(scope);
+            if (words && words.has(surface)) {
+                return scope;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Add or replace an override
+     * @param {string} surface - Word as written
+     * @param {string} reading - Reading in hiragana or katakana
+     * @param {string} [series] - Series to scope the entry to, '' for every video
+     */
+    set(surface, reading, series = '') {
+        if (!UserDictionary.isValidEntry(surface, reading)) {
+            throw new Error(`Invalid reading "${reading}" for "${surface}": use kana only`);
+        }
+        this.addEntries([{ surface: surface, reading: reading, series: series }]);
+        this.save();
+    }
+    
+    /**
+     * Remove an override
+     * @param {string} surface - Word as written
+     * @param {string} [series] - Series of the entry, '' for a global one
+     */
+    remove(surface, series = '') {
+        const words = this.entries.get(series);
+        if (!words) return;
+        
+        words.delete(surface);
+        if (!words.size) {
+            this.entries.delete(series);
+        }
+        this.save();
+    }
+    
+    /**
+     * Forget every override
+     */
+    clear() {
+        this.entries = new Map();
+        this.save();
+    }
+    
+    /**
+     * Add valid entries, skipping the rest
+     * @param {Array} entries - Objects with surface, reading and optional series
+     * @returns {number} - Number of entries added or replaced
+     */
+    addEntries(entries) {
+        let added = 0;
+        for (const entry of entries) {
+            const surface = String(entry.surface || '').trim();
+            const reading = String(entry.reading || '').trim();
+            if (!UserDictionary.isValidEntry(surface, reading)) continue;
+            
+            const series = String(entry.series || '').trim();
+            if (!this.entries.has(series)) {
+                this.entries.set(series, new Map());
+            }
+            this.entries.get(series).set(surface, reading);
+            added++;
+        }
+        return added;
+    }
+    
+    /**
+     * Apply the overrides to analyzer tokens. Consecutive tokens whose text together is an entry
+     * (e.g. a name the analyzer split in two) are merged into one token; the longest match wins.
+     * @param {Array} tokens - Kuromoji tokens
+     * @param {string} [series] - Current series
+     * @returns {Array} - Tokens, with overridden ones replaced by copies carrying the new reading
+     */
+    apply(tokens, series = '') {
+        if (!this.entries.size) return tokens;
+        
+        const result = [];
+        for (let i = 0; i < tokens.length; i++) {
+            let match = null;
+            let surface = '';
+            for (let j = i; j < tokens.length; j++) {
+                surface += tokens[j].surface_form;
+                const reading = this.lookup(surface, series);
+                if (reading !== null) {
+                    match = { end: j, surface: surface, reading: reading };
+                }
+            }
+            
+            if (!match) {
+                result.push(tokens[i]);
+                continue;
+            }
+            
+            const merged = Object.assign({}, tokens[i], {
+                surface_form: match.surface,
+                reading: match.reading,
+                pronunciation: match.reading,
+                override: true
+            });
+            if (match.end > i) {
+                merged.basic_form = match.surface;
+            }
+            result.push(merged);
+            i = match.end;
+        }
+        return result;
+    }
+    
+    /**
+     * Import entries from a JSON export (an array, or {entries: [...]}) or from CSV/TSV
+     * with surface, reading and optional series columns (a header row is skipped)
+     * @param {string} text - File content
+     * @returns {object} - {added, skipped}
+     */
+    importText(text) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        let rows;
+        
+        if (/^[[{]/.test(trimmed)) {
+            const data = JSON.parse(trimmed);
+            rows = Array.isArray(data) ? data : (data.entries || []);
+        } else {
+            const delimiter = trimmed.split('\n')[0].includes('\t') ? '\t' : ',';
+            rows = UserDictionary.parseCSV(trimmed, delimiter)
+                .filter(fields => fields.some(field => field.trim()))
+                .map(fields => ({ surface: fields[0], reading: fields[1], series: fields[2] }));
+            if (rows.length && /^surface$/i.test(String(rows[0].surface).trim())) {
+                rows.shift();
+            }
+        }
+        
+        const added = this.addEntries(rows);
+        this.save();
+        return { added: added, skipped: rows.length - added };
+    }
+    
+    /**
+     * Export every entry as JSON
+     * @returns {string} - JSON array of {surface, reading, series}
+     */
+    exportJSON() {
+        return JSON.stringify(this.list(), null, 2) + '\n';
+    }
+    
+    /**
+     * Export every entry as CSV with a header row
+     * @returns {string} - CSV content
+     */
+    exportCSV() {
+        const quote = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        
+        const lines = [UserDictionary.COLUMNS.join(',')];
+        for (const entry of this.list()) {
+            lines.push(UserDictionary.COLUMNS.map(column => quote(entry[column])).join(','));
+        }
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Check an entry before storing it: any Japanese surface, a reading of kana only
+     * @param {string} surface - Word as written
+     * @param {string} reading - Reading
+     * @returns {boolean} - True if the entry can be stored
+     */
+    static isValidEntry(surface, reading) {
+        return /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FCF\uF900-\uFAFF\u3005]/.test(surface) &&
+            /^[\u3041-\u3096\u30A1-\u30FA\u30FC]+$/.test(reading);
+    }
+    
+    /**
+     * Guess the series from a video or subtitle file name, dropping release tags,
+     * episode numbers and the extension (e.g. "[Group] Show Name - 03 [1080p].mkv" becomes "Show Name")
+     * @param {string} fileName - File name
+     * @returns {string} - Series name, '' if nothing is left
+     */
+    static seriesFromFileName(fileName) {
+        return fileName
+            .replace(/\.[^.]+$/, '')
+            .replace(/\[[^\]]*\]|\([^)]*\)|【[^】]*】/g, ' ')
+            .replace(/[._]/g, ' ')
+            .replace(/\bS\d+\s*E\d+\b.*$|\bEP?\s*\d+\b.*$|第\s*\d+\s*[話回].*$|[\s-]+\d{1,4}(?:v\d)?\b.*$/i, '')
+            .replace(/[\s-]+$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    /**
+     * Split CSV text into rows of fields, following RFC 4180 quoting
+     * @param {string} text - CSV content
+     * @param {string} [delimiter] - Field separator
+     * @returns {Array} - Rows, each an array of field strings
+     */
+    static parseCSV(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && !field) {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        
+        row.push(field);
+        rows.push(row);
+        return rows;
+    }
+}
+
+// Column order of CSV exports and imports
+UserDictionary.COLUMNS = ['surface', 'reading', 'series'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserDictionary;
+}
@@ -1,175 +1,2406 @@
 /**
- * Video player with Kuroshiro-powered subtitle processing
+ * Video player with Kuroshiro-powered subtitle processing. Fires "ready" once the analyzer is loaded,
+ * "cuechange" when the cues on screen change ({cues, translations}) and "error" ({message, error}).
  */
-class VideoPlayer {
-    constructor() {
-        this.videoElement = document.getElementById('video-player');
-        this.subtitleDisplay = document.getElementById('subtitle-display');
-        this.videoInput = document.getElementById('video-input');
-        this.subtitleInput = document.getElementById('subtitle-input');
-        this.playButton = document.getElementById('play-btn');
-        this.pauseButton = document.getElementById('pause-btn');
-        this.loadingStatus = document.getElementById('loading-status');
-        this.videoContainer = document.querySelector('.video-container');
-        this.subtitleArea = document.querySelector('.subtitle-area');
-        this.fullscreenButton = document.getElementById('fullscreen-btn');
-        
-        this.kuroshiro = null;
-        this.currentSubtitle = null;
+class VideoPlayer extends EventTarget {
+    /**
+     * @param {object} config - Deployment settings (PLAYER_CONFIG from config.js) and DOM targets
+     * @param {string} config.dictPath - Kuromoji dictionary directory
+     * @param {string} config.dictionaryPath - JMdict file for word lookup
+     * @param {string} config.accentPath - Pitch-accent file for the token overlay
+     * @param {string} [config.workerScript] - URL of analyzer-worker.js
+     * @param {string} [config.analyzerScript] - URL of the analyzer build the worker loads
+     * @param {Document|ShadowRoot|Element} [config.root] - Node holding the player markup (player.html), the document by default
+     * @param {object} [config.elements] - Elements to use instead of the ones under the root, by markup id
+     * @param {EventTarget} [config.keyTarget] - Where the keyboard shortcuts are listened for, the document by default
+     */
+    constructor(config) {
+        super();
+        this.config = config;
+        this.root = config.root || document;
+        this.elements = config.elements || {};
+        this.videoElement = this.element('video-player');
+        this.subtitleDisplay = this.element('subtitle-display');
+        this.translationDisplay = this.element('translation-display');
+        this.videoInput = this.element('video-input');
+        this.subtitleInput = this.element('subtitle-input');
+        this.translationInput = this.element('translation-input');
+        this.showSubtitlesToggle = this.element('show-subtitles');
+        this.showTranslationToggle = this.element('show-translation');
+        this.playButton = this.element('play-btn');
+        this.pauseButton = this.element('pause-btn');
+        this.loadingStatus = this.element('loading-status');
+        this.videoContainer = this.element('video-container');
+        this.subtitleArea = this.element('subtitle-area');
+        this.subtitleLayer = this.element('subtitle-layer');
+        this.fullscreenButton = this.element('fullscreen-btn');
+        this.embeddedSubtitleLabel = this.element('embedded-subtitle-label');
+        this.embeddedSubtitleSelect = this.element('embedded-subtitle-select');
+        this.readingModeSelect = this.element('reading-mode');
+        this.readingTargetSelect = this.element('reading-target');
+        this.romajiSystemSelect = this.element('romaji-system');
+        this.hoverReadingsToggle = this.element('readings-on-hover');
+        this.knownKanjiPresetSelect = this.element('known-kanji-preset');
+        this.knownKanjiInput = this.element('known-kanji-input');
+        this.clearKnownKanjiButton = this.element('clear-known-kanji');
+        this.knownKanjiCount = this.element('known-kanji-count');
+        this.seriesInput = this.element('series-name');
+        this.userDictionaryInput = this.element('user-dictionary-input');
+        this.exportUserDictionaryJsonButton = this.element('export-user-dictionary-json');
+        this.exportUserDictionaryCsvButton = this.element('export-user-dictionary-csv');
+        this.clearUserDictionaryButton = this.element('clear-user-dictionary');
+        this.userDictionaryCount = this.element('user-dictionary-count');
+        this.posOverlayToggle = this.element('pos-overlay');
+        this.accentOverlayToggle = this.element('accent-overlay');
+        this.overlayLegendToggle = this.element('overlay-legend-toggle');
+        this.overlayColors = this.element('overlay-colors');
+        this.resetOverlayColorsButton = this.element('reset-overlay-colors');
+        this.overlayLegend = this.element('overlay-legend');
+        this.appearancePresetSelect = this.element('appearance-preset');
+        this.saveAppearancePresetButton = this.element('save-appearance-preset');
+        this.deleteAppearancePresetButton = this.element('delete-appearance-preset');
+        this.subtitleFontSelect = this.element('subtitle-font');
+        this.subtitleSizeInput = this.element('subtitle-size');
+        this.subtitleOutlineInput = this.element('subtitle-outline');
+        this.subtitleBackgroundInput = this.element('subtitle-background');
+        this.furiganaSizeInput = this.element('furigana-size');
+        this.dictionaryPopup = this.element('dictionary-popup');
+        this.deckCount = this.element('deck-count');
+        this.addCardButton = this.element('add-card-btn');
+        this.exportTsvButton = this.element('export-tsv-btn');
+        this.exportCsvButton = this.element('export-csv-btn');
+        this.exportAudioButton = this.element('export-audio-btn');
+        this.clearDeckButton = this.element('clear-deck-btn');
+        this.recordAudioToggle = this.element('record-audio');
+        this.studyModeToggle = this.element('study-mode');
+        this.previousCueButton = this.element('previous-cue-btn');
+        this.replayCueButton = this.element('replay-cue-btn');
+        this.nextCueButton = this.element('next-cue-btn');
+        this.loopCueButton = this.element('loop-cue-btn');
+        this.loopCountInput = this.element('loop-count');
+        this.loopRateSelect = this.element('loop-rate');
+        this.showTranscriptToggle = this.element('show-transcript');
+        this.transcriptPanel = this.element('transcript-panel');
+        this.timingTrackSelect = this.element('timing-track');
+        this.subtitleOffsetInput = this.element('subtitle-offset');
+        this.markSyncButton = this.element('mark-sync-btn');
+        this.resetTimingButton = this.element('reset-timing-btn');
+        this.saveSubtitlesButton = this.element('save-subtitles-btn');
+        this.syncStatus = this.element('sync-status');
+        this.exportFormatSelect = this.element('export-format');
+        this.exportAnnotatedButton = this.element('export-annotated-btn');
+        this.buildReportButton = this.element('build-report-btn');
+        this.exportReportButton = this.element('export-report-btn');
+        this.reportPanel = this.element('report-panel');
+        this.recentSessions = this.element('recent-sessions');
+        this.recentSessionsList = this.element('recent-sessions-list');
+        
+        this.analyzer = null;
+        this.annotator = null;
+        this.currentSubtitles = [];
         this.subtitles = [];
+        this.currentTranslations = [];
+        this.translations = [];
+        
+        // Japanese track (annotated with furigana) and translation track are parsed independently
+        this.subtitleParser = new SubtitleParser();
+        this.translationParser = new SubtitleParser();
+        
+        // Translation cues must overlap the Japanese cue by this much to be shown with it
+        this.translationMinOverlap = 300;
+        
+        this.demuxer = null;
+        this.embeddedTracks = [];
+        
+        // Timing tools: file names for "save adjusted subtitles", sync points of the track being adjusted
+        this.subtitleFileName = '';
+        this.translationFileName = '';
+        this.syncPoints = [];
+        this.syncCue = null;
         this.kuroshiroReady = false;
+        this.kuroshiroInit = null;
+        
+        // Furigana HTML cached per cue, filled in the background when subtitles load
+        this.annotations = new Map();
+        this.pendingAnnotations = new Map();
+        this.annotationGeneration = 0;
+        
+        // Cancels the analyzer requests of the current annotation run, and per on-screen cue
+        // the request started for display, so stale cues do not hold up the analyzer
+        this.annotationAbort = null;
+        this.displayRequests = new Map();
+        
+        // Positions the cues over the picture and scales them with it; rendered lines map back to their cue
+        this.renderer = new SubtitleRenderer({
+            video: this.videoElement,
+            area: this.subtitleArea,
+            display: this.subtitleDisplay,
+            layer: this.subtitleLayer
+        });
+        this.cueLines = new Map();
+        
+        // The cues as the video's own text tracks: cue changes, and text with readings for
+        // Picture-in-Picture and the browser's captions menu. Without them, cues are polled on timeupdate.
+        this.nativeTracks = NativeTracks.isSupported(this.videoElement) ? new NativeTracks(this.videoElement, {
+            onCueChange: () => this.checkSubtitles(),
+            onModeChange: (showing) => this.handleNativeModeChange(showing)
+        }) : null;
+        
+        // Reading mode settings, persisted in localStorage
+        this.settingsKey = 'kanjiVideoPlayer.settings';
+        this.settings = this.loadSettings();
+        
+        // Named subtitle appearances saved by the user, next to the built-in ones
+        this.appearancePresetsKey = 'kanjiVideoPlayer.appearancePresets';
+        this.appearancePresets = this.loadAppearancePresets();
+        
+        // Words made only of known kanji are shown without readings
+        this.knownKanji = new KnownKanji();
+        
+        // Reading overrides applied after analysis; the series scopes overrides such as character names
+        this.userDictionary = new UserDictionary();
+        this.series = '';
         
+        // Part-of-speech colours and pitch-accent marks; the accent dictionary is loaded when the overlay is first turned on
+        this.pitchAccent = new PitchAccent(config.accentPath);
+        this.overlay = new TokenOverlay(this.pitchAccent);
+        this.overlayStyle = document.createElement('style');
+        (this.root.host ? this.root : document.head).appendChild(this.overlayStyle);
+        
+        // JMdict-derived dictionary for click-to-lookup, loaded on first use
+        this.dictionary = new Dictionary(config.dictionaryPath);
+        
+        // Vocabulary mining: the word last clicked in the subtitles and the deck it goes to
+        this.deck = new VocabularyDeck();
+        this.selectedWord = null;
+        this.videoFileName = '';
+        
+        // Comprehension report for the loaded Japanese track, cleared when another file is loaded
+        this.report = null;
+        
+        // Recent sessions: the one being played, one waiting for its video to be picked again,
+        // and the content of the loaded subtitle files so they can be restored without the files
+        this.sessions = new SessionStore();
+        this.session = null;
+        this.pendingSession = null;
+        this.restoringSession = false;
+        this.sessionSavedAt = 0;
+        this.subtitleSource = null;
+        this.translationSource = null;
+        
+        // Sentence-by-sentence playback over the Japanese track
+        this.studyMode = new StudyMode(this.videoElement, this.subtitleParser);
+        
+        // Transcript of the whole Japanese track next to the video
+        this.transcript = new TranscriptPanel(
+            this.element('transcript-lines'),
+            this.element('transcript-search'),
+            this.element('transcript-count'),
+            {
+                onSeek: (cue) => {
+                    this.syncCue = cue;
+                    this.seekToCue(cue);
+                },
+                toHiragana: (text) => this.KuroshiroClass ? this.KuroshiroClass.Util.kanaToHiragna(text) : text
+            }
+        );
+    }
+    
+    /**
+     * Start the analyzer and wire up the controls. Call once, after adding the event listeners.
+     * @returns {Promise<void>} - Resolves when the analyzer is ready or failed to load
+     */
+    start() {
         // Get Kuroshiro class - might be exposed in different ways depending on how it's loaded
         this.KuroshiroClass = typeof Kuroshiro !== 'undefined' ? Kuroshiro : window.Kuroshiro;
         this.KuromojiAnalyzerClass = typeof KuromojiAnalyzer !== 'undefined' ? KuromojiAnalyzer : window.KuromojiAnalyzer;
         
-        if (!this.KuroshiroClass || !this.KuromojiAnalyzerClass) {
-            this.loadingStatus.textContent = "Error: Kuroshiro libraries not available. Check console.";
-            console.error("Kuroshiro or KuromojiAnalyzer not found. Make sure the scripts are loaded properly.");
-            return;
+        if (!this.KuroshiroClass || !this.KuromojiAnalyzerClass) {
+            console.error("Kuroshiro or KuromojiAnalyzer not found. Make sure the scripts are loaded properly.");
+            this.loadingStatus.textContent = "Error: Kuroshiro libraries not available. Check console.";
+            this.emit('error', { message: "Kuroshiro libraries not available", error: null });
+            return Promise.resolve();
+        }
+        
+        this.kuroshiroInit = this.initializeKuroshiro();
+        this.setupKnownKanjiPresets();
+        this.setupOverlayColors();
+        this.setupAppearanceControls();
+        this.setupEventListeners();
+        this.applySettings();
+        if (this.settings.accentOverlay) {
+            this.loadPitchAccent();
+        }
+        this.updateDeckCount();
+        this.renderRecentSessions();
+        return this.kuroshiroInit;
+    }
+    
+    /**
+     * Find one of the player's elements
+     * @param {string} id - Element id in player.html
+     * @returns {Element|null} - The element given for it in config.elements, or the one with that id under the root
+     */
+    element(id) {
+        return this.elements[id] || this.root.querySelector('#' + id);
+    }
+    
+    /**
+     * Fire a player event
+     * @param {string} type - "ready", "cuechange" or "error"
+     * @param {object} [detail] - Event details
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+    
+    /**
+     * Log an error, show it next to the controls and fire an error event
+     * @param {string} message - What failed, e.g. "Error loading Kuroshiro"
+     * @param {Error} error - The error
+     */
+    reportError(message, error) {
+        console.error(message + ":", error);
+        this.loadingStatus.textContent = `${message}: ${error.message}`;
+        this.emit('error', { message: `${message}: ${error.message}`, error: error });
+    }
+    
+    /**
+     * Load reading settings from localStorage, falling back to defaults
+     * @returns {object} - Settings with mode, to, romajiSystem, hoverOnly, the study mode, the overlay options
+     *     and the subtitle appearance
+     */
+    loadSettings() {
+        const defaults = {
+            mode: 'furigana',
+            to: 'hiragana',
+            romajiSystem: 'hepburn',
+            hoverOnly: false,
+            studyMode: false,
+            loopCount: 3,
+            loopRate: 0.75,
+            posOverlay: false,
+            accentOverlay: false,
+            overlayLegend: true,
+            overlayColors: {},
+            appearance: Object.assign({}, SubtitleRenderer.PRESETS[0].appearance)
+        };
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.settingsKey) || '{}');
+            return Object.assign(defaults, saved);
+        } catch (error) {
+            console.error("Error reading saved settings:", error);
+            return defaults;
+        }
+    }
+    
+    /**
+     * Save reading settings to localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error("Error saving settings:", error);
+        }
+    }
+    
+    /**
+     * Reflect the current settings in the settings panel and subtitle display
+     */
+    applySettings() {
+        this.readingModeSelect.value = this.settings.mode;
+        this.readingTargetSelect.value = this.settings.to;
+        this.romajiSystemSelect.value = this.settings.romajiSystem;
+        this.romajiSystemSelect.disabled = this.settings.to !== 'romaji';
+        this.hoverReadingsToggle.checked = this.settings.hoverOnly;
+        this.subtitleArea.classList.toggle('readings-on-hover', this.settings.hoverOnly);
+        this.knownKanjiCount.textContent = `${this.knownKanji.size} known kanji`;
+        this.userDictionaryCount.textContent = `${this.userDictionary.size} reading override${this.userDictionary.size === 1 ? '' : 's'}`;
+        
+        this.studyModeToggle.checked = this.settings.studyMode;
+        this.loopCountInput.value = this.settings.loopCount;
+        this.loopRateSelect.value = this.settings.loopRate;
+        this.studyMode.setEnabled(this.settings.studyMode);
+        this.studyMode.loopCount = this.settings.loopCount;
+        this.studyMode.loopRate = this.settings.loopRate;
+        
+        this.applyOverlay();
+        this.applyAppearance();
+    }
+    
+    /**
+     * Reflect the overlay settings: toggle the colours on the subtitle area, update the
+     * colour style sheet and the colour pickers, and list the shown categories in the legend
+     */
+    applyOverlay() {
+        const settings = this.settings;
+        this.posOverlayToggle.checked = settings.posOverlay;
+        this.accentOverlayToggle.checked = settings.accentOverlay;
+        this.overlayLegendToggle.checked = settings.overlayLegend;
+        this.overlayStyle.textContent = TokenOverlay.style(settings.overlayColors);
+        
+        for (const input of this.overlayColors.querySelectorAll('input[type="color"]')) {
+            const category = TokenOverlay.CATEGORIES.find(entry => entry.id === input.dataset.category);
+            input.value = settings.overlayColors[category.id] || category.color;
+        }
+        
+        for (const element of [this.subtitleArea, this.overlayLegend]) {
+            element.classList.toggle('overlay-pos', settings.posOverlay);
+            element.classList.toggle('overlay-accent', settings.accentOverlay);
+        }
+        
+        this.overlayLegend.innerHTML = '';
+        const shown = TokenOverlay.CATEGORIES.filter(entry =>
+            (entry.type === 'pos' && settings.posOverlay) || (entry.type === 'accent' && settings.accentOverlay)
+        );
+        for (const entry of shown) {
+            const item = document.createElement('span');
+            item.className = `${entry.type}-${entry.id}`;
+            item.textContent = entry.label;
+            this.overlayLegend.appendChild(item);
+        }
+        if (settings.accentOverlay && this.pitchAccent.sample) {
+            const note = document.createElement('span');
+            note.className = 'overlay-legend-note';
+            note.textContent = '(sample accent data: most words are unmarked)';
+            this.overlayLegend.appendChild(note);
+        }
+        this.overlayLegend.hidden = !settings.overlayLegend || !shown.length;
+    }
+    
+    /**
+     * Add a colour picker per overlay category to the settings panel
+     */
+    setupOverlayColors() {
+        for (const entry of TokenOverlay.CATEGORIES) {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.dataset.category = entry.id;
+            label.append(input, ' ' + entry.label);
+            this.overlayColors.appendChild(label);
+        }
+    }
+    
+    /**
+     * Fill the font list of the appearance settings
+     */
+    setupAppearanceControls() {
+        for (const font of SubtitleRenderer.FONTS) {
+            this.subtitleFontSelect.add(new Option(font.label, font.id));
+        }
+    }
+    
+    /**
+     * Load the saved appearance presets from localStorage
+     * @returns {Array} - Presets as {name, appearance}
+     */
+    loadAppearancePresets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.appearancePresetsKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(preset => preset && preset.name && preset.appearance) : [];
+        } catch (error) {
+            console.error("Error reading saved appearance presets:", error);
+            return [];
+        }
+    }
+    
+    /**
+     * Save the appearance presets to localStorage
+     */
+    saveAppearancePresets() {
+        try {
+            localStorage.setItem(this.appearancePresetsKey, JSON.stringify(this.appearancePresets));
+        } catch (error) {
+            console.error("Error saving appearance presets:", error);
+        }
+    }
+    
+    /**
+     * Reflect the subtitle appearance: apply it to the renderer, set the controls,
+     * and select the preset it matches, if any
+     */
+    applyAppearance() {
+        const appearance = this.settings.appearance;
+        this.renderer.setAppearance(appearance);
+        this.subtitleFontSelect.value = appearance.font;
+        this.subtitleSizeInput.value = appearance.size;
+        this.subtitleOutlineInput.value = appearance.outline;
+        this.subtitleBackgroundInput.value = appearance.background;
+        this.furiganaSizeInput.value = appearance.furigana;
+        
+        const presets = SubtitleRenderer.PRESETS.concat(this.appearancePresets);
+        const matches = preset => Object.keys(appearance).every(key => preset.appearance[key] === appearance[key]);
+        const current = presets.find(matches);
+        
+        this.appearancePresetSelect.innerHTML = '';
+        this.appearancePresetSelect.add(new Option('Custom', ''));
+        for (const preset of presets) {
+            this.appearancePresetSelect.add(new Option(preset.name, preset.name));
+        }
+        this.appearancePresetSelect.value = current ? current.name : '';
+        this.deleteAppearancePresetButton.disabled = !current || !this.appearancePresets.includes(current);
+    }
+    
+    /**
+     * Read the appearance controls and save them
+     */
+    handleAppearanceChange() {
+        this.settings.appearance = {
+            font: this.subtitleFontSelect.value,
+            size: parseFloat(this.subtitleSizeInput.value),
+            outline: parseFloat(this.subtitleOutlineInput.value),
+            background: parseFloat(this.subtitleBackgroundInput.value),
+            furigana: parseFloat(this.furiganaSizeInput.value)
+        };
+        this.saveSettings();
+        this.applyAppearance();
+    }
+    
+    /**
+     * Switch to a built-in or saved appearance preset
+     * @param {string} name - Preset name
+     */
+    useAppearancePreset(name) {
+        const preset = SubtitleRenderer.PRESETS.concat(this.appearancePresets).find(entry => entry.name === name);
+        if (!preset) return;
+        
+        this.settings.appearance = Object.assign({}, SubtitleRenderer.PRESETS[0].appearance, preset.appearance);
+        this.saveSettings();
+        this.applyAppearance();
+    }
+    
+    /**
+     * Save the current appearance under a name; saving under an existing name replaces that preset
+     */
+    saveAppearancePreset() {
+        const name = (prompt("Preset name:") || '').trim();
+        if (!name) return;
+        if (SubtitleRenderer.PRESETS.some(preset => preset.name === name)) {
+            this.loadingStatus.textContent = `"${name}" is a built-in preset; choose another name`;
+            return;
+        }
+        
+        this.appearancePresets = this.appearancePresets.filter(preset => preset.name !== name);
+        this.appearancePresets.push({ name: name, appearance: Object.assign({}, this.settings.appearance) });
+        this.saveAppearancePresets();
+        this.applyAppearance();
+    }
+    
+    /**
+     * Delete the selected saved preset; the current appearance is kept
+     */
+    deleteAppearancePreset() {
+        const name = this.appearancePresetSelect.value;
+        this.appearancePresets = this.appearancePresets.filter(preset => preset.name !== name);
+        this.saveAppearancePresets();
+        this.applyAppearance();
+    }
+    
+    /**
+     * Load the pitch-accent dictionary, then re-annotate so the cues get their accent marks
+     */
+    async loadPitchAccent() {
+        if (this.pitchAccent.index) return;
+        
+        try {
+            this.loadingStatus.textContent = "Loading pitch-accent dictionary...";
+            await this.pitchAccent.load();
+            this.loadingStatus.textContent = this.pitchAccent.sample ?
+                'Only the sample pitch-accent dictionary is installed, so most words get no accent mark (run "npm run fetch-dictionaries" to get the full data)' :
+                "";
+            this.applyOverlay();
+            this.precomputeAnnotations();
+            this.renderSubtitles(this.currentSubtitles);
+        } catch (error) {
+            this.reportError("Error loading pitch-accent dictionary", error);
+        }
+    }
+    
+    /**
+     * Fill the known-kanji preset list
+     */
+    setupKnownKanjiPresets() {
+        this.knownKanjiPresetSelect.add(new Option('Choose a preset', ''));
+        for (const preset of KnownKanji.PRESETS) {
+            this.knownKanjiPresetSelect.add(new Option(preset.label, preset.id));
+        }
+    }
+    
+    /**
+     * Re-annotate every cue after the known-kanji list changed
+     */
+    handleKnownKanjiChange() {
+        this.applySettings();
+        this.precomputeAnnotations();
+        this.renderSubtitles(this.currentSubtitles);
+    }
+    
+    /**
+     * Re-annotate every cue after the user dictionary changed
+     */
+    handleUserDictionaryChange() {
+        this.applySettings();
+        this.precomputeAnnotations();
+        this.renderSubtitles(this.currentSubtitles);
+    }
+    
+    /**
+     * Switch the series whose reading overrides apply
+     * @param {string} series - Series name, '' for global overrides only
+     */
+    setSeries(series) {
+        this.seriesInput.value = series;
+        if (series === this.series) return;
+        
+        this.series = series;
+        if (this.userDictionary.size) {
+            this.handleUserDictionaryChange();
+        }
+    }
+    
+    /**
+     * Read the settings panel, save it, and re-annotate so the current cue updates immediately
+     */
+    handleSettingsChange() {
+        const previous = this.settings;
+        this.settings = {
+            mode: this.readingModeSelect.value,
+            to: this.readingTargetSelect.value,
+            romajiSystem: this.romajiSystemSelect.value,
+            hoverOnly: this.hoverReadingsToggle.checked,
+            studyMode: this.studyModeToggle.checked,
+            loopCount: Math.max(1, parseInt(this.loopCountInput.value, 10) || 1),
+            loopRate: parseFloat(this.loopRateSelect.value) || 1,
+            posOverlay: this.posOverlayToggle.checked,
+            accentOverlay: this.accentOverlayToggle.checked,
+            overlayLegend: this.overlayLegendToggle.checked,
+            overlayColors: previous.overlayColors,
+            appearance: previous.appearance
+        };
+        this.saveSettings();
+        this.applySettings();
+        this.saveSession();
+        
+        const conversionChanged = previous.mode !== this.settings.mode ||
+            previous.to !== this.settings.to ||
+            previous.romajiSystem !== this.settings.romajiSystem;
+        
+        if (conversionChanged) {
+            // Cached annotations were made with the old options
+            this.precomputeAnnotations();
+            this.renderSubtitles(this.currentSubtitles);
+        }
+        
+        if (this.settings.accentOverlay) {
+            this.loadPitchAccent();
+        }
+    }
+    
+    /**
+     * Change how readings are shown, as if picked in the settings panel
+     * @param {string} mode - furigana, okurigana, normal, spaced or hidden
+     * @param {object} [options] - Reading options
+     * @param {string} [options.to] - hiragana, katakana or romaji
+     * @param {string} [options.romajiSystem] - hepburn, nippon or passport
+     * @param {boolean} [options.hoverOnly] - Show readings only when hovering a word
+     */
+    setReadingMode(mode, options = {}) {
+        const choices = [[this.readingModeSelect, mode], [this.readingTargetSelect, options.to], [this.romajiSystemSelect, options.romajiSystem]];
+        for (const [select, value] of choices) {
+            if (value !== undefined && !Array.from(select.options).some(option => option.value === value)) {
+                throw new Error(`Unknown reading option "${value}"`);
+            }
+        }
+        
+        for (const [select, value] of choices) {
+            if (value !== undefined) select.value = value;
+        }
+        if (options.hoverOnly !== undefined) {
+            this.hoverReadingsToggle.checked = Boolean(options.hoverOnly);
+        }
+        this.handleSettingsChange();
+    }
+    
+    /**
+     * Initialize the morphological analyzer. It runs in a Web Worker when available,
+     * so loading the dictionary and tokenizing cues never block playback.
+     */
+    async initializeKuroshiro() {
+        try {
+            this.loadingStatus.textContent = "Initializing Kuroshiro dictionary...";
+            if (typeof Worker !== 'undefined' && this.config.analyzerScript) {
+                this.analyzer = new WorkerAnalyzer({
+                    workerScript: this.config.workerScript || 'analyzer-worker.js',
+                    analyzerScript: this.config.analyzerScript,
+                    dictPath: this.config.dictPath
+                });
+            } else {
+                this.analyzer = new this.KuromojiAnalyzerClass({ dictPath: this.config.dictPath });
+            }
+            await this.analyzer.init();
+            this.annotator = new FuriganaAnnotator(this.analyzer, this.KuroshiroClass.Util);
+            this.kuroshiroReady = true;
+            this.loadingStatus.textContent = "Kuroshiro ready";
+            this.emit('ready');
+            setTimeout(() => {
+                this.loadingStatus.textContent = "";
+            }, 3000);
+        } catch (error) {
+            this.reportError("Error loading Kuroshiro", error);
+        }
+    }
+    
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Video file selection; with the File System Access API the picker also gives a handle
+        // that is remembered with the session, so the video can be reopened without picking it again
+        this.videoInput.addEventListener('click', (e) => {
+            if (typeof window.showOpenFilePicker === 'function') {
+                e.preventDefault();
+                this.pickVideoFile();
+            }
+        });
+        this.videoInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.handleVideoFile(file, null);
+            }
+        });
+        
+        // Embedded subtitle track selection (MKV)
+        this.embeddedSubtitleSelect.addEventListener('change', () => {
+            const track = this.embeddedTracks[this.embeddedSubtitleSelect.value];
+            if (track) {
+                this.extractEmbeddedTrack(track);
+            }
+        });
+        
+        // Subtitle file selection
+        this.subtitleInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    this.loadSubtitles(event.target.result, file.name);
+                };
+                reader.readAsText(file);
+            }
+        });
+        
+        // Translation subtitle file selection
+        this.translationInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    this.loadTranslation(event.target.result, file.name);
+                };
+                reader.readAsText(file);
+            }
+        });
+        
+        // Reading mode settings
+        const settingsControls = [
+            this.readingModeSelect, this.readingTargetSelect, this.romajiSystemSelect, this.hoverReadingsToggle,
+            this.studyModeToggle, this.loopCountInput, this.loopRateSelect,
+            this.posOverlayToggle, this.accentOverlayToggle, this.overlayLegendToggle
+        ];
+        for (const control of settingsControls) {
+            control.addEventListener('change', () => this.handleSettingsChange());
+        }
+        
+        // Overlay colours: one picker per category, reset to the defaults
+        this.overlayColors.addEventListener('input', (e) => {
+            if (!e.target.dataset.category) return;
+            this.settings.overlayColors = Object.assign({}, this.settings.overlayColors, { [e.target.dataset.category]: e.target.value });
+            this.saveSettings();
+            this.applyOverlay();
+        });
+        this.resetOverlayColorsButton.addEventListener('click', () => {
+            this.settings.overlayColors = {};
+            this.saveSettings();
+            this.applyOverlay();
+        });
+        
+        // Subtitle appearance: font, size, outline, background and furigana size, named presets
+        const appearanceControls = [
+            this.subtitleFontSelect, this.subtitleSizeInput, this.subtitleOutlineInput, this.subtitleBackgroundInput, this.furiganaSizeInput
+        ];
+        for (const control of appearanceControls) {
+            control.addEventListener('input', () => this.handleAppearanceChange());
+        }
+        this.appearancePresetSelect.addEventListener('change', () => this.useAppearancePreset(this.appearancePresetSelect.value));
+        this.saveAppearancePresetButton.addEventListener('click', () => this.saveAppearancePreset());
+        this.deleteAppearancePresetButton.addEventListener('click', () => this.deleteAppearancePreset());
+        
+        // Known kanji: built-in presets, imported lists, reset
+        this.knownKanjiPresetSelect.addEventListener('change', () => {
+            const presetId = this.knownKanjiPresetSelect.value;
+            if (presetId) {
+                this.knownKanji.usePreset(presetId);
+                this.handleKnownKanjiChange();
+            }
+        });
+        this.knownKanjiInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const added = this.knownKanji.importText(event.target.result);
+                    this.loadingStatus.textContent = `Imported ${added} new known kanji`;
+                    this.knownKanjiInput.value = '';
+                    this.handleKnownKanjiChange();
+                };
+                reader.readAsText(file);
+            }
+        });
+        this.clearKnownKanjiButton.addEventListener('click', () => {
+            this.knownKanji.clear();
+            this.knownKanjiPresetSelect.value = '';
+            this.handleKnownKanjiChange();
+        });
+        
+        // User dictionary: series scope, JSON/CSV import and export, reset
+        this.seriesInput.addEventListener('change', () => {
+            this.setSeries(this.seriesInput.value.trim());
+            this.saveSession();
+        });
+        this.userDictionaryInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    try {
+                        const result = this.userDictionary.importText(event.target.result);
+                        const skipped = result.skipped ? ` (${result.skipped} invalid skipped)` : '';
+                        this.loadingStatus.textContent = `Imported ${result.added} reading overrides${skipped}`;
+                        this.handleUserDictionaryChange();
+                    } catch (error) {
+                        console.error("Error importing user dictionary:", error);
+                        this.loadingStatus.textContent = "Error importing user dictionary: " + error.message;
+                    }
+                    this.userDictionaryInput.value = '';
+                };
+                reader.readAsText(file);
+            }
+        });
+        this.exportUserDictionaryJsonButton.addEventListener('click', () => {
+            this.downloadFile('reading-overrides.json', new Blob([this.userDictionary.exportJSON()], { type: 'application/json;charset=utf-8' }));
+        });
+        this.exportUserDictionaryCsvButton.addEventListener('click', () => {
+            this.downloadFile('reading-overrides.csv', new Blob([this.userDictionary.exportCSV()], { type: 'text/csv;charset=utf-8' }));
+        });
+        this.clearUserDictionaryButton.addEventListener('click', () => {
+            if (this.userDictionary.size && !confirm(`Delete all ${this.userDictionary.size} reading overrides?`)) return;
+            this.userDictionary.clear();
+            this.handleUserDictionaryChange();
+        });
+        
+        // Click a word to look it up
+        this.subtitleArea.addEventListener('click', (e) => this.handleSubtitleClick(e));
+        // The event path reaches into the shadow root when the player is a <kanji-video-player>
+        document.addEventListener('click', (e) => {
+            const path = e.composedPath();
+            if (!this.dictionaryPopup.hidden && !path.includes(this.dictionaryPopup) && !path.includes(this.subtitleArea)) {
+                this.hideDictionaryPopup();
+            }
+        });
+        const keyTarget = this.config.keyTarget || document;
+        keyTarget.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideDictionaryPopup();
+            }
+        });
+        
+        // Single-key shortcuts for the deck and study mode
+        keyTarget.addEventListener('keydown', (e) => this.handleShortcut(e));
+        
+        // Study mode: step through the Japanese track cue by cue
+        this.previousCueButton.addEventListener('click', () => this.playStudyCue(this.studyMode.step(-1)));
+        this.replayCueButton.addEventListener('click', () => this.playStudyCue(this.studyMode.replay()));
+        this.nextCueButton.addEventListener('click', () => this.playStudyCue(this.studyMode.step(1)));
+        this.loopCueButton.addEventListener('click', () => this.playStudyCue(this.studyMode.loop()));
+        this.addCardButton.addEventListener('click', () => this.addCard());
+        this.exportTsvButton.addEventListener('click', () => this.exportDeck('tsv'));
+        this.exportCsvButton.addEventListener('click', () => this.exportDeck('csv'));
+        this.exportAudioButton.addEventListener('click', () => this.exportDeckAudio());
+        this.clearDeckButton.addEventListener('click', () => this.clearDeck());
+        
+        // Per-track show/hide toggles
+        this.showSubtitlesToggle.addEventListener('change', () => {
+            this.subtitleDisplay.hidden = !this.showSubtitlesToggle.checked;
+            this.subtitleLayer.hidden = !this.showSubtitlesToggle.checked;
+            if (this.nativeTracks) this.nativeTracks.setVisible('subtitles', this.showSubtitlesToggle.checked);
+        });
+        this.showTranslationToggle.addEventListener('change', () => {
+            this.translationDisplay.hidden = !this.showTranslationToggle.checked;
+            if (this.nativeTracks) this.nativeTracks.setVisible('translation', this.showTranslationToggle.checked);
+        });
+        // Timing: live offset, sync points and saving the adjusted file
+        this.timingTrackSelect.addEventListener('change', () => this.resetSyncPoints(this.timingTrackSelect.value));
+        this.subtitleOffsetInput.addEventListener('change', () => {
+            const offset = parseFloat(this.subtitleOffsetInput.value) || 0;
+            this.setOffset(Math.round(offset * 1000));
+        });
+        this.markSyncButton.addEventListener('click', () => this.markSyncPoint());
+        this.resetTimingButton.addEventListener('click', () => {
+            this.applyTiming({ scale: 1, offset: 0 });
+            this.resetSyncPoints(this.timingTrackSelect.value);
+        });
+        this.saveSubtitlesButton.addEventListener('click', () => this.saveAdjustedSubtitles());
+        this.exportAnnotatedButton.addEventListener('click', () => this.exportAnnotatedSubtitles());
+        this.buildReportButton.addEventListener('click', () => this.buildReport());
+        this.exportReportButton.addEventListener('click', () => this.exportReport());
+        
+        this.showTranscriptToggle.addEventListener('change', () => {
+            this.transcriptPanel.hidden = !this.showTranscriptToggle.checked;
+        });
+        
+        // Video time update - check for subtitles
+        this.videoElement.addEventListener('timeupdate', () => {
+            if (!this.nativeTracks) this.checkSubtitles();
+            
+            // Keep the resume position current without writing on every frame
+            if (Date.now() - this.sessionSavedAt > 5000) {
+                this.saveSessionPosition();
+            }
+        });
+        this.videoElement.addEventListener('pause', () => this.saveSession());
+        this.videoElement.addEventListener('seeked', () => this.saveSession());
+        window.addEventListener('pagehide', () => this.saveSession());
+        
+        // Recent sessions
+        this.recentSessionsList.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            
+            if (button.dataset.remove) {
+                this.removeSession(button.dataset.remove);
+            } else {
+                this.restoreSession(button.dataset.session);
+            }
+        });
+        
+        // Control buttons
+        this.playButton.addEventListener('click', () => this.videoElement.play());
+        this.pauseButton.addEventListener('click', () => this.videoElement.pause());
+        
+        // Fullscreen button
+        this.fullscreenButton.addEventListener('click', () => this.toggleFullscreen());
+        
+        // Error handling for video
+        this.videoElement.addEventListener('error', (e) => {
+            this.reportError("Video error", new Error(this.videoElement.error?.message || "Unknown error"));
+        });
+        
+        // Fullscreen change event
+        this.videoElement.addEventListener('dblclick', () => this.toggleFullscreen());
+        
+        // Listen for fullscreen changes
+        document.addEventListener('fullscreenchange', () => this.handleFullscreenChange());
+        document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange());
+        document.addEventListener('mozfullscreenchange', () => this.handleFullscreenChange());
+        document.addEventListener('MSFullscreenChange', () => this.handleFullscreenChange());
+    }
+    
+    /**
+     * Choose the video with the File System Access API picker
+     */
+    async pickVideoFile() {
+        try {
+            const [handle] = await window.showOpenFilePicker({
+                types: [{ description: 'Video', accept: { 'video/mp4': ['.mp4'], 'video/x-matroska': ['.mkv'] } }]
+            });
+            this.handleVideoFile(await handle.getFile(), handle);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.reportError("Error opening video", error);
+        }
+    }
+    
+    /**
+     * Open a chosen video, resuming the session that was waiting for it
+     * @param {File} file - Video file
+     * @param {FileSystemFileHandle|null} handle - File handle, when the File System Access API was used
+     */
+    handleVideoFile(file, handle) {
+        const pending = this.pendingSession;
+        this.pendingSession = null;
+        
+        if (pending && SessionStore.idFor(file) === pending.id) {
+            this.resumeSession(pending, file, handle);
+        } else {
+            this.openVideo(file, handle);
+            if (pending) {
+                this.loadingStatus.textContent = `"${file.name}" is not "${pending.videoName}", started a new session`;
+            }
+        }
+    }
+    
+    /**
+     * Play a video from a file or a URL. Only files get a recent session and their embedded subtitle tracks.
+     * @param {File|Blob|string} source - Video file or URL
+     */
+    loadVideo(source) {
+        if (typeof source !== 'string') {
+            this.handleVideoFile(source instanceof File ? source : new File([source], 'video', { type: source.type }), null);
+            return;
+        }
+        
+        const fileName = decodeURIComponent(new URL(source, document.baseURI).pathname.split('/').pop());
+        this.pendingSession = null;
+        this.session = null;
+        this.videoElement.src = source;
+        this.videoFileName = fileName;
+        this.setSeries(UserDictionary.seriesFromFileName(fileName));
+    }
+    
+    /**
+     * Play a video file and start a new session for it
+     * @param {File} file - Video file
+     * @param {FileSystemFileHandle|null} handle - File handle to remember, if any
+     */
+    openVideo(file, handle) {
+        const videoURL = URL.createObjectURL(file);
+        this.videoElement.src = videoURL;
+        this.videoFileName = file.name;
+        this.setSeries(UserDictionary.seriesFromFileName(file.name));
+        this.loadingStatus.textContent = `Loaded video: ${file.name}`;
+        setTimeout(() => {
+            this.loadingStatus.textContent = "";
+        }, 3000);
+        this.loadEmbeddedTracks(file);
+        
+        this.session = {
+            id: SessionStore.idFor(file),
+            videoName: file.name,
+            videoSize: file.size,
+            videoHandle: handle
+        };
+        // A resumed session keeps its own files, which are loaded next
+        if (!this.restoringSession) {
+            this.saveSessionFile('subtitles');
+            this.saveSessionFile('translation');
+        }
+        this.saveSession();
+    }
+    
+    /**
+     * Save the current session: video, subtitle file names, position, timing and settings
+     */
+    async saveSession() {
+        if (!this.session || this.restoringSession) return;
+        this.sessionSavedAt = Date.now();
+        
+        const fileName = source => source && { fileName: source.fileName };
+        const session = Object.assign({}, this.session, this.sessionPosition(), {
+            subtitles: fileName(this.subtitleSource),
+            translation: fileName(this.translationSource),
+            series: this.series,
+            duration: isFinite(this.videoElement.duration) ? this.videoElement.duration : 0
+        });
+        
+        try {
+            await this.sessions.save(session);
+            this.renderRecentSessions();
+        } catch (error) {
+            console.error("Error saving session:", error);
+        }
+    }
+    
+    /**
+     * Save only the position, timing and settings of the current session, while the video plays
+     */
+    async saveSessionPosition() {
+        if (!this.session || this.restoringSession) return;
+        this.sessionSavedAt = Date.now();
+        
+        try {
+            await this.sessions.update(this.session.id, this.sessionPosition());
+        } catch (error) {
+            console.error("Error saving session:", error);
+        }
+    }
+    
+    /**
+     * Position, timing and settings of the current session
+     * @returns {object} - {currentTime, timing, settings}
+     */
+    sessionPosition() {
+        return {
+            currentTime: this.videoElement.currentTime,
+            timing: {
+                subtitles: Object.assign({}, this.subtitleParser.timing),
+                translation: Object.assign({}, this.translationParser.timing)
+            },
+            settings: Object.assign({}, this.settings)
+        };
+    }
+    
+    /**
+     * Store the content of a loaded subtitle file with the current session, once per load
+     * @param {string} kind - "subtitles" or "translation"
+     */
+    async saveSessionFile(kind) {
+        const source = kind === 'subtitles' ? this.subtitleSource : this.translationSource;
+        if (!this.session || !source) return;
+        
+        try {
+            await this.sessions.saveFile(this.session.id, kind, source);
+        } catch (error) {
+            console.error("Error saving session:", error);
+        }
+    }
+    
+    /**
+     * Resume a recent session. Without a stored file handle (or permission to read it)
+     * the user is asked to pick the video again, and the session resumes once it matches.
+     * @param {string} id - Session id
+     */
+    async restoreSession(id) {
+        try {
+            const session = (await this.sessions.getRecent()).find(candidate => candidate.id === id);
+            if (!session) return;
+            
+            const handle = session.videoHandle;
+            if (handle && (await handle.queryPermission({ mode: 'read' }) === 'granted' ||
+                await handle.requestPermission({ mode: 'read' }) === 'granted')) {
+                await this.resumeSession(session, await handle.getFile(), handle);
+                return;
+            }
+            
+            this.pendingSession = session;
+            this.loadingStatus.textContent = `Select "${session.videoName}" to resume`;
+            if (typeof window.showOpenFilePicker === 'function') {
+                this.pickVideoFile();
+            } else {
+                this.videoInput.click();
+            }
+        } catch (error) {
+            console.error("Error restoring session:", error);
+            this.loadingStatus.textContent = "Could not restore session: " + error.message;
+        }
+    }
+    
+    /**
+     * Open a session's video and restore its settings, subtitles, timing and position
+     * @param {object} session - Stored session
+     * @param {File} file - The session's video file
+     * @param {FileSystemFileHandle|null} handle - File handle, if any
+     */
+    async resumeSession(session, file, handle) {
+        this.restoringSession = true;
+        
+        try {
+            // Read before the video is opened, so its loadedmetadata event cannot fire unheard below
+            const files = await this.sessions.getFiles(session);
+            this.openVideo(file, handle || session.videoHandle || null);
+            if (session.series !== undefined) {
+                this.setSeries(session.series);
+            }
+            
+            this.settings = Object.assign(this.settings, session.settings);
+            this.saveSettings();
+            this.applySettings();
+            
+            if (files.subtitles) {
+                this.loadSubtitles(files.subtitles.content, files.subtitles.fileName);
+                this.restoreTiming('subtitles', session.timing.subtitles);
+            }
+            if (files.translation) {
+                this.loadTranslation(files.translation.content, files.translation.fileName);
+                this.restoreTiming('translation', session.timing.translation);
+            }
+            this.transcript.updateTimes();
+            this.updateTimingControls();
+            
+            await new Promise((resolve, reject) => {
+                this.videoElement.addEventListener('loadedmetadata', resolve, { once: true });
+                this.videoElement.addEventListener('error', () => reject(new Error("the video could not be loaded")), { once: true });
+            });
+            this.videoElement.currentTime = session.currentTime;
+            this.checkSubtitles();
+            this.loadingStatus.textContent = `Resumed ${session.videoName} at ${TranscriptPanel.formatTime(session.currentTime * 1000)}`;
+        } catch (error) {
+            console.error("Error resuming session:", error);
+            this.loadingStatus.textContent = "Could not resume session: " + error.message;
+        } finally {
+            this.restoringSession = false;
+        }
+    }
+    
+    /**
+     * Forget a recent session
+     * @param {string} id - Session id
+     */
+    async removeSession(id) {
+        try {
+            await this.sessions.remove(id);
+            this.renderRecentSessions();
+        } catch (error) {
+            console.error("Error removing session:", error);
+        }
+    }
+    
+    /**
+     * List the recent sessions, each restorable in one click
+     */
+    async renderRecentSessions() {
+        let sessions;
+        try {
+            sessions = await this.sessions.getRecent();
+        } catch (error) {
+            console.error("Error reading sessions:", error);
+            sessions = [];
+        }
+        
+        this.recentSessionsList.innerHTML = '';
+        for (const session of sessions) {
+            const item = document.createElement('li');
+            
+            const resume = document.createElement('button');
+            resume.dataset.session = session.id;
+            resume.textContent = `${session.videoName} (${TranscriptPanel.formatTime(session.currentTime * 1000)}` +
+                (session.duration ? ` / ${TranscriptPanel.formatTime(session.duration * 1000)})` : ')');
+            
+            const details = document.createElement('span');
+            details.className = 'recent-session-details';
+            details.textContent = [
+                session.subtitles && session.subtitles.fileName,
+                session.translation && session.translation.fileName,
+                new Date(session.updated).toLocaleString()
+            ].filter(Boolean).join(' · ');
+            
+            const remove = document.createElement('button');
+            remove.dataset.remove = session.id;
+            remove.title = 'Forget this session';
+            remove.textContent = '\u00D7';
+            
+            item.append(resume, details, remove);
+            this.recentSessionsList.appendChild(item);
+        }
+        
+        this.recentSessions.hidden = !sessions.length;
+    }
+    
+    /**
+     * List the text subtitle tracks inside a Matroska video and offer them for selection
+     * @param {File} file - Selected video file
+     */
+    async loadEmbeddedTracks(file) {
+        const demuxer = new MkvDemuxer(file);
+        this.demuxer = demuxer;
+        this.embeddedTracks = [];
+        this.embeddedSubtitleSelect.innerHTML = '';
+        this.embeddedSubtitleLabel.hidden = true;
+        
+        try {
+            if (!(await demuxer.isMatroska())) return;
+            
+            const tracks = await demuxer.readTracks();
+            if (this.demuxer !== demuxer || !tracks.length) return;
+            
+            this.embeddedTracks = tracks;
+            this.embeddedSubtitleSelect.add(new Option(`Choose a track (${tracks.length} found)`, ''));
+            tracks.forEach((track, i) => {
+                const label = [`Track ${track.number}`, track.name, track.language, track.format.toUpperCase()]
+                    .filter(Boolean)
+                    .join(' - ');
+                this.embeddedSubtitleSelect.add(new Option(label, i));
+            });
+            this.embeddedSubtitleLabel.hidden = false;
+        } catch (error) {
+            this.reportError("Could not read embedded subtitles", error);
+        }
+    }
+    
+    /**
+     * Extract an embedded subtitle track and load it like a subtitle file
+     * @param {object} track - Track from MkvDemuxer.readTracks()
+     */
+    async extractEmbeddedTrack(track) {
+        const demuxer = this.demuxer;
+        
+        try {
+            this.loadingStatus.textContent = "Extracting subtitles: 0%";
+            const content = await demuxer.extractSubtitles(track, (progress) => {
+                this.loadingStatus.textContent = `Extracting subtitles: ${Math.round(progress * 100)}%`;
+            });
+            
+            // Ignore the result if another video was chosen meanwhile
+            if (this.demuxer !== demuxer) return;
+            
+            this.loadSubtitles(content, `${demuxer.file.name}.track${track.number}.${track.format}`);
+        } catch (error) {
+            this.reportError("Error extracting subtitles", error);
+        }
+    }
+    
+    /**
+     * Load and parse subtitles
+     * @param {string} content - Subtitle file content
+     * @param {string} [fileName] - Subtitle file name, used to pick SRT/VTT/ASS parser
+     */
+    loadSubtitles(content, fileName) {
+        this.subtitles = this.subtitleParser.parse(content, fileName);
+        this.renderer.setScriptInfo(this.subtitleParser.format === 'ass' ? this.subtitleParser.scriptInfo : {});
+        this.subtitleFileName = fileName || 'subtitles.srt';
+        this.subtitleSource = { content: content, fileName: this.subtitleFileName };
+        this.syncCue = null;
+        this.resetSyncPoints('subtitles');
+        this.studyMode.reset();
+        this.transcript.setCues(this.subtitleParser.index);
+        this.updateNativeCues('subtitles');
+        this.currentSubtitles = [];
+        this.currentTranslations = [];
+        this.report = null;
+        this.reportPanel.hidden = true;
+        this.exportReportButton.disabled = true;
+        this.loadingStatus.textContent = `Loaded ${this.subtitles.length} subtitles` + this.describeParseErrors(this.subtitleParser);
+        
+        this.precomputeAnnotations();
+        this.saveSessionFile('subtitles');
+        this.saveSession();
+    }
+    
+    /**
+     * Summarize the problems found while parsing a file; the details go to the console
+     * @param {SubtitleParser} parser - Parser that just parsed a file
+     * @returns {string} - Text to append to the status message, empty if there were none
+     */
+    describeParseErrors(parser) {
+        if (!parser.errors.length) return '';
+        
+        for (const error of parser.errors) {
+            console.warn(`Subtitle line ${error.line}: ${error.message}`);
+        }
+        
+        const first = parser.errors[0];
+        return ` (skipped ${parser.errors.length} malformed: line ${first.line}: ${first.message}${parser.errors.length > 1 ? ', ...' : ''})`;
+    }
+    
+    /**
+     * Load and parse the translation subtitle track
+     * @param {string} content - Subtitle file content
+     * @param {string} [fileName] - Subtitle file name, used to pick SRT/VTT/ASS parser
+     */
+    loadTranslation(content, fileName) {
+        this.translations = this.translationParser.parse(content, fileName);
+        this.translationFileName = fileName || 'translation.srt';
+        this.translationSource = { content: content, fileName: this.translationFileName };
+        this.resetSyncPoints('translation');
+        this.updateNativeCues('translation');
+        this.currentTranslations = [];
+        this.loadingStatus.textContent = `Loaded ${this.translations.length} translation subtitles` + this.describeParseErrors(this.translationParser);
+        setTimeout(() => {
+            this.loadingStatus.textContent = "";
+        }, 3000);
+        
+        this.checkSubtitles();
+        this.saveSessionFile('translation');
+        this.saveSession();
+    }
+    
+    /**
+     * Put back a track's saved timing. The native cues were published with the file's times
+     * when the track was loaded, so they are published again.
+     * @param {string} kind - "subtitles" or "translation"
+     * @param {object} timing - Timing with scale and offset, see SubtitleParser.setTiming()
+     */
+    restoreTiming(kind, timing) {
+        (kind === 'translation' ? this.translationParser : this.subtitleParser).setTiming(timing);
+        this.updateNativeCues(kind);
+    }
+    
+    /**
+     * Publish a track's cues, with their current timing, as the video's text track
+     * @param {string} kind - "subtitles" or "translation"
+     */
+    updateNativeCues(kind) {
+        if (!this.nativeTracks) return;
+        
+        if (kind === 'translation') {
+            this.nativeTracks.setCues(kind, this.translationParser.index, translation => this.plainText(translation));
+        } else {
+            this.nativeTracks.setCues(kind, this.subtitleParser.index, subtitle =>
+                this.annotations.has(subtitle) ? this.nativeText(subtitle, this.annotations.get(subtitle)) : this.plainText(subtitle)
+            );
+        }
+    }
+    
+    /**
+     * Cue text without styling, one line per subtitle line
+     * @param {object} subtitle - Subtitle object
+     * @returns {string} - Text
+     */
+    plainText(subtitle) {
+        return this.subtitleLines(subtitle).map(runs => runs.map(run => run.text).join('')).join('\n');
+    }
+    
+    /**
+     * Cue text for the native track: readings in brackets (漢字(かんじ)), following the reading settings
+     * @param {object} subtitle - Subtitle object
+     * @param {object} annotation - Annotation, see analyzeSubtitle()
+     * @returns {string} - Text
+     */
+    nativeText(subtitle, annotation) {
+        if (this.settings.mode === 'hidden' || !annotation.tokens.length) {
+            return this.plainText(subtitle);
+        }
+        
+        const options = this.readingOptions(false);
+        return this.subtitleLines(subtitle).map(runs => runs.map(run => {
+            const analyzed = annotation.runs.get(run);
+            return analyzed ? NativeTracks.readingText(this.annotator.segments(analyzed.tokens, options)) : run.text;
+        }).join('')).join('\n');
+    }
+    
+    /**
+     * Captions turned on from the video controls replace the matching part of the overlay, so lines are not shown twice
+     * @param {object} showing - {subtitles, translation}: tracks the browser draws
+     */
+    handleNativeModeChange(showing) {
+        this.subtitleArea.classList.toggle('native-subtitles', showing.subtitles);
+        this.subtitleArea.classList.toggle('native-translation', showing.translation);
+    }
+    
+    /**
+     * Annotate every loaded cue with furigana in the background.
+     * Starting a new run (e.g. loading another file) abandons the previous one.
+     */
+    async precomputeAnnotations() {
+        const generation = ++this.annotationGeneration;
+        const subtitles = this.subtitles;
+        this.annotations = new Map();
+        this.pendingAnnotations = new Map();
+        
+        // Drop whatever the previous run and the display still have queued in the analyzer
+        if (this.annotationAbort) this.annotationAbort.abort();
+        this.annotationAbort = new AbortController();
+        const signal = this.annotationAbort.signal;
+        this.cancelDisplayRequests([]);
+        
+        await this.kuroshiroInit;
+        if (generation !== this.annotationGeneration) return;
+        if (!this.kuroshiroReady) return;
+        
+        for (let i = 0; i < subtitles.length; i++) {
+            if (generation !== this.annotationGeneration) return;
+            
+            await this.annotateCue(subtitles[i], signal);
+            
+            // The display may have cancelled a request this run was waiting on
+            if (generation === this.annotationGeneration && !this.annotations.has(subtitles[i])) {
+                await this.annotateCue(subtitles[i], signal);
+            }
+            
+            if (i % 10 === 0 || i === subtitles.length - 1) {
+                this.loadingStatus.textContent = `Adding furigana: ${i + 1}/${subtitles.length}`;
+            }
+            
+            // Yield so playback and UI events are not starved
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        this.loadingStatus.textContent = `Furigana ready for ${subtitles.length} subtitles`;
+        setTimeout(() => {
+            if (generation === this.annotationGeneration) {
+                this.loadingStatus.textContent = "";
+            }
+        }, 3000);
+    }
+    
+    /**
+     * Annotate a single cue, reusing the cached or in-flight result
+     * @param {object} subtitle - Subtitle object
+     * @param {AbortSignal} [signal] - Cancels the analyzer requests; the cue is then shown without readings and not cached
+     * @returns {Promise<object>} - Annotation, see analyzeSubtitle()
+     */
+    annotateCue(subtitle, signal) {
+        if (this.annotations.has(subtitle)) {
+            return Promise.resolve(this.annotations.get(subtitle));
+        }
+        if (this.pendingAnnotations.has(subtitle)) {
+            return this.pendingAnnotations.get(subtitle);
+        }
+        
+        const generation = this.annotationGeneration;
+        const pending = this.analyzeSubtitle(subtitle, signal)
+            .catch(error => {
+                if (error.name === 'AbortError') return null;
+                console.error("Error processing subtitle:", error);
+                return this.plainAnnotation(subtitle);
+            })
+            .then(annotation => {
+                if (this.pendingAnnotations.get(subtitle) === pending) {
+                    this.pendingAnnotations.delete(subtitle);
+                }
+                if (!annotation) {
+                    return this.plainAnnotation(subtitle);
+                }
+                if (generation === this.annotationGeneration && this.kuroshiroReady) {
+                    this.annotations.set(subtitle, annotation);
+                    this.updateTranscriptLine(subtitle, annotation);
+                    if (this.nativeTracks) this.nativeTracks.setText('subtitles', subtitle, this.nativeText(subtitle, annotation));
+                }
+                return annotation;
+            });
+        
+        this.pendingAnnotations.set(subtitle, pending);
+        return pending;
+    }
+    
+    /**
+     * Show a cue's furigana in the transcript and make it searchable by reading
+     * @param {object} subtitle - Subtitle object
+     * @param {object} annotation - Annotation, see analyzeSubtitle()
+     */
+    updateTranscriptLine(subtitle, annotation) {
+        if (!annotation.tokens.length) return;
+        
+        const util = this.KuroshiroClass.Util;
+        const reading = annotation.tokens.map(token =>
+            util.kanaToHiragna(token.reading && token.reading !== '*' ? token.reading : token.surface_form)
+        ).join('');
+        
+        this.transcript.setAnnotation(subtitle, this.renderAnnotation(subtitle, annotation, this.readingOptions(false)), reading);
+    }
+    
+    /**
+     * Seek to the start of a cue, e.g. when its transcript line is clicked
+     * @param {object|number} subtitle - Subtitle object, or the index of a Japanese cue
+     */
+    seekToCue(subtitle) {
+        if (typeof subtitle === 'number') {
+            if (!this.subtitles[subtitle]) {
+                throw new RangeError(`No cue ${subtitle}: ${this.subtitles.length} cues loaded`);
+            }
+            subtitle = this.subtitles[subtitle];
+        }
+        
+        this.videoElement.currentTime = subtitle.start / 1000;
+        this.checkSubtitles();
+    }
+    
+    /**
+     * Check for subtitles at current video time
+     */
+    checkSubtitles() {
+        const currentTime = this.videoElement.currentTime * 1000; // Convert to ms
+        const subtitles = this.subtitleParser.findSubtitlesAtTime(currentTime);
+        const translations = this.findTranslations(subtitles, currentTime);
+        
+        const subtitlesChanged = !this.sameCues(subtitles, this.currentSubtitles);
+        const translationsChanged = !this.sameCues(translations, this.currentTranslations);
+        
+        // If the set of active cues changed
+        if (subtitlesChanged) {
+            this.currentSubtitles = subtitles;
+            this.renderSubtitles(subtitles);
+            this.transcript.setActive(subtitles);
+        }
+        
+        if (translationsChanged) {
+            this.currentTranslations = translations;
+            this.renderTranslations(translations);
+        }
+        
+        if (subtitlesChanged || translationsChanged) {
+            this.emit('cuechange', { cues: subtitles, translations: translations });
+        }
+    }
+    
+    /**
+     * Find translation cues to show alongside the active Japanese cues.
+     * Translation cues overlapping a Japanese cue are kept for its whole duration,
+     * even when the two tracks split or time lines differently.
+     * @param {Array} subtitles - Active Japanese cues
+     * @param {number} time - Current video time in milliseconds
+     * @returns {Array} - Translation cues ordered by start time
+     */
+    findTranslations(subtitles, time) {
+        if (!subtitles.length) {
+            return this.translationParser.findSubtitlesAtTime(time);
+        }
+        
+        const translations = new Set();
+        for (const subtitle of subtitles) {
+            const minOverlap = Math.min(this.translationMinOverlap, (subtitle.end - subtitle.start) / 2);
+            for (const translation of this.translationParser.findSubtitlesInRange(subtitle.start, subtitle.end, minOverlap)) {
+                translations.add(translation);
+            }
+        }
+        
+        return Array.from(translations).sort((a, b) => a.start - b.start);
+    }
+    
+    /**
+     * Compare two lists of cues by identity
+     * @param {Array} a - Cue list
+     * @param {Array} b - Cue list
+     * @returns {boolean} - True if both hold the same cues in the same order
+     */
+    sameCues(a, b) {
+        return a.length === b.length && a.every((cue, i) => cue === b[i]);
+    }
+    
+    /**
+     * Render the translation cues as plain text, stacked in the translation display
+     * @param {Array} translations - Translation cues, empty to clear the display
+     */
+    renderTranslations(translations) {
+        this.translationDisplay.innerHTML = '';
+        
+        for (const translation of translations) {
+            const line = document.createElement('div');
+            line.className = 'subtitle-line';
+            line.textContent = translation.text;
+            this.translationDisplay.appendChild(line);
+        }
+    }
+    
+    /**
+     * Render the active cues, positioned by the renderer, using the annotation cache.
+     * Cues that are not annotated yet are shown without readings and re-rendered
+     * once their furigana arrives, if still on screen.
+     * @param {Array} subtitles - Active subtitle objects, empty to clear the display
+     */
+    renderSubtitles(subtitles) {
+        this.renderer.clear();
+        this.cueLines.clear();
+        this.cancelDisplayRequests(subtitles);
+        
+        for (const subtitle of subtitles) {
+            const line = document.createElement('div');
+            line.className = 'subtitle-line';
+            
+            if (this.annotations.has(subtitle)) {
+                line.innerHTML = this.annotations.get(subtitle).html;
+            } else {
+                line.innerHTML = SubtitleMarkup.render(this.subtitleLines(subtitle));
+                
+                if (this.kuroshiroReady) {
+                    if (!this.displayRequests.has(subtitle)) {
+                        this.displayRequests.set(subtitle, new AbortController());
+                    }
+                    this.annotateCue(subtitle, this.displayRequests.get(subtitle).signal).then(annotation => {
+                        this.displayRequests.delete(subtitle);
+                        // Never let a late result overwrite a newer cue
+                        if (this.currentSubtitles.includes(subtitle)) {
+                            line.innerHTML = annotation.html;
+                        }
+                    });
+                }
+            }
+            
+            this.cueLines.set(line, subtitle);
+            this.renderer.addCue(line, subtitle);
+        }
+    }
+    
+    /**
+     * Cancel the analyzer requests started for cues that are no longer on screen
+     * @param {Array} subtitles - Cues still shown
+     */
+    cancelDisplayRequests(subtitles) {
+        for (const [subtitle, controller] of this.displayRequests) {
+            if (!subtitles.includes(subtitle)) {
+                controller.abort();
+                this.displayRequests.delete(subtitle);
+            }
+        }
+    }
+    
+    /**
+     * Process a cue - add readings according to the reading mode settings
+     * @param {object} subtitle - Subtitle object
+     * @returns {Promise<string>} - HTML with furigana, okurigana or converted readings, keeping the cue's styling and line breaks
+     */
+    async processSubtitle(subtitle) {
+        const annotation = await this.annotateCue(subtitle);
+        return this.renderAnnotation(subtitle, annotation, this.readingOptions(false));
+    }
+    
+    /**
+     * Annotator options for the current reading settings
+     * @param {boolean} tokenSpans - Wrap tokens in spans for click lookup
+     * @returns {object} - Options for FuriganaAnnotator.render()
+     */
+    readingOptions(tokenSpans) {
+        return {
+            mode: this.settings.mode,
+            to: this.settings.to,
+            romajiSystem: this.settings.romajiSystem,
+            knownKanji: this.knownKanji,
+            tokenSpans: tokenSpans,
+            describeToken: token => this.overlay.describe(token)
+        };
+    }
+    
+    /**
+     * Tokenize the text runs of a cue and render it as per-token spans with readings
+     * according to the reading mode settings. Styling tags and line breaks are kept around the runs.
+     * @param {object} subtitle - Subtitle object
+     * @param {AbortSignal} [signal] - Cancels the analyzer requests; the promise then rejects with an AbortError
+     * @returns {Promise<object>} - {html, tokens, runs}: tokens of all runs numbered together, and per analyzed
+     *     run its tokens and the index of its first token; tokens is empty when the text was not analyzed
+     */
+    async analyzeSubtitle(subtitle, signal) {
+        if (!this.annotator || !this.kuroshiroReady) {
+            return this.plainAnnotation(subtitle);
+        }
+        
+        try {
+            const util = this.KuroshiroClass.Util;
+            const annotation = { html: '', tokens: [], runs: new Map() };
+            
+            // Japanese text is always tokenized, even with readings hidden, so words stay clickable
+            for (const runs of this.subtitleLines(subtitle)) {
+                for (const run of runs) {
+                    if (!util || !util.hasJapanese(run.text)) continue;
+                    
+                    const tokens = await this.annotator.tokenize(run.text, { signal: signal, userDictionary: this.userDictionary, series: this.series });
+                    annotation.runs.set(run, { tokens: tokens, offset: annotation.tokens.length });
+                    annotation.tokens.push(...tokens);
+                }
+            }
+            
+            annotation.html = this.renderAnnotation(subtitle, annotation, this.readingOptions(true));
+            return annotation;
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error("Error in Kuroshiro conversion:", error);
+        }
+        
+        return this.plainAnnotation(subtitle);
+    }
+    
+    /**
+     * Annotation of a cue without readings, for cues that could not be analyzed
+     * @param {object} subtitle - Subtitle object
+     * @returns {object} - Annotation, see analyzeSubtitle()
+     */
+    plainAnnotation(subtitle) {
+        return { html: SubtitleMarkup.render(this.subtitleLines(subtitle)), tokens: [], runs: new Map() };
+    }
+    
+    /**
+     * Render an analyzed cue as sanitized HTML: readings on the Japanese runs, every other run escaped
+     * @param {object} subtitle - Subtitle object
+     * @param {object} annotation - Annotation, see analyzeSubtitle()
+     * @param {object} options - Options for FuriganaAnnotator.render()
+     * @returns {string} - HTML
+     */
+    renderAnnotation(subtitle, annotation, options) {
+        return SubtitleMarkup.render(this.subtitleLines(subtitle), run => {
+            const analyzed = annotation.runs.get(run);
+            if (!analyzed) return SubtitleMarkup.escapeHTML(run.text);
+            return this.annotator.render(analyzed.tokens, Object.assign({ tokenOffset: analyzed.offset }, options));
+        });
+    }
+    
+    /**
+     * Ruby segments of an analyzed cue for export, per line, each with the style of its run
+     * @param {object} subtitle - Subtitle object
+     * @param {object} annotation - Annotation, see analyzeSubtitle()
+     * @param {object} options - Reading options
+     * @returns {Array} - Lines of segments with text, reading and style, see SubtitleParser.serialize()
+     */
+    annotationSegments(subtitle, annotation, options) {
+        return this.subtitleLines(subtitle).map(runs => [].concat(...runs.map(run => {
+            const analyzed = annotation.runs.get(run);
+            const segments = analyzed ? this.annotator.segments(analyzed.tokens, options) : [{ text: run.text, reading: null }];
+            return segments.map(segment => Object.assign({}, run, segment));
+        })));
+    }
+    
+    /**
+     * Lines of styled runs of a cue. Cues from the parsers carry them; other cues get one unstyled line,
+     * kept on the cue so annotations can refer to its runs.
+     * @param {object} subtitle - Subtitle object
+     * @returns {Array} - Lines of runs, see SubtitleMarkup.parse()
+     */
+    subtitleLines(subtitle) {
+        if (!subtitle.lines) {
+            subtitle.lines = [[{ text: subtitle.text }]];
         }
+        return subtitle.lines;
+    }
+    
+    /**
+     * Find the token behind a click in the subtitle display
+     * @param {Event} e - Click event
+     * @returns {object|null} - {token, subtitle, element} or null if no word was clicked
+     */
+    tokenFromEvent(e) {
+        const element = e.target.closest('.subtitle-token');
+        const line = e.target.closest('.subtitle-line');
+        if (!element || !line) return null;
         
-        this.initializeKuroshiro();
-        this.setupEventListeners();
+        const subtitle = this.cueLines.get(line);
+        const annotation = subtitle && this.annotations.get(subtitle);
+        const token = annotation && annotation.tokens[element.dataset.token];
+        
+        return token ? { token: token, subtitle: subtitle, element: element } : null;
     }
     
     /**
-     * Initialize Kuroshiro for kanji conversion
+     * Pause and show the dictionary popup for a clicked word
+     * @param {Event} e - Click event
      */
-    async initializeKuroshiro() {
+    async handleSubtitleClick(e) {
+        const hit = this.tokenFromEvent(e);
+        if (!hit || !this.KuroshiroClass.Util.hasJapanese(hit.token.surface_form)) return;
+        
+        this.videoElement.pause();
+        
+        const token = hit.token;
+        const reading = token.reading && token.reading !== '*' ? this.KuroshiroClass.Util.kanaToHiragna(token.reading) : '';
+        const basicForm = token.basic_form && token.basic_form !== '*' ? token.basic_form : token.surface_form;
+        
+        const selectedWord = { word: basicForm, reading: reading, entries: [], subtitle: hit.subtitle };
+        this.selectedWord = selectedWord;
+        this.showDictionaryPopup(hit.element, basicForm, reading, token, null);
+        
         try {
-            this.loadingStatus.textContent = "Initializing Kuroshiro dictionary...";
-            this.kuroshiro = new this.KuroshiroClass();
-            await this.kuroshiro.init(new this.KuromojiAnalyzerClass({ dictPath: './kuromoji/dict' }));
-            this.kuroshiroReady = true;
-            this.loadingStatus.textContent = "Kuroshiro ready";
-            setTimeout(() => {
-                this.loadingStatus.textContent = "";
-            }, 3000);
+            const entries = await this.dictionary.lookup(basicForm, token.surface_form, reading);
+            if (this.selectedWord === selectedWord) {
+                selectedWord.entries = entries;
+                this.showDictionaryPopup(hit.element, basicForm, reading, token, entries);
+            }
         } catch (error) {
-            console.error("Error initializing Kuroshiro:", error);
-            this.loadingStatus.textContent = "Error loading Kuroshiro: " + error.message;
+            console.error("Error looking up word:", error);
+            this.showDictionaryPopup(hit.element, basicForm, reading, token, [], error.message);
         }
     }
     
     /**
-     * Set up event listeners
+     * Render the dictionary popup next to a word
+     * @param {Element} anchor - Clicked token element
+     * @param {string} basicForm - Dictionary form
+     * @param {string} reading - Reading of the word as used in the subtitle
+     * @param {object} token - Analyzer token
+     * @param {Array|null} entries - Dictionary entries, or null while loading
+     * @param {string} [errorMessage] - Lookup error to show instead of entries
      */
-    setupEventListeners() {
-        // Video file selection
-        this.videoInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                const videoURL = URL.createObjectURL(file);
-                this.videoElement.src = videoURL;
-                this.loadingStatus.textContent = `Loaded video: ${file.name}`;
-                setTimeout(() => {
-                    this.loadingStatus.textContent = "";
-                }, 3000);
+    showDictionaryPopup(anchor, basicForm, reading, token, entries, errorMessage) {
+        const popup = this.dictionaryPopup;
+        popup.innerHTML = '';
+        popup.dataset.word = basicForm;
+        
+        const header = document.createElement('div');
+        header.className = 'dictionary-header';
+        const word = document.createElement('span');
+        word.className = 'dictionary-word';
+        word.textContent = basicForm;
+        const kana = document.createElement('span');
+        kana.className = 'dictionary-reading';
+        kana.textContent = entries && entries.length ? entries[0].kana[0] : reading;
+        const pos = document.createElement('span');
+        pos.className = 'dictionary-pos';
+        pos.textContent = [token.pos, token.pos_detail_1].filter(value => value && value !== '*').join('・');
+        header.append(word, kana, pos);
+        popup.appendChild(header);
+        popup.appendChild(this.createReadingEditor(token));
+        
+        if (errorMessage) {
+            const message = document.createElement('div');
+            message.textContent = errorMessage;
+            popup.appendChild(message);
+        } else if (!entries) {
+            const message = document.createElement('div');
+            message.textContent = 'Looking up...';
+            popup.appendChild(message);
+        } else if (!entries.length) {
+            const message = document.createElement('div');
+            message.textContent = this.dictionary.sample ?
+                'No dictionary entry found: only the sample dictionary is installed (run "npm run fetch-dictionaries" to get the full JMdict)' :
+                'No dictionary entry found';
+            popup.appendChild(message);
+        } else {
+            const list = document.createElement('ol');
+            for (const sense of entries[0].senses) {
+                const item = document.createElement('li');
+                const tags = document.createElement('span');
+                tags.className = 'dictionary-pos';
+                tags.textContent = sense.pos.map(tag => Dictionary.describePos(tag)).join(', ');
+                item.append(tags, ' ' + sense.glosses.join('; '));
+                list.appendChild(item);
             }
-        });
+            popup.appendChild(list);
+        }
         
-        // Subtitle file selection
-        this.subtitleInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    this.loadSubtitles(event.target.result);
-                };
-                reader.readAsText(file);
+        const addButton = document.createElement('button');
+        addButton.textContent = 'Add to deck (A)';
+        addButton.addEventListener('click', () => this.addCard());
+        popup.appendChild(addButton);
+        
+        popup.hidden = false;
+        
+        // Place the popup above the clicked word, inside the video container
+        const containerRect = this.videoContainer.getBoundingClientRect();
+        const anchorRect = anchor.getBoundingClientRect();
+        const left = anchorRect.left - containerRect.left + anchorRect.width / 2 - popup.offsetWidth / 2;
+        popup.style.left = `${Math.max(0, Math.min(left, containerRect.width - popup.offsetWidth))}px`;
+        popup.style.bottom = `${containerRect.bottom - anchorRect.top + 8}px`;
+    }
+    
+    /**
+     * Form in the dictionary popup for correcting a word's reading. The word can be extended
+     * (e.g. to a full name the analyzer split), and the fix applies to the current series or everywhere.
+     * @param {object} token - Analyzer token
+     * @returns {Element} - Form element
+     */
+    createReadingEditor(token) {
+        const form = document.createElement('form');
+        form.className = 'reading-editor';
+        
+        const surface = document.createElement('input');
+        surface.value = token.surface_form;
+        surface.title = "Word as written";
+        surface.size = 8;
+        const reading = document.createElement('input');
+        reading.value = token.reading && token.reading !== '*' ? this.KuroshiroClass.Util.kanaToHiragna(token.reading) : '';
+        reading.title = "Reading in kana";
+        reading.size = 10;
+        
+        const scope = document.createElement('input');
+        scope.type = 'checkbox';
+        scope.checked = Boolean(this.series);
+        scope.disabled = !this.series;
+        const scopeLabel = document.createElement('label');
+        scopeLabel.append(scope, ` ${this.series || "No series"} only`);
+        
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.textContent = 'Fix reading';
+        form.append(surface, ' ', reading, ' ', scopeLabel, save);
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                this.userDictionary.set(surface.value.trim(), reading.value.trim(), scope.checked ? this.series : '');
+            } catch (error) {
+                this.loadingStatus.textContent = error.message;
+                return;
             }
+            this.loadingStatus.textContent = `Reading of ${surface.value.trim()} set to ${reading.value.trim()}`;
+            this.hideDictionaryPopup();
+            this.handleUserDictionaryChange();
         });
         
-        // Video time update - check for subtitles
-        this.videoElement.addEventListener('timeupdate', () => {
-            this.checkSubtitles();
-        });
+        // Overridden words can go back to the analyzer's reading
+        if (token.override) {
+            const reset = document.createElement('button');
+            reset.type = 'button';
+            reset.textContent = 'Reset';
+            reset.addEventListener('click', () => {
+                this.userDictionary.remove(token.surface_form, this.userDictionary.scopeOf(token.surface_form, this.series) || '');
+                this.loadingStatus.textContent = `Reading override for ${token.surface_form} removed`;
+                this.hideDictionaryPopup();
+                this.handleUserDictionaryChange();
+            });
+            form.appendChild(reset);
+        }
         
-        // Control buttons
-        this.playButton.addEventListener('click', () => this.videoElement.play());
-        this.pauseButton.addEventListener('click', () => this.videoElement.pause());
+        return form;
+    }
+    
+    /**
+     * Hide the dictionary popup
+     */
+    hideDictionaryPopup() {
+        this.dictionaryPopup.hidden = true;
+        delete this.dictionaryPopup.dataset.word;
+        this.selectedWord = null;
+    }
+    
+    /**
+     * Handle single-key shortcuts:
+     * A adds to the deck, S toggles study mode, R replays the cue,
+     * Left/Right go to the previous/next cue, L loops the cue,
+     * [ and ] nudge the subtitle offset by 100 ms, { and } by 1 s
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleShortcut(e) {
+        if (this.isTypingTarget(e.composedPath()[0]) || e.ctrlKey || e.metaKey || e.altKey) return;
         
-        // Fullscreen button
-        this.fullscreenButton.addEventListener('click', () => this.toggleFullscreen());
+        switch (e.key) {
+            case 'a':
+            case 'A':
+                this.addCard();
+                break;
+            case 's':
+            case 'S':
+                this.studyModeToggle.checked = !this.studyModeToggle.checked;
+                this.handleSettingsChange();
+                this.loadingStatus.textContent = `Study mode ${this.settings.studyMode ? "on" : "off"}`;
+                break;
+            case 'r':
+            case 'R':
+                this.playStudyCue(this.studyMode.replay());
+                break;
+            case 'ArrowLeft':
+                this.playStudyCue(this.studyMode.step(-1));
+                break;
+            case 'ArrowRight':
+                this.playStudyCue(this.studyMode.step(1));
+                break;
+            case 'l':
+            case 'L':
+                this.playStudyCue(this.studyMode.loop());
+                break;
+            case '[':
+            case ']':
+                this.setOffset(this.timingParser().timing.offset + (e.key === ']' ? 100 : -100));
+                break;
+            case '{':
+            case '}':
+                this.setOffset(this.timingParser().timing.offset + (e.key === '}' ? 1000 : -1000));
+                break;
+            default:
+                return;
+        }
         
-        // Error handling for video
-        this.videoElement.addEventListener('error', (e) => {
-            console.error("Video error:", this.videoElement.error);
-            this.loadingStatus.textContent = `Video error: ${this.videoElement.error?.message || "Unknown error"}`;
-        });
+        e.preventDefault();
+    }
+    
+    /**
+     * Report the result of a study mode command
+     * @param {object|null} cue - Cue being played, or null if there was none
+     */
+    playStudyCue(cue) {
+        if (!cue) {
+            this.loadingStatus.textContent = this.subtitles.length ? "No cue here" : "Load subtitles to use study mode";
+            return;
+        }
         
-        // Fullscreen change event
-        this.videoElement.addEventListener('dblclick', () => this.toggleFullscreen());
+        // Show the cue right away instead of waiting for the next cue change
+        this.checkSubtitles();
+    }
+    
+    /**
+     * Parser of the track selected in the timing tools
+     * @returns {SubtitleParser} - Japanese or translation parser
+     */
+    timingParser() {
+        return this.timingTrackSelect.value === 'translation' ? this.translationParser : this.subtitleParser;
+    }
+    
+    /**
+     * Retime the selected track and refresh everything that shows cue times
+     * @param {object} timing - Timing with scale and offset, see SubtitleParser.setTiming()
+     */
+    applyTiming(timing) {
+        this.timingParser().setTiming(timing);
+        this.updateNativeCues(this.timingParser() === this.translationParser ? 'translation' : 'subtitles');
+        this.transcript.updateTimes();
+        this.updateTimingControls();
+        this.checkSubtitles();
+        this.saveSession();
+    }
+    
+    /**
+     * Shift the selected track, keeping any stretch from two-point sync
+     * @param {number} offset - Offset in milliseconds
+     */
+    setOffset(offset) {
+        const timing = this.timingParser().timing;
+        this.applyTiming({ scale: timing.scale, offset: offset });
+        this.loadingStatus.textContent = `Subtitle offset: ${(offset / 1000).toFixed(1)}s`;
+    }
+    
+    /**
+     * Use the current video time as the true start of a line. The line is the one last
+     * clicked in the transcript, or else the one on screen. One point shifts the track,
+     * a second point on another line also stretches it to fix framerate drift.
+     */
+    markSyncPoint() {
+        const parser = this.timingParser();
+        const onScreen = parser === this.subtitleParser ? this.currentSubtitles[0] : this.currentTranslations[0];
+        const cue = parser === this.subtitleParser && this.syncCue ? this.syncCue : onScreen;
         
-        // Listen for fullscreen changes
-        document.addEventListener('fullscreenchange', () => this.handleFullscreenChange());
-        document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange());
-        document.addEventListener('mozfullscreenchange', () => this.handleFullscreenChange());
-        document.addEventListener('MSFullscreenChange', () => this.handleFullscreenChange());
+        if (!cue) {
+            this.syncStatus.textContent = "Click a line in the transcript (or pause on one) first";
+            return;
+        }
+        
+        const point = { source: parser.sourceTiming(cue).start, target: Math.round(this.videoElement.currentTime * 1000) };
+        const points = this.syncPoints.filter(existing => existing.source !== point.source).slice(-1).concat(point);
+        
+        try {
+            this.applyTiming(SubtitleParser.timingFromPoints(points[0], points[1]));
+            this.syncPoints = points;
+            this.syncCue = null;
+            this.syncStatus.textContent = points.length === 1 ?
+                `Synced "${cue.text}". Mark a second line far from this one to fix drift.` :
+                `Synced 2 lines (speed ×${parser.timing.scale.toFixed(4)})`;
+        } catch (error) {
+            this.syncStatus.textContent = error.message;
+        }
     }
     
     /**
-     * Load and parse subtitles
-     * @param {string} content - Subtitle file content
+     * Forget the sync points, e.g. after loading a file or switching the adjusted track
+     * @param {string} track - "subtitles" or "translation"
      */
-    loadSubtitles(content) {
-        this.subtitles = subtitleParser.parseSRT(content);
-        this.loadingStatus.textContent = `Loaded ${this.subtitles.length} subtitles`;
-        setTimeout(() => {
-            this.loadingStatus.textContent = "";
-        }, 3000);
+    resetSyncPoints(track) {
+        if (track !== this.timingTrackSelect.value) return;
+        this.syncPoints = [];
+        this.syncStatus.textContent = '';
+        this.updateTimingControls();
     }
     
     /**
-     * Check for subtitles at current video time
+     * Show the selected track's offset in the timing controls
      */
-    async checkSubtitles() {
-        const currentTime = this.videoElement.currentTime * 1000; // Convert to ms
-        const subtitle = subtitleParser.findSubtitleAtTime(currentTime);
+    updateTimingControls() {
+        this.subtitleOffsetInput.value = (this.timingParser().timing.offset / 1000).toFixed(1);
+    }
+    
+    /**
+     * Download the selected track with its adjusted timing, in the format it was loaded in
+     */
+    saveAdjustedSubtitles() {
+        const parser = this.timingParser();
+        const fileName = parser === this.subtitleParser ? this.subtitleFileName : this.translationFileName;
+        
+        if (!parser.subtitles.length) {
+            this.loadingStatus.textContent = "No subtitles loaded for this track";
+            return;
+        }
+        
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        this.downloadFile(`${baseName}.adjusted.${parser.format}`, new Blob([parser.serialize()], { type: 'text/plain;charset=utf-8' }));
+    }
+    
+    /**
+     * Download the Japanese track with the readings baked in, for players like mpv or VLC.
+     * Readings follow the current settings (syllabary and known kanji).
+     */
+    async exportAnnotatedSubtitles() {
+        if (!this.subtitles.length) {
+            this.loadingStatus.textContent = "Load subtitles first";
+            return;
+        }
+        if (!this.kuroshiroReady) {
+            this.loadingStatus.textContent = "Furigana is still loading, try again in a moment";
+            return;
+        }
+        
+        const cues = this.subtitleParser.index;
+        const ruby = new Map();
+        const options = this.readingOptions(false);
         
-        // If subtitle changed or no subtitle now
-        if (subtitle !== this.currentSubtitle) {
-            this.currentSubtitle = subtitle;
+        for (let i = 0; i < cues.length; i++) {
+            const annotation = await this.annotateCue(cues[i]);
+            ruby.set(cues[i], this.annotationSegments(cues[i], annotation, options));
             
-            if (!subtitle) {
-                this.subtitleDisplay.innerHTML = '';
-                return;
+            if (i % 50 === 0) {
+                this.loadingStatus.textContent = `Preparing export: ${i + 1}/${cues.length}`;
             }
+        }
+        
+        const format = this.exportFormatSelect.value;
+        const baseName = this.subtitleFileName.replace(/\.[^.]+$/, '');
+        this.downloadFile(`${baseName}.furigana.${format}`, new Blob([this.subtitleParser.serialize(format, ruby)], { type: 'text/plain;charset=utf-8' }));
+        this.loadingStatus.textContent = `Exported ${cues.length} subtitles with readings`;
+    }
+    
+    /**
+     * Tokenize every cue of the Japanese track (reusing the annotation cache) and show
+     * the vocabulary coverage and difficulty report for it
+     */
+    async buildReport() {
+        if (!this.subtitles.length) {
+            this.loadingStatus.textContent = "Load subtitles first";
+            return;
+        }
+        if (!this.kuroshiroReady) {
+            this.loadingStatus.textContent = "Furigana is still loading, try again in a moment";
+            return;
+        }
+        
+        const cues = this.subtitles;
+        const tokensPerCue = [];
+        
+        for (let i = 0; i < cues.length; i++) {
+            const annotation = await this.annotateCue(cues[i]);
+            tokensPerCue.push(annotation.tokens);
             
-            // Process subtitle text
+            if (i % 50 === 0) {
+                this.loadingStatus.textContent = `Building report: ${i + 1}/${cues.length}`;
+            }
+        }
+        
+        // Another file may have been loaded meanwhile
+        if (cues !== this.subtitles) return;
+        
+        this.report = ComprehensionReport.build(cues, tokensPerCue, this.knownKanji);
+        this.renderReport(this.report);
+        this.exportReportButton.disabled = false;
+        this.loadingStatus.textContent = `Report ready: difficulty ${this.report.difficulty}/100`;
+    }
+    
+    /**
+     * Show a comprehension report in the report panel
+     * @param {object} report - Report from ComprehensionReport.build()
+     */
+    renderReport(report) {
+        const panel = this.reportPanel;
+        const util = this.KuroshiroClass.Util;
+        panel.innerHTML = '';
+        
+        const title = document.createElement('h3');
+        title.textContent = `Comprehension report: ${this.subtitleFileName}`;
+        const summary = document.createElement('p');
+        summary.textContent = `Difficulty ${report.difficulty}/100 · ${Math.round(report.coverage * 100)}% of ${report.kanjiTokens} words with kanji known · ` +
+            `${report.kanaTokens} words in kana only · ${report.uniqueWords} unique words · ${report.uniqueKanji} unique kanji · ` +
+            `${Math.round(report.wordsPerMinute)} words per minute`;
+        const definition = document.createElement('p');
+        definition.className = 'report-note';
+        definition.textContent = "A word with kanji counts as known when all its kanji are in your known-kanji list. " +
+            "Words in kana only are not counted either way, since the list says nothing about them.";
+        panel.append(title, summary, definition);
+        
+        // JLPT breakdown of the kanji read
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        for (const text of ['JLPT', 'Kanji', 'Occurrences']) {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        }
+        for (const [level, counts] of Object.entries(report.jlpt)) {
+            const row = table.insertRow();
+            row.insertCell().textContent = level === 'other' ? "Not in JLPT" : level;
+            row.insertCell().textContent = counts.kanji;
+            row.insertCell().textContent = counts.count;
+        }
+        panel.appendChild(table);
+        
+        const wordsTitle = document.createElement('h4');
+        wordsTitle.textContent = report.unknownWords.length ? "Most frequent unknown words" : "No unknown words";
+        const words = document.createElement('ol');
+        words.className = 'report-words';
+        for (const entry of report.unknownWords) {
+            const item = document.createElement('li');
+            item.textContent = `${entry.word}${entry.reading ? ` (${util.kanaToHiragna(entry.reading)})` : ''} ×${entry.count}`;
+            words.appendChild(item);
+        }
+        panel.append(wordsTitle, words);
+        
+        const kanjiTitle = document.createElement('h4');
+        kanjiTitle.textContent = "Kanji by frequency";
+        const kanji = document.createElement('div');
+        kanji.className = 'report-kanji';
+        for (const entry of report.kanji) {
+            const item = document.createElement('span');
+            item.className = entry.known ? 'known' : 'unknown';
+            item.title = `${entry.level || "Not in JLPT"}, ${entry.count}×${entry.known ? ", known" : ""}`;
+            item.textContent = entry.kanji;
+            kanji.appendChild(item);
+        }
+        panel.append(kanjiTitle, kanji);
+        
+        panel.hidden = false;
+    }
+    
+    /**
+     * Download the last report as JSON, e.g. to compare episodes
+     */
+    exportReport() {
+        if (!this.report) return;
+        
+        const baseName = this.subtitleFileName.replace(/\.[^.]+$/, '');
+        const content = JSON.stringify(Object.assign({ file: this.subtitleFileName }, this.report), null, 2);
+        this.downloadFile(`${baseName}.report.json`, new Blob([content], { type: 'application/json;charset=utf-8' }));
+    }
+    
+    /**
+     * Whether a keyboard event target is a form field the user is typing in
+     * @param {Element} target - Event target
+     * @returns {boolean} - True for inputs, selects and text areas
+     */
+    isTypingTarget(target) {
+        return target instanceof Element && target.matches('input, select, textarea, [contenteditable]');
+    }
+    
+    /**
+     * Add the selected word, or the current cue if no word is selected, to the vocabulary deck
+     */
+    async addCard() {
+        const selected = this.selectedWord;
+        const subtitle = selected ? selected.subtitle : this.currentSubtitles[0];
+        
+        if (!subtitle) {
+            this.loadingStatus.textContent = "No subtitle on screen to add";
+            return;
+        }
+        
+        const entry = selected && selected.entries[0];
+        const card = {
+            sentence: subtitle.text,
+            furigana: await this.processSubtitle(subtitle),
+            word: selected ? selected.word : '',
+            reading: selected ? (entry ? entry.kana[0] : selected.reading) : '',
+            meaning: entry ? entry.senses.map(sense => sense.glosses.join('; ')).join(' / ') : '',
+            start: subtitle.start,
+            end: subtitle.end,
+            video: this.videoFileName
+        };
+        
+        if (this.recordAudioToggle.checked) {
             try {
-                const processedText = await this.processSubtitleText(subtitle.text);
-                this.subtitleDisplay.innerHTML = processedText;
+                this.loadingStatus.textContent = "Recording audio clip...";
+                card.audio = await this.recordCueAudio(subtitle);
             } catch (error) {
-                console.error("Error processing subtitle:", error);
-                this.subtitleDisplay.textContent = subtitle.text;
+                console.error("Error recording audio:", error);
+                this.loadingStatus.textContent = "Audio not recorded: " + error.message;
             }
         }
+        
+        try {
+            await this.deck.add(card);
+            this.loadingStatus.textContent = `Added "${card.word || card.sentence}" to deck`;
+            this.updateDeckCount();
+        } catch (error) {
+            console.error("Error adding card:", error);
+            this.loadingStatus.textContent = "Error adding card: " + error.message;
+        }
     }
     
     /**
-     * Process subtitle text - convert kanji to furigana if needed
-     * @param {string} text - Subtitle text
-     * @returns {string} - Processed text with furigana
+     * Record the audio of a cue by replaying it, then return to where playback was
+     * @param {object} subtitle - Cue to record
+     * @returns {Promise<Blob>} - Recorded audio
      */
-    async processSubtitleText(text) {
-        if (!this.kuroshiro || !this.kuroshiroReady) {
-            return text;
+    async recordCueAudio(subtitle) {
+        const video = this.videoElement;
+        const capture = video.captureStream || video.mozCaptureStream;
+        if (!capture || typeof MediaRecorder === 'undefined') {
+            throw new Error("audio capture is not supported in this browser");
+        }
+        
+        const audioTracks = capture.call(video).getAudioTracks();
+        if (!audioTracks.length) {
+            throw new Error("the video has no audio track");
+        }
+        
+        const resumeAt = video.currentTime;
+        const wasPaused = video.paused;
+        const recorder = new MediaRecorder(new MediaStream(audioTracks));
+        const chunks = [];
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+        
+        video.currentTime = subtitle.start / 1000;
+        await new Promise(resolve => video.addEventListener('seeked', resolve, { once: true }));
+        recorder.start();
+        await video.play();
+        
+        await new Promise(resolve => {
+            const check = () => {
+                if (video.currentTime * 1000 >= subtitle.end || video.paused) {
+                    video.removeEventListener('timeupdate', check);
+                    resolve();
+                }
+            };
+            video.addEventListener('timeupdate', check);
+        });
+        
+        recorder.stop();
+        await stopped;
+        
+        video.pause();
+        video.currentTime = resumeAt;
+        if (!wasPaused) {
+            video.play();
         }
         
+        return new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+    }
+    
+    /**
+     * Show the number of cards in the deck
+     */
+    async updateDeckCount() {
         try {
-            // Check if text contains kanji using available Kuroshiro
-            const util = this.KuroshiroClass.Util;
-            if (util && util.hasKanji(text)) {
-                // Convert text with kanji to furigana
-                return await this.kuroshiro.convert(text, {mode: "furigana", to: "hiragana"});
+            const count = await this.deck.count();
+            this.deckCount.textContent = `${count} card${count === 1 ? '' : 's'}`;
+        } catch (error) {
+            console.error("Error reading deck:", error);
+            this.deckCount.textContent = "Deck unavailable";
+        }
+    }
+    
+    /**
+     * Download the deck as Anki TSV or CSV
+     * @param {string} format - "tsv" or "csv"
+     */
+    async exportDeck(format) {
+        try {
+            const cards = await this.deck.getAll();
+            const content = format === 'csv' ? VocabularyDeck.toCSV(cards) : VocabularyDeck.toTSV(cards);
+            const type = format === 'csv' ? 'text/csv' : 'text/tab-separated-values';
+            this.downloadFile(`kanji-deck.${format}`, new Blob([content], { type: type + ';charset=utf-8' }));
+        } catch (error) {
+            console.error("Error exporting deck:", error);
+            this.loadingStatus.textContent = "Error exporting deck: " + error.message;
+        }
+    }
+    
+    /**
+     * Download every recorded audio clip, named as referenced by the exported [sound:...] fields.
+     * Copy them into Anki's collection.media folder before importing the TSV.
+     */
+    async exportDeckAudio() {
+        try {
+            const cards = (await this.deck.getAll()).filter(card => card.audio);
+            for (const card of cards) {
+                this.downloadFile(VocabularyDeck.audioFileName(card), card.audio);
             }
+            this.loadingStatus.textContent = `Exported ${cards.length} audio clips`;
         } catch (error) {
-            console.error("Error in Kuroshiro conversion:", error);
+            console.error("Error exporting audio:", error);
+            this.loadingStatus.textContent = "Error exporting audio: " + error.message;
         }
+    }
+    
+    /**
+     * Delete every card after confirmation
+     */
+    async clearDeck() {
+        if (!confirm("Delete every card in the vocabulary deck?")) return;
         
-        return text;
+        try {
+            await this.deck.clear();
+            this.updateDeckCount();
+        } catch (error) {
+            console.error("Error clearing deck:", error);
+            this.loadingStatus.textContent = "Error clearing deck: " + error.message;
+        }
+    }
+    
+    /**
+     * Save a Blob as a file
+     * @param {string} fileName - Download file name
+     * @param {Blob} blob - File content
+     */
+    downloadFile(fileName, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
     
     /**
@@ -205,30 +2436,13 @@ class VideoPlayer {
     }
     
     /**
-     * Handle fullscreen change event
+     * Handle fullscreen change event: the picture changed size, so lay the subtitles out again
      */
     handleFullscreenChange() {
-        const isFullscreen = document.fullscreenElement || 
-                            document.mozFullScreenElement || 
-                            document.webkitFullscreenElement || 
-                            document.msFullscreenElement;
-        
-        if (isFullscreen) {
-            // Adjust subtitle styling for fullscreen mode
-            this.subtitleArea.style.fontSize = '28px';
-            this.subtitleArea.style.bottom = '80px';
-        } else {
-            // Restore subtitle styling for normal mode
-            this.subtitleArea.style.fontSize = '20px';
-            this.subtitleArea.style.bottom = '50px';
-        }
+        this.renderer.layout();
     }
 }
 
-// Initialize video player when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Make sure the Kuroshiro scripts have had time to load
-    setTimeout(() => {
-        const player = new VideoPlayer();
-    }, 500);
-}); 
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoPlayer;
+}
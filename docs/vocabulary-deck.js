@@ -0,0 +1,120 @@
+/**
+ * Personal vocabulary deck stored in IndexedDB, exportable for Anki
+ */
+class VocabularyDeck {
+    /**
+     * Add a card
+     * @param {object} card - Card fields: sentence, furigana, word, reading, meaning, start, end, video, audio (Blob)
+     * @returns {Promise<number>} - Id of the new card
+     */
+    add(card) {
+        const record = Object.assign({ created: Date.now() }, card);
+        return PlayerDatabase.run('cards', 'readwrite', store => store.add(record));
+    }
+    
+    /**
+     * Get every card, oldest first
+     * @returns {Promise<Array>} - Cards
+     */
+    getAll() {
+        return PlayerDatabase.run('cards', 'readonly', store => store.getAll());
+    }
+    
+    /**
+     * Count the cards
+     * @returns {Promise<number>} - Number of cards
+     */
+    count() {
+        return PlayerDatabase.run('cards', 'readonly', store => store.count());
+    }
+    
+    /**
+     * Delete every card
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return PlayerDatabase.run('cards', 'readwrite', store => store.clear());
+    }
+    
+    /**
+     * File name used for a card's audio clip, both in the export and in [sound:...] fields
+     * @param {object} card - Card with an audio Blob
+     * @returns {string} - File name
+     */
+    static audioFileName(card) {
+        const extension = card.audio && card.audio.type.includes('ogg') ? 'ogg' : 'webm';
+        return `kanji-player-${card.id}.${extension}`;
+    }
+    
+    /**
+     * Export cards as Anki-importable TSV. Anki reads the #-headers to set the
+     * separator, enable HTML (for the furigana ruby) and name the columns.
+     * @param {Array} cards - Cards from getAll()
+     * @returns {string} - TSV content
+     */
+    static toTSV(cards) {
+        const clean = value => String(value === undefined || value === null ? '' : value).replace(/[\t\r\n]+/g, ' ');
+        const lines = [
+            '#separator:tab',
+            '#html:true',
+            '#columns:' + VocabularyDeck.COLUMNS.join('\t')
+        ];
+        
+        for (const card of cards) {
+            lines.push(VocabularyDeck.row(card).map(clean).join('\t'));
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+    
+    /**
+     * Export cards as CSV with a header row
+     * @param {Array} cards - Cards from getAll()
+     * @returns {string} - CSV content
+     */
+    static toCSV(cards) {
+        const quote = value => {
+            const text = String(value === undefined || value === null ? '' : value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [VocabularyDeck.COLUMNS.map(quote).join(',')];
+        for (const card of cards) {
+            lines.push(VocabularyDeck.row(card).map(quote).join(','));
+        }
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+    
+    /**
+     * Field values of a card in COLUMNS order
+     * @param {object} card - Card
+     * @returns {Array} - Field values
+     */
+    static row(card) {
+        return [
+            card.sentence,
+            card.furigana,
+            card.word,
+            card.reading,
+            card.meaning,
+            VocabularyDeck.formatTime(card.start),
+            VocabularyDeck.formatTime(card.end),
+            card.video,
+            card.audio ? `[sound:${VocabularyDeck.audioFileName(card)}]` : ''
+        ];
+    }
+    
+    /**
+     * Format milliseconds as H:MM:SS.mmm
+     * @param {number} ms - Milliseconds
+     * @returns {string} - Timestamp
+     */
+    static formatTime(ms) {
+        if (typeof ms !== 'number') return '';
+        const pad = (value, length) => String(value).padStart(length, '0');
+        return `${Math.floor(ms / 3600000)}:${pad(Math.floor(ms / 60000) % 60, 2)}:${pad(Math.floor(ms / 1000) % 60, 2)}.${pad(ms % 1000, 3)}`;
+    }
+}
+
+VocabularyDeck.COLUMNS = ['Sentence', 'Furigana', 'Word', 'Reading', 'Meaning', 'Start', 'End', 'Video', 'Audio'];
@@ -0,0 +1,123 @@
+/**
+ * Analyzer with the interface of KuromojiAnalyzer (init, parse) that runs in analyzer-worker.js.
+ * Every request carries an id, so answers are matched to their request and a request can be
+ * cancelled with an AbortSignal while it is still queued (e.g. a cue that already left the screen).
+ */
+class WorkerAnalyzer {
+    /**
+     * @param {object} options - Worker settings
+     * @param {string} options.workerScript - URL of analyzer-worker.js
+     * @param {string} options.analyzerScript - URL of the kuroshiro-analyzer-kuromoji build, loaded by the worker
+     * @param {string} options.dictPath - Kuromoji dictionary directory
+     */
+    constructor(options) {
+        this.options = options;
+        this.worker = null;
+        this.initializing = null;
+        this.startup = null;
+        
+        // Requests waiting for an answer, by id
+        this.requests = new Map();
+        this.nextId = 1;
+    }
+    
+    /**
+     * Start the worker and load the dictionary there
+     * @returns {Promise<void>} - Resolves once the analyzer is ready
+     */
+    init() {
+        if (!this.initializing) {
+            this.initializing = new Promise((resolve, reject) => {
+                this.startup = { resolve: resolve, reject: reject };
+                
+                this.worker = new Worker(this.options.workerScript);
+                this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+                this.worker.addEventListener('error', (event) => {
+                    event.preventDefault();
+                    this.fail(new Error(event.message || "Analyzer worker failed to start"));
+                });
+                
+                // Relative paths resolve against the worker script, which sits next to index.html
+                this.worker.postMessage({ type: 'init', analyzerScript: this.options.analyzerScript, dictPath: this.options.dictPath });
+            });
+        }
+        return this.initializing;
+    }
+    
+    /**
+     * Tokenize text in the worker
+     * @param {string} text - Japanese text
+     * @param {object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the request; the promise then rejects with an AbortError
+     * @returns {Promise<Array>} - Kuromoji tokens
+     */
+    parse(text, options = {}) {
+        const signal = options.signal;
+        if (signal && signal.aborted) {
+            return Promise.reject(WorkerAnalyzer.abortError());
+        }
+        
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.requests.delete(id);
+                this.worker.postMessage({ type: 'cancel', id: id });
+                reject(WorkerAnalyzer.abortError());
+            };
+            const done = (callback) => (value) => {
+                this.requests.delete(id);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            
+            this.requests.set(id, { resolve: done(resolve), reject: done(reject) });
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            this.worker.postMessage({ type: 'parse', id: id, text: text });
+        });
+    }
+    
+    /**
+     * Route a message from the worker to the startup promise or the request it answers
+     * @param {object} message - Worker message
+     */
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            this.startup.resolve();
+            return;
+        }
+        
+        if (message.id === undefined) {
+            this.fail(new Error(message.message));
+            return;
+        }
+        
+        // Answers to cancelled requests are dropped
+        const request = this.requests.get(message.id);
+        if (!request) return;
+        
+        if (message.type === 'result') {
+            request.resolve(message.tokens);
+        } else {
+            request.reject(new Error(message.message));
+        }
+    }
+    
+    /**
+     * Reject startup and every waiting request after the worker failed
+     * @param {Error} error - What went wrong
+     */
+    fail(error) {
+        this.startup.reject(error);
+        for (const request of this.requests.values()) {
+            request.reject(error);
+        }
+    }
+    
+    /**
+     * Error used for cancelled requests
+     * @returns {DOMException} - AbortError
+     */
+    static abortError() {
+        return new DOMException("Analysis cancelled", 'AbortError');
+    }
+}
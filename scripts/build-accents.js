@@ -0,0 +1,47 @@
+// Build the pitch-accent file used by the token overlay from the Kanjium accent list
+// (data/source_files/raw/accents.txt in https://github.com/mifunetoshiro/kanjium): one word per line
+// as word<TAB>reading<TAB>accents, where accents lists downstep positions such as "0" or "1,0";
+// the reading column is empty for words written in kana.
+//
+// Run with: node scripts/build-accents.js path/to/accents.txt [docs/accent/accents.json]
+//
+// The Kanjium data is licensed under CC BY-SA 4.0. Keep the "source" note in the output file when redistributing it.
+
+const fs = require("fs");
+const path = require("path");
+
+const [input, output = path.join(__dirname, "..", "docs", "accent", "accents.json")] = process.argv.slice(2);
+
+if (!input) {
+  console.error("Usage: node scripts/build-accents.js <accents.txt> [output.json]");
+  process.exit(1);
+}
+
+function buildEntries(text) {
+  const entries = [];
+  for (const line of text.split(/\r?\n/)) {
+    const [word, reading, accents] = line.split("\t");
+    // Some positions carry a part-of-speech note, e.g. "(名)0,(副)1"
+    const positions = [...new Set((accents || "").match(/\d+/g) || [])].map(Number);
+    if (!word || !positions.length) continue;
+
+    entries.push([word, reading || word, positions]);
+  }
+  return entries;
+}
+
+try {
+  console.log("Reading", input);
+  const entries = buildEntries(fs.readFileSync(input, "utf8"));
+
+  // One entry per line keeps the file diffable and easy to inspect
+  const source = "Kanjium pitch-accent data (CC BY-SA 4.0), converted with scripts/build-accents.js";
+  const lines = entries.map((entry) => "    " + JSON.stringify(entry));
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, `{\n  "source": ${JSON.stringify(source)},\n  "entries": [\n${lines.join(",\n")}\n  ]\n}\n`);
+
+  console.log(`Wrote ${entries.length} entries to ${output}`);
+} catch (error) {
+  console.error("Error building accent dictionary:", error);
+  process.exit(1);
+}
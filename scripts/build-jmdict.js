@@ -0,0 +1,46 @@
+// Build the dictionary file used by the click-to-lookup popup from a JMdict release
+// in jmdict-simplified JSON format (https://github.com/scriptin/jmdict-simplified/releases).
+//
+// Run with: node scripts/build-jmdict.js path/to/jmdict-eng-3.x.json [docs/jmdict/jmdict-eng.json]
+//
+// JMdict is property of the Electronic Dictionary Research and Development Group (EDRDG),
+// used under CC BY-SA 4.0. Keep the "source" note in the output file when redistributing it.
+
+const fs = require("fs");
+const path = require("path");
+
+const [input, output = path.join(__dirname, "..", "docs", "jmdict", "jmdict-eng.json")] = process.argv.slice(2);
+
+if (!input) {
+  console.error("Usage: node scripts/build-jmdict.js <jmdict-eng.json> [output.json]");
+  process.exit(1);
+}
+
+function buildEntries(words) {
+  return words.map((word) => ({
+    kanji: word.kanji.map((kanji) => kanji.text),
+    kana: word.kana.map((kana) => kana.text),
+    senses: word.sense
+      .map((sense) => ({
+        pos: sense.partOfSpeech,
+        glosses: sense.gloss.filter((gloss) => !gloss.lang || gloss.lang === "eng").map((gloss) => gloss.text)
+      }))
+      .filter((sense) => sense.glosses.length > 0)
+  })).filter((entry) => entry.senses.length > 0);
+}
+
+try {
+  console.log("Reading", input);
+  const jmdict = JSON.parse(fs.readFileSync(input, "utf8"));
+  const entries = buildEntries(jmdict.words);
+
+  // One entry per line keeps the file diffable and easy to inspect
+  const source = `JMdict ${jmdict.version || ""} (EDRDG, CC BY-SA 4.0), converted with scripts/build-jmdict.js`;
+  const lines = entries.map((entry) => "    " + JSON.stringify(entry));
+  fs.writeFileSync(output, `{\n  "source": ${JSON.stringify(source)},\n  "entries": [\n${lines.join(",\n")}\n  ]\n}\n`);
+
+  console.log(`Wrote ${entries.length} entries to ${output}`);
+} catch (error) {
+  console.error("Error building dictionary:", error);
+  process.exit(1);
+}
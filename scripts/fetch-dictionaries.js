@@ -0,0 +1,77 @@
+// Download the data behind the bundled sample dictionaries and build the full files in docs/:
+// the latest English JMdict release of jmdict-simplified, converted with scripts/build-jmdict.js,
+// and the Kanjium accent list, converted with scripts/build-accents.js.
+// The repository only ships small samples, which the player flags as such.
+//
+// Run with: npm run fetch-dictionaries (needs Node 18 or later for fetch)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { execFileSync } = require("child_process");
+
+const JMDICT_RELEASE = "https://api.github.com/repos/scriptin/jmdict-simplified/releases/latest";
+const KANJIUM_ACCENTS = "https://raw.githubusercontent.com/mifunetoshiro/kanjium/master/data/source_files/raw/accents.txt";
+
+async function download(url) {
+  const response = await fetch(url, { headers: { "User-Agent": "kanji-video-player" } });
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: HTTP ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// The first regular file in a tar archive whose name ends with the suffix
+function extractFromTar(archive, suffix) {
+  for (let offset = 0; offset + 512 <= archive.length;) {
+    const header = archive.subarray(offset, offset + 512);
+    const name = header.toString("utf8", 0, 100).replace(/\0.*$/s, "");
+    if (!name) break;
+
+    const size = parseInt(header.toString("utf8", 124, 136).replace(/\0.*$/s, "").trim(), 8);
+    const type = String.fromCharCode(header[156]);
+    const start = offset + 512;
+    if ((type === "0" || type === "\0") && name.endsWith(suffix)) {
+      return archive.subarray(start, start + size);
+    }
+    offset = start + Math.ceil(size / 512) * 512;
+  }
+  throw new Error(`No ${suffix} file in the archive`);
+}
+
+async function fetchJmdict(directory) {
+  const release = JSON.parse((await download(JMDICT_RELEASE)).toString("utf8"));
+  // The full English release, not the "common words" one
+  const asset = release.assets.find((candidate) => /^jmdict-eng-\d.*\.json\.tgz$/.test(candidate.name));
+  if (!asset) {
+    throw new Error(`No English JMdict archive in release ${release.tag_name}`);
+  }
+
+  console.log("Downloading", asset.browser_download_url);
+  const json = extractFromTar(zlib.gunzipSync(await download(asset.browser_download_url)), ".json");
+  const input = path.join(directory, "jmdict-eng.json");
+  fs.writeFileSync(input, json);
+  execFileSync(process.execPath, [path.join(__dirname, "build-jmdict.js"), input], { stdio: "inherit" });
+}
+
+async function fetchAccents(directory) {
+  console.log("Downloading", KANJIUM_ACCENTS);
+  const input = path.join(directory, "accents.txt");
+  fs.writeFileSync(input, await download(KANJIUM_ACCENTS));
+  execFileSync(process.execPath, [path.join(__dirname, "build-accents.js"), input], { stdio: "inherit" });
+}
+
+(async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "kanji-dictionaries-"));
+  try {
+    await fetchJmdict(directory);
+    await fetchAccents(directory);
+    console.log("Bump CACHE_NAME in docs/service-worker.js so installed players pick up the new files");
+  } catch (error) {
+    console.error("Error fetching dictionaries:", error);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+})();
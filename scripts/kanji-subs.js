@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+// Batch-annotate subtitle files with readings, using the same parser and annotator as the player.
+//
+// Run with: npx kanji-subs <directory or files...> [options]
+// (or: node scripts/kanji-subs.js ...)
+//
+// Furigana mode writes readings as ruby (WebVTT <ruby>, ASS karaoke furigana, SRT 漢字[かんじ]);
+// the other modes write the annotated text itself, as the player would display it.
+
+const fs = require("fs");
+const path = require("path");
+const Kuroshiro = require("kuroshiro");
+const KuromojiAnalyzer = require("kuroshiro-analyzer-kuromoji");
+const SubtitleParser = require("../docs/subtitle-parser.js");
+const FuriganaAnnotator = require("../docs/furigana-annotator.js");
+const KnownKanji = require("../docs/known-kanji.js");
+const UserDictionary = require("../docs/user-dictionary.js");
+const ComprehensionReport = require("../docs/comprehension-report.js");
+
+const SUBTITLE_EXTENSIONS = [".srt", ".vtt", ".ass", ".ssa"];
+const MODES = ["furigana", "okurigana", "normal", "spaced", "hidden"];
+const TARGETS = ["hiragana", "katakana", "romaji"];
+const FORMATS = ["same", "srt", "vtt", "ass"];
+
+const USAGE = `Usage: kanji-subs <directory or files...> [options]
+
+Options:
+  --out <dir>             Output directory (default: "annotated" next to the input)
+  --mode <mode>           ${MODES.join(", ")} (default: furigana)
+  --to <syllabary>        ${TARGETS.join(", ")} (default: hiragana)
+  --romaji-system <name>  hepburn, nippon or passport (default: hepburn)
+  --format <format>       ${FORMATS.join(", ")} (default: same as the input)
+  --known <preset|file>   Leave words made only of these kanji without readings:
+                          a preset (${KnownKanji.PRESETS.map((preset) => preset.id).join(", ")})
+                          or a text file listing known kanji
+  --readings <file>       Reading overrides exported from the player's user dictionary (JSON or CSV)
+  --series <name>         Series whose overrides apply (default: guessed from each file name)
+  --report                Also write a vocabulary coverage and difficulty report per file (<name>.report.json),
+                          counting words with kanji as known when all their kanji are --known kanji
+                          (words in kana only are counted apart)
+  --help                  Show this help`;
+
+function parseArgs(argv) {
+  const options = { inputs: [], out: null, mode: "furigana", to: "hiragana", romajiSystem: "hepburn", format: "same", known: null, readings: null, series: null };
+  const valueOptions = {
+    "--out": "out", "--mode": "mode", "--to": "to", "--romaji-system": "romajiSystem", "--format": "format",
+    "--known": "known", "--readings": "readings", "--series": "series"
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg === "--report") {
+      options.report = true;
+    } else if (valueOptions[arg]) {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      options[valueOptions[arg]] = argv[++i];
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+
+  const check = (name, value, allowed) => {
+    if (!allowed.includes(value)) throw new Error(`Invalid ${name} "${value}", expected one of: ${allowed.join(", ")}`);
+  };
+  check("--mode", options.mode, MODES);
+  check("--to", options.to, TARGETS);
+  check("--format", options.format, FORMATS);
+
+  return options;
+}
+
+// Expand directories into the subtitle files they contain (not recursive)
+function collectFiles(inputs) {
+  const files = [];
+
+  for (const input of inputs) {
+    if (fs.statSync(input).isDirectory()) {
+      for (const name of fs.readdirSync(input).sort()) {
+        const file = path.join(input, name);
+        if (SUBTITLE_EXTENSIONS.includes(path.extname(name).toLowerCase()) && fs.statSync(file).isFile()) {
+          files.push(file);
+        }
+      }
+    } else {
+      files.push(input);
+    }
+  }
+
+  return files;
+}
+
+function loadKnownKanji(known) {
+  const knownKanji = new KnownKanji();
+  if (!known) return knownKanji;
+
+  if (KnownKanji.PRESETS.some((preset) => preset.id === known)) {
+    knownKanji.usePreset(known);
+  } else {
+    knownKanji.importText(fs.readFileSync(known, "utf8"));
+  }
+  return knownKanji;
+}
+
+function loadUserDictionary(readings) {
+  // Not backed by localStorage in Node, so only the given file is used
+  const userDictionary = new UserDictionary();
+  if (readings) {
+    const result = userDictionary.importText(fs.readFileSync(readings, "utf8"));
+    if (result.skipped) console.warn(`${readings}: ${result.skipped} invalid entries skipped`);
+  }
+  return userDictionary;
+}
+
+async function annotateFile(file, outDir, annotator, options) {
+  const parser = new SubtitleParser();
+  const cues = parser.parse(fs.readFileSync(file, "utf8"), path.basename(file));
+  for (const error of parser.errors) {
+    console.warn(`  ${path.basename(file)}:${error.line}: ${error.message}`);
+  }
+  if (!cues.length) {
+    throw new Error("no subtitles found");
+  }
+
+  const renderOptions = { mode: options.mode, to: options.to, romajiSystem: options.romajiSystem, knownKanji: options.knownKanji, plainText: true };
+  const tokenizeOptions = { userDictionary: options.userDictionary, series: options.series || UserDictionary.seriesFromFileName(path.basename(file)) };
+  const ruby = new Map();
+  const tokensPerCue = [];
+
+  for (const cue of cues) {
+    if (!Kuroshiro.Util.hasJapanese(cue.text)) {
+      tokensPerCue.push([]);
+      continue;
+    }
+
+    // Each styled run is analyzed on its own, like in the player, so the output keeps the cue's lines and markup:
+    // as ruby segments in furigana mode, as the cue's new lines in the other modes
+    const lines = [];
+    const cueTokens = [];
+    for (const runs of cue.lines) {
+      const line = [];
+      for (const run of runs) {
+        const tokens = Kuroshiro.Util.hasJapanese(run.text) ? await annotator.tokenize(run.text, tokenizeOptions) : null;
+        line.push({ run: run, tokens: tokens });
+        cueTokens.push(...(tokens || []));
+      }
+      lines.push(line);
+    }
+    tokensPerCue.push(cueTokens);
+
+    if (options.mode === "furigana") {
+      ruby.set(cue, lines.map((runs) => [].concat(...runs.map(({ run, tokens }) =>
+        (tokens ? annotator.segments(tokens, renderOptions) : [{ text: run.text, reading: null }]).map((segment) => Object.assign({}, run, segment))
+      ))));
+    } else {
+      parser.setLines(cue, lines.map((runs) => runs.map(({ run, tokens }) =>
+        Object.assign({}, run, { text: tokens ? annotator.render(tokens, renderOptions) : run.text })
+      )));
+    }
+  }
+
+  const format = options.format === "same" ? parser.format : options.format;
+  const output = path.join(outDir, `${path.basename(file, path.extname(file))}.${options.mode}.${format}`);
+  fs.writeFileSync(output, parser.serialize(format, ruby));
+
+  let report = null;
+  if (options.report) {
+    report = ComprehensionReport.build(cues, tokensPerCue, options.knownKanji);
+    const reportFile = path.join(outDir, `${path.basename(file, path.extname(file))}.report.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(Object.assign({ file: path.basename(file) }, report), null, 2) + "\n");
+  }
+
+  return { cues: cues.length, skipped: parser.errors.length, output: output, report: report };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.inputs.length) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const files = collectFiles(options.inputs);
+  if (!files.length) {
+    throw new Error("No .srt, .vtt, .ass or .ssa files found");
+  }
+
+  const firstInput = options.inputs[0];
+  const baseDir = fs.statSync(firstInput).isDirectory() ? firstInput : path.dirname(firstInput);
+  const outDir = options.out || path.join(baseDir, "annotated");
+  fs.mkdirSync(outDir, { recursive: true });
+  options.knownKanji = loadKnownKanji(options.known);
+  options.userDictionary = loadUserDictionary(options.readings);
+
+  console.log("Initializing Kuroshiro...");
+  const analyzer = new KuromojiAnalyzer();
+  await analyzer.init();
+  const annotator = new FuriganaAnnotator(analyzer, Kuroshiro.Util);
+
+  let failed = 0;
+  for (let i = 0; i < files.length; i++) {
+    const prefix = `[${i + 1}/${files.length}] ${files[i]}`;
+    try {
+      const result = await annotateFile(files[i], outDir, annotator, options);
+      const skipped = result.skipped ? ` (${result.skipped} malformed skipped)` : "";
+      console.log(`${prefix}: ${result.cues} subtitles${skipped} -> ${result.output}`);
+      if (result.report) {
+        const report = result.report;
+        console.log(`  difficulty ${report.difficulty}/100, ${Math.round(report.coverage * 100)}% of ${report.kanjiTokens} words with kanji known, ` +
+          `${report.kanaTokens} in kana only, ${report.uniqueWords} unique words`);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`${prefix}: Error: ${error.message}`);
+    }
+  }
+
+  console.log(`Annotated ${files.length - failed} of ${files.length} files`);
+  if (failed) process.exit(1);
+}
+
+main().catch((error) => {
+  console.error("Error:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const docs = path.join(__dirname, "..", "docs");
+
+// Minimal XMLHttpRequest for kuromoji's browser loader, reading the dictionary from docs/
+class XMLHttpRequest {
+  open(method, url) {
+    this.url = url;
+  }
+
+  send() {
+    try {
+      const data = fs.readFileSync(path.join(docs, this.url));
+      this.status = 200;
+      this.response = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+    } catch (error) {
+      this.status = 404;
+    }
+    setTimeout(() => this.onload && this.onload(), 0);
+  }
+}
+
+/**
+ * Run analyzer-worker.js in a worker-like global
+ * @returns {object} - send(message), and messages resolving with the first n posted messages
+ */
+function startWorker() {
+  const listeners = [];
+  const posted = [];
+  const waiting = [];
+  const context = vm.createContext({ XMLHttpRequest, setTimeout, clearTimeout, console });
+  context.self = context;
+  context.addEventListener = (type, listener) => listeners.push(listener);
+  context.importScripts = (src) => vm.runInContext(fs.readFileSync(path.join(docs, src), "utf8"), context);
+  context.postMessage = (message) => {
+    posted.push(message);
+    waiting.filter((wait) => posted.length >= wait.count).forEach((wait) => wait.resolve(posted.slice()));
+  };
+  vm.runInContext(fs.readFileSync(path.join(docs, "analyzer-worker.js"), "utf8"), context);
+
+  return {
+    send: (message) => listeners.forEach((listener) => listener({ data: message })),
+    messages: (count) => new Promise((resolve) => waiting.push({ count, resolve }))
+  };
+}
+
+test("answers parse requests by id and drops cancelled ones", async () => {
+  const worker = startWorker();
+  worker.send({ type: "init", analyzerScript: "lib/kuroshiro-analyzer-kuromoji.min.js", dictPath: "kuromoji/dict/" });
+  worker.send({ type: "parse", id: 1, text: "今日は良い天気" });
+  worker.send({ type: "parse", id: 2, text: "取り消し" });
+  worker.send({ type: "parse", id: 3, text: "猫が好き" });
+  worker.send({ type: "cancel", id: 2 });
+
+  const [ready, first, second] = await worker.messages(3);
+  assert.equal(ready.type, "ready");
+  assert.deepEqual([first.type, first.id], ["result", 1]);
+  assert.equal(first.tokens.map((token) => token.surface_form).join(""), "今日は良い天気");
+  assert.deepEqual([second.type, second.id], ["result", 3]);
+});
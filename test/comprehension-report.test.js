@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ComprehensionReport = require("../docs/comprehension-report.js");
+const KnownKanji = require("../docs/known-kanji.js");
+
+const token = (surface_form, pos, reading, basic_form = surface_form, pos_detail_1 = "*") => ({ surface_form, pos, reading, basic_form, pos_detail_1 });
+
+// Two cues of 3 s: 猫が食べた。 / 経済の猫
+const cues = [{ start: 0, end: 3000 }, { start: 5000, end: 8000 }];
+const tokensPerCue = [
+  [token("猫", "名詞", "ネコ"), token("が", "助詞", "ガ"), token("食べ", "動詞", "タベ", "食べる"), token("た", "助動詞", "タ"), token("。", "記号", "。")],
+  [token("経済", "名詞", "ケイザイ"), token("の", "助詞", "ノ"), token("猫", "名詞", "ネコ"), token("2", "名詞", "ニ", "2", "数")]
+];
+
+test("counts words and kanji, and leaves particles, auxiliaries, symbols and numbers out", () => {
+  const knownKanji = new KnownKanji();
+  knownKanji.importText("猫");
+  const report = ComprehensionReport.build(cues, tokensPerCue, knownKanji);
+
+  assert.equal(report.tokens, 4);
+  assert.equal(report.kanjiTokens, 4);
+  assert.equal(report.kanaTokens, 0);
+  assert.equal(report.coverage, 0.5);
+  assert.equal(report.wordsPerMinute, 40);
+  assert.deepEqual(report.words.map((entry) => [entry.word, entry.reading, entry.count, entry.known]), [
+    ["猫", "ねこ", 2, true],
+    ["食べる", "", 1, false],
+    ["経済", "けいざい", 1, false]
+  ]);
+  assert.deepEqual(report.unknownWords.map((entry) => entry.word), ["食べる", "経済"]);
+  assert.deepEqual(report.kanji.map((entry) => [entry.kanji, entry.count, entry.level]), [
+    ["猫", 2, "N3"], ["食", 1, "N5"], ["経", 1, "N3"], ["済", 1, "N3"]
+  ]);
+  assert.deepEqual(report.jlpt.N3, { kanji: 3, count: 4 });
+});
+
+test("the difficulty rises with unknown words and harder kanji", () => {
+  const everything = new KnownKanji();
+  everything.importText("猫食経済");
+  const none = new KnownKanji();
+
+  const easy = ComprehensionReport.build(cues, tokensPerCue, everything).difficulty;
+  const hard = ComprehensionReport.build(cues, tokensPerCue, none).difficulty;
+  assert.ok(easy < hard, `${easy} < ${hard}`);
+  assert.equal(ComprehensionReport.difficulty(1, []), 0);
+  assert.equal(ComprehensionReport.difficulty(0, [{ level: null, count: 3 }]), 100);
+});
+
+test("words in kana only are counted apart and do not raise the coverage", () => {
+  const knownKanji = new KnownKanji();
+  knownKanji.importText("猫");
+  const kanaCues = [{ start: 0, end: 3000 }];
+  const kanaTokens = [[token("猫", "名詞", "ネコ"), token("すごい", "形容詞", "スゴイ"), token("ちょっと", "副詞", "チョット"), token("経済", "名詞", "ケイザイ")]];
+  const report = ComprehensionReport.build(kanaCues, kanaTokens, knownKanji);
+
+  assert.equal(report.tokens, 4);
+  assert.equal(report.kanjiTokens, 2);
+  assert.equal(report.kanaTokens, 2);
+  assert.equal(report.coverage, 0.5);
+  assert.equal(report.words.find((entry) => entry.word === "すごい").known, null);
+  assert.deepEqual(report.unknownWords.map((entry) => entry.word), ["経済"]);
+
+  const kanaOnly = ComprehensionReport.build(kanaCues, [kanaTokens[0].slice(1, 3)], new KnownKanji());
+  assert.equal(kanaOnly.coverage, 1);
+  assert.equal(kanaOnly.kanaTokens, 2);
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const Kuroshiro = require("kuroshiro");
+const KuromojiAnalyzer = require("kuroshiro-analyzer-kuromoji");
+const FuriganaAnnotator = require("../docs/furigana-annotator.js");
+const KnownKanji = require("../docs/known-kanji.js");
+
+// Golden output for a corpus of sentences; options.knownKanji names a known-kanji preset.
+// After an intended change to the annotator, review the new output and update the file by hand.
+const golden = require(path.join(__dirname, "fixtures", "furigana-golden.json"));
+
+let annotator;
+
+test.before(async () => {
+  const analyzer = new KuromojiAnalyzer();
+  await analyzer.init();
+  annotator = new FuriganaAnnotator(analyzer, Kuroshiro.Util);
+});
+
+function renderOptions(options) {
+  if (!options.knownKanji) return options;
+
+  const knownKanji = new KnownKanji();
+  knownKanji.usePreset(options.knownKanji);
+  return Object.assign({}, options, { knownKanji });
+}
+
+test("golden furigana output for the sentence corpus", async (t) => {
+  for (const entry of golden) {
+    await t.test(`${entry.options.mode}/${entry.options.to}${entry.options.knownKanji ? "/" + entry.options.knownKanji : ""}: ${entry.text}`, async () => {
+      assert.equal(await annotator.annotate(entry.text, renderOptions(entry.options)), entry.html);
+    });
+  }
+});
+
+// Kana parts are returned one character at a time
+function readingRuns(parts) {
+  return parts.map((part) => part.reading === null ? part.text : `${part.text}[${part.reading}]`).join("");
+}
+
+test("readings are aligned to the kanji runs of a word", () => {
+  assert.equal(readingRuns(annotator.splitReading("食べる", "たべる")), "食[た]べる");
+  assert.equal(readingRuns(annotator.splitReading("お母さん", "おかあさん")), "お母[かあ]さん");
+  assert.equal(readingRuns(annotator.splitReading("取り扱い", "とりあつかい")), "取[と]り扱[あつか]い");
+  // Readings that do not fit the kana of the word cover the whole word
+  assert.deepEqual(annotator.splitReading("今日", "きょう"), [{ text: "今日", reading: "きょう" }]);
+});
+
+test("kanji outside the Basic Multilingual Plane get readings unless known", () => {
+  // The analyzer has no reading for 𠮟; here it comes from a user dictionary entry
+  const tokens = [{ surface_form: "𠮟る", reading: "シカル", pronunciation: "シカル", basic_form: "𠮟る", pos: "動詞" }];
+  const options = { mode: "furigana", to: "hiragana" };
+
+  assert.equal(readingRuns(annotator.splitReading("𠮟る", "しかる")), "𠮟[しか]る");
+  assert.deepEqual(annotator.segments(tokens, options), [{ text: "𠮟", reading: "しか" }, { text: "る", reading: null }]);
+  assert.equal(annotator.render(tokens, { mode: "okurigana", to: "hiragana", plainText: true }), "𠮟(しか)る");
+
+  const knownKanji = new KnownKanji();
+  knownKanji.importText("𠮟");
+  assert.deepEqual(annotator.segments(tokens, Object.assign({ knownKanji }, options)), [{ text: "𠮟る", reading: null }]);
+});
+
+test("token spans carry the token index", async () => {
+  const html = await annotator.annotate("水を飲む", { mode: "hidden", to: "hiragana", tokenSpans: true });
+  assert.equal(html, '<span class="subtitle-token" data-token="0">水</span><span class="subtitle-token" data-token="1">を</span><span class="subtitle-token" data-token="2">飲む</span>');
+});
+
+test("text from the subtitle file is escaped in the HTML but not in plain text", async () => {
+  const options = { mode: "furigana", to: "hiragana" };
+  assert.equal(await annotator.annotate("<b>猫</b>", options), "&lt;b&gt;<ruby>猫<rp>(</rp><rt>ねこ</rt><rp>)</rp></ruby>&lt;/b&gt;");
+  assert.equal(await annotator.annotate("A&B", { mode: "okurigana", to: "hiragana", plainText: true }), "A&B");
+});
+
+test("token spans can continue the numbering of an earlier run", async () => {
+  const html = await annotator.annotate("水", { mode: "hidden", to: "hiragana", tokenSpans: true, tokenOffset: 3 });
+  assert.equal(html, '<span class="subtitle-token" data-token="3">水</span>');
+});
+
+test("segments join back into the original text", async () => {
+  for (const entry of golden) {
+    const segments = annotator.segments(await annotator.tokenize(entry.text), renderOptions(entry.options));
+    assert.equal(segments.map((segment) => segment.text).join(""), entry.text);
+  }
+});
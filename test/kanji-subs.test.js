@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const script = path.join(__dirname, "..", "scripts", "kanji-subs.js");
+const fixtures = path.join(__dirname, "fixtures");
+
+// Runs the CLI on the styled and multi-line fixtures and returns the written files by name
+const annotate = (...args) => {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), "kanji-subs-"));
+  try {
+    execFileSync(process.execPath, [script, path.join(fixtures, "multiline.srt"), path.join(fixtures, "styled.srt"), "--out", out, ...args], { stdio: "pipe" });
+    return Object.fromEntries(fs.readdirSync(out).map((name) => [name, fs.readFileSync(path.join(out, name), "utf8")]));
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+};
+
+test("modes without ruby keep each cue's lines, markup and position", () => {
+  const files = annotate("--mode", "okurigana");
+  const styled = files["styled.okurigana.srt"];
+  const multiline = files["multiline.okurigana.srt"];
+
+  assert.match(styled, /^1\n00:00:01,000 --> 00:00:03,000\n\{\\an8\}<i>上\(うえ\)の[^\n<]*<\/i>\n<font color="#ffcc00">二\(に\)[^\n<]*<\/font> & more\n/);
+  assert.match(styled, /\n<b>太字\(ふとじ\)<\/b>\n/);
+  assert.equal(multiline.split("\n\n")[0].split("\n").length, 5);
+});
+
+test("converted output keeps the markup the format has tags for", () => {
+  const vtt = annotate("--mode", "hidden", "--format", "vtt")["styled.hidden.vtt"];
+  assert.match(vtt, /\n<i>[^\n]+<\/i>\n[^\n<]+ &amp; more\n/);
+
+  const ass = annotate("--mode", "normal", "--format", "ass")["styled.normal.ass"];
+  assert.match(ass, /,\{\\an8\}\{\\i1\}[^\\]+\\N\{\\i0\\c&H00CCFF&\}[^{]+\{\\c\} & more\n/);
+});
@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const KnownKanji = require("../docs/known-kanji.js");
+
+test("kanji outside the Basic Multilingual Plane are kept whole", () => {
+  assert.deepEqual(KnownKanji.extractKanji("𠮟る人々"), ["𠮟", "人"]);
+
+  const known = new KnownKanji();
+  known.kanji = new Set(["る"]);
+  assert.equal(known.isKnownWord("𠮟る"), false);
+  known.kanji.add("𠮟");
+  assert.equal(known.isKnownWord("𠮟る"), true);
+});
+
+test("the Jōyō preset has all 2136 kanji and no lone surrogates", () => {
+  for (const preset of ["joyo", "jlpt-n1"]) {
+    const kanji = new Set(KnownKanji.presetKanji(preset));
+    assert.equal(kanji.size, 2136, preset);
+    assert.ok(kanji.has("𠮟"), preset);
+    assert.ok([...kanji].every((ch) => !/^[\uD800-\uDFFF]$/.test(ch)), preset);
+  }
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const MkvDemuxer = require("../docs/mkv-demuxer.js");
+const SubtitleParser = require("../docs/subtitle-parser.js");
+
+// subtitles.mkv: sized segment and clusters; a video track, an SRT track (BlockGroups with
+// BlockDuration and SimpleBlocks without), an ASS track with CodecPrivate and header stripping,
+// and a PGS (image) track.
+// live.mkv: unknown-size segment and clusters ended by the next top-level element, 10 ms
+// timecodes and a zlib-compressed WebVTT track.
+const open = (name) => new MkvDemuxer(new Blob([fs.readFileSync(path.join(__dirname, "fixtures", name))]));
+
+test("EBML vints of every width, and the all-ones unknown size", () => {
+  const demuxer = new MkvDemuxer(new Blob([]));
+  assert.deepEqual(demuxer.readVint(Uint8Array.from([0x81]), 0), { value: 1, length: 1, unknown: false });
+  assert.deepEqual(demuxer.readVint(Uint8Array.from([0x40, 0x02]), 0), { value: 2, length: 2, unknown: false });
+  assert.deepEqual(demuxer.readVint(Uint8Array.from([0x10, 0x00, 0x01, 0x00]), 0), { value: 256, length: 4, unknown: false });
+  assert.equal(demuxer.readVint(Uint8Array.from([0x01, 0, 0, 0, 0, 0, 0x01, 0x00]), 0).value, 256);
+  assert.equal(demuxer.readVint(Uint8Array.from([0xFF]), 0).unknown, true);
+  assert.equal(demuxer.readVint(Uint8Array.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), 0).unknown, true);
+
+  // IDs keep their marker bit; a truncated or zero first byte is not a vint
+  assert.equal(demuxer.readVint(Uint8Array.from([0x1A, 0x45, 0xDF, 0xA3]), 0, true).value, MkvDemuxer.IDS.EBML);
+  assert.equal(demuxer.readVint(Uint8Array.from([0x40]), 0), null);
+  assert.equal(demuxer.readVint(Uint8Array.from([0x00, 0x01]), 0), null);
+});
+
+test("only text subtitle tracks are listed, with their name, language and compression", async () => {
+  const tracks = await open("subtitles.mkv").readTracks();
+  assert.deepEqual(tracks.map((track) => [track.number, track.codecId, track.format, track.name, track.language]), [
+    [2, "S_TEXT/UTF8", "srt", "日本語", "jpn"],
+    [3, "S_TEXT/ASS", "ass", "", "eng"]
+  ]);
+  assert.equal(tracks[1].compression.algorithm, 3);
+  assert.ok(tracks[1].codecPrivate.startsWith("[Script Info]"));
+
+  await assert.rejects(new MkvDemuxer(new Blob(["1\n00:00:01,000 --> 00:00:02,000\n"])).readTracks(), /Not a Matroska file/);
+});
+
+test("SRT blocks are timed from BlockDuration, or run until the next block", async () => {
+  const demuxer = open("subtitles.mkv");
+  const [srt] = await demuxer.readTracks();
+  const progress = [];
+  const content = await demuxer.extractSubtitles(srt, (fraction) => progress.push(fraction));
+
+  assert.equal(content, [
+    "1\n00:00:01,000 --> 00:00:02,500\n漢字を読む\n",
+    "2\n00:00:05,250 --> 00:00:09,000\n二行目の\n字幕\n",
+    "3\n00:00:09,000 --> 00:00:14,000\n最後\n"
+  ].join("\n"));
+  assert.equal(progress[progress.length - 1], 1);
+
+  const cues = new SubtitleParser().parse(content, "track.srt");
+  assert.deepEqual(cues.map((cue) => [cue.start, cue.end, cue.text]), [[1000, 2500, "漢字を読む"], [5250, 9000, "二行目の 字幕"], [9000, 14000, "最後"]]);
+});
+
+test("ASS events are rebuilt from CodecPrivate and the header-stripped blocks", async () => {
+  const demuxer = open("subtitles.mkv");
+  const [, ass] = await demuxer.readTracks();
+  const content = await demuxer.extractSubtitles(ass);
+
+  assert.match(content, /^\[Script Info\]\nScriptType: v4\.00\+/);
+  assert.equal(content.match(/^\[Events\]$/gm).length, 1);
+  assert.ok(content.endsWith("Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\nDialogue: 0,0:00:01.50,0:00:03.50,Default,,0,0,0,,{\\an8}看板\n"));
+
+  const parser = new SubtitleParser();
+  const [cue] = parser.parse(content, "track.ass");
+  assert.deepEqual([cue.start, cue.end, cue.text], [1500, 3500, "看板"]);
+  assert.equal(parser.scriptInfo.PlayResX, "640");
+});
+
+test("unknown-size clusters end at the next top-level element; zlib tracks are inflated", async () => {
+  const demuxer = open("live.mkv");
+  const tracks = await demuxer.readTracks();
+  assert.deepEqual(tracks.map((track) => [track.number, track.format, track.compression.algorithm]), [[5, "vtt", 0]]);
+
+  assert.equal(await demuxer.extractSubtitles(tracks[0]), "WEBVTT\n\n00:00:01.000 --> 00:00:02.500\n生放送\n\n00:00:03.200 --> 00:00:04.200\n続き\n");
+});
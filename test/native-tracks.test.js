@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const NativeTracks = require("../docs/native-tracks.js");
+const SubtitleParser = require("../docs/subtitle-parser.js");
+const VideoPlayer = require("../docs/video-player.js");
+
+// Just enough of TextTrack and HTMLVideoElement for the tracks the player adds
+class FakeTrack extends EventTarget {
+  constructor(kind, label) {
+    super();
+    this.kind = kind;
+    this.label = label;
+    this.mode = "disabled";
+    this.cues = [];
+  }
+
+  addCue(cue) {
+    this.cues.push(cue);
+  }
+
+  removeCue(cue) {
+    this.cues.splice(this.cues.indexOf(cue), 1);
+  }
+}
+
+class FakeVideo extends EventTarget {
+  constructor() {
+    super();
+    this.textTracks = new EventTarget();
+    this.added = [];
+  }
+
+  addTextTrack(kind, label) {
+    const track = new FakeTrack(kind, label);
+    this.added.push(track);
+    return track;
+  }
+}
+
+global.VTTCue = class {
+  constructor(startTime, endTime, text) {
+    Object.assign(this, { startTime, endTime, text });
+  }
+};
+
+const createTracks = () => {
+  const video = new FakeVideo();
+  const calls = { cueChanges: 0, modes: [] };
+  const tracks = new NativeTracks(video, {
+    onCueChange: () => calls.cueChanges++,
+    onModeChange: (showing) => calls.modes.push(showing)
+  });
+  return { video, tracks, calls };
+};
+
+test("cues are published on a subtitle track and a metadata track whose cue changes are reported", () => {
+  const { video, tracks, calls } = createTracks();
+  const cue = { start: 1000, end: 2500 };
+  tracks.setCues("subtitles", [cue], () => "漢字 <b> & more");
+
+  assert.deepEqual(video.added.map((track) => [track.kind, track.label, track.mode]), [
+    ["metadata", "Cue timing", "hidden"],
+    ["subtitles", "Japanese (readings)", "hidden"],
+    ["subtitles", "Translation", "hidden"]
+  ]);
+  assert.deepEqual(tracks.tracks.subtitles.cues.map((vttCue) => [vttCue.startTime, vttCue.endTime, vttCue.text]), [[1, 2.5, "漢字 &lt;b&gt; &amp; more"]]);
+
+  tracks.setText("subtitles", cue, NativeTracks.readingText([{ text: "漢字", reading: "かんじ" }, { text: "を読む", reading: null }]));
+  assert.equal(tracks.tracks.subtitles.cues[0].text, "漢字(かんじ)を読む");
+
+  // Retiming replaces the cues instead of adding to them
+  tracks.setCues("subtitles", [{ start: 1500, end: 3000 }], () => "");
+  assert.equal(tracks.tracks.subtitles.cues.length, 1);
+  assert.equal(tracks.timing.cues.length, 1);
+
+  tracks.timing.dispatchEvent(new Event("cuechange"));
+  assert.equal(calls.cueChanges, 1);
+});
+
+test("Picture-in-Picture shows the visible tracks and restores the modes afterwards", () => {
+  const { video, tracks, calls } = createTracks();
+  tracks.setVisible("translation", false);
+
+  video.dispatchEvent(new Event("enterpictureinpicture"));
+  assert.deepEqual(tracks.showing(), { subtitles: true, translation: false });
+  video.textTracks.dispatchEvent(new Event("change"));
+  assert.deepEqual(calls.modes, []);
+
+  video.dispatchEvent(new Event("leavepictureinpicture"));
+  assert.deepEqual(tracks.showing(), { subtitles: false, translation: false });
+
+  // Captions picked in the video controls are reported
+  tracks.tracks.translation.mode = "showing";
+  video.textTracks.dispatchEvent(new Event("change"));
+  assert.deepEqual(calls.modes, [{ subtitles: false, translation: true }]);
+});
+
+test("restoring a session's timing republishes the native cues at the adjusted times", () => {
+  const { tracks } = createTracks();
+  const player = Object.assign(Object.create(VideoPlayer.prototype), {
+    subtitleParser: new SubtitleParser(),
+    translationParser: new SubtitleParser(),
+    nativeTracks: tracks,
+    annotations: new Map()
+  });
+  player.subtitleParser.parse("1\n00:00:01,000 --> 00:00:02,000\n字幕\n", "episode.srt");
+  player.updateNativeCues("subtitles");
+
+  player.restoreTiming("subtitles", { scale: 1, offset: 2500 });
+  assert.deepEqual(tracks.tracks.subtitles.cues.map((cue) => [cue.startTime, cue.endTime, cue.text]), [[3.5, 4.5, "字幕"]]);
+  assert.deepEqual(tracks.timing.cues.map((cue) => [cue.startTime, cue.endTime]), [[3.5, 4.5]]);
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const docs = path.join(__dirname, "..", "docs");
+const markup = fs.readFileSync(path.join(docs, "player.html"), "utf8");
+const ids = new Set([...markup.matchAll(/\sid="([^"]+)"/g)].map((match) => match[1]));
+
+test("every element the player looks up is in player.html, once", () => {
+  const source = fs.readFileSync(path.join(docs, "video-player.js"), "utf8");
+  const lookedUp = [...source.matchAll(/this\.element\('([^']+)'\)/g)].map((match) => match[1]);
+
+  assert.ok(lookedUp.length > 50);
+  for (const id of lookedUp) {
+    assert.ok(ids.has(id), `#${id} is missing from player.html`);
+  }
+  assert.equal(ids.size, [...markup.matchAll(/\sid="/g)].length, "duplicate id in player.html");
+});
+
+test("the element loads every player script it precaches, after its dependencies", () => {
+  const element = fs.readFileSync(path.join(docs, "kanji-video-player.js"), "utf8");
+  const scripts = element.match(/const PLAYER_SCRIPTS = \[([^\]]*)\]/)[1].match(/'[^']*'/g).map((url) => url.slice(1, -1));
+
+  for (const script of scripts) {
+    assert.ok(fs.existsSync(path.join(docs, script)), script);
+  }
+  assert.equal(scripts[scripts.length - 1], "video-player.js");
+  assert.ok(scripts.indexOf("subtitle-markup.js") < scripts.indexOf("subtitle-parser.js"));
+  assert.ok(scripts.indexOf("kanji-presets.js") < scripts.indexOf("known-kanji.js"));
+});
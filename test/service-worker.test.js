@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const docs = path.join(__dirname, "..", "docs");
+const source = fs.readFileSync(path.join(docs, "service-worker.js"), "utf8");
+const precached = source.match(/const PRECACHE_URLS = \[([^\]]*)\]/)[1].match(/'[^']*'/g).map((url) => url.slice(1, -1));
+
+test("every precached file exists", () => {
+  for (const url of precached.filter((url) => url !== "./")) {
+    assert.ok(fs.existsSync(path.join(docs, url)), url);
+  }
+});
+
+test("the page's scripts, the player's scripts, the libraries and the whole kuromoji dictionary are precached", () => {
+  const html = fs.readFileSync(path.join(docs, "index.html"), "utf8");
+  const element = fs.readFileSync(path.join(docs, "kanji-video-player.js"), "utf8");
+  const scripts = [
+    ...[...html.matchAll(/<script src="([^"]+)"/g)].map((match) => match[1]),
+    ...element.match(/const PLAYER_SCRIPTS = \[([^\]]*)\]/)[1].match(/'[^']*'/g).map((url) => url.slice(1, -1))
+  ];
+  const dictionary = fs.readdirSync(path.join(docs, "kuromoji", "dict")).map((name) => `kuromoji/dict/${name}`);
+  const libraries = fs.readdirSync(path.join(docs, "lib")).map((name) => `lib/${name}`);
+
+  for (const url of [...scripts, ...dictionary, ...libraries]) {
+    assert.ok(precached.includes(url), `${url} is not precached`);
+  }
+});
+
+// Runs the worker with a fake cache and network and sends it one request
+const fetchThroughWorker = async (url, init, response) => {
+  const listeners = {};
+  const stored = [];
+  const cache = { put: async (request) => stored.push(request.url) };
+  const context = {
+    URL, Request, Response,
+    self: { location: new URL("https://example.com/kanji/service-worker.js"), addEventListener: (type, listener) => (listeners[type] = listener) },
+    caches: { match: async () => undefined, open: async () => cache },
+    fetch: async () => response
+  };
+  vm.runInNewContext(source, context);
+
+  let answer = null;
+  const request = new Request(url, init.headers ? { headers: init.headers } : {});
+  if (init.destination) Object.defineProperty(request, "destination", { value: init.destination });
+  listeners.fetch({ request, respondWith: (promise) => (answer = promise) });
+  return { answer: answer && (await answer), stored };
+};
+
+test("streamed videos are left to the browser and only complete responses are cached", async () => {
+  const ranged = await fetchThroughWorker("https://example.com/videos/episode1.mp4", { headers: { Range: "bytes=0-" } }, new Response("", { status: 206 }));
+  assert.equal(ranged.answer, null);
+
+  const video = await fetchThroughWorker("https://example.com/videos/episode1.mp4", { destination: "video" }, new Response(""));
+  assert.equal(video.answer, null);
+
+  const partial = await fetchThroughWorker("https://example.com/kanji/player.css", {}, new Response("", { status: 206 }));
+  assert.equal(partial.answer.status, 206);
+  assert.deepEqual(partial.stored, []);
+
+  const page = await fetchThroughWorker("https://example.com/kanji/player.css", {}, new Response("body {}"));
+  assert.deepEqual(page.stored, ["https://example.com/kanji/player.css"]);
+});
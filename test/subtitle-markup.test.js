@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const SubtitleMarkup = require("../docs/subtitle-markup.js");
+const SubtitleParser = require("../docs/subtitle-parser.js");
+
+test("SRT tags become styled runs and {\\anN} gives the alignment", () => {
+  const markup = SubtitleMarkup.parse(["{\\an8}<i>斜体</i> と <font color=\"#ff0000\">赤</font>", "<b>太字<u>下線</u></b>"], "srt");
+  assert.deepEqual(markup.lines, [
+    [{ text: "斜体", italic: true }, { text: " と " }, { text: "赤", color: "#ff0000" }],
+    [{ text: "太字", bold: true }, { text: "下線", bold: true, underline: true }]
+  ]);
+  assert.equal(markup.alignment, 8);
+});
+
+test("WebVTT colour classes, voice tags and character references", () => {
+  const markup = SubtitleMarkup.parse(["<v 話者><c.yellow>黄色</c> &lt;音&gt; &amp;</v>"], "vtt");
+  assert.deepEqual(markup.lines, [[{ text: "黄色", color: "yellow" }, { text: " <音> &" }]]);
+});
+
+test("ASS override tags, line breaks and colours", () => {
+  const markup = SubtitleMarkup.parse(["{\\an8\\i1}斜体{\\i0\\bord2}普通\\N{\\c&H0000FF&}赤{\\r}戻る"], "ass");
+  assert.deepEqual(markup.lines, [
+    [{ text: "斜体", italic: true }, { text: "普通" }],
+    [{ text: "赤", color: "#FF0000" }, { text: "戻る" }]
+  ]);
+  assert.equal(markup.alignment, 8);
+});
+
+test("rendering escapes the text and drops unsafe colours", () => {
+  const markup = SubtitleMarkup.parse(["<i><img src=x onerror=alert(1)>a & b</i>", "<font color=\"red;background:url(x)\">c</font>"], "srt");
+  assert.equal(SubtitleMarkup.render(markup.lines), "<i>a &amp; b</i><br>c");
+  assert.equal(SubtitleMarkup.render([[{ text: "<script>", bold: true }]]), "<b>&lt;script&gt;</b>");
+});
+
+test("numeric references outside Unicode are kept as text instead of failing the file", () => {
+  assert.equal(SubtitleMarkup.decodeEntities("&#x6F22;&#23383; &#99999999; &#xD800;"), "漢字 &#99999999; &#xD800;");
+
+  const parser = new SubtitleParser();
+  const cues = parser.parse("WEBVTT\n\n00:01.000 --> 00:02.000\n字幕&#99999999;\n", "episode.vtt");
+  assert.equal(cues.length, 1);
+  assert.equal(cues[0].text, "字幕&#99999999;");
+  assert.deepEqual(parser.errors, []);
+});
+
+test("text escaped for the player and WebVTT export reads back unchanged", () => {
+  const text = `"彼" said 'a < b & c'`;
+  assert.equal(SubtitleMarkup.escapeHTML(text), "&quot;彼&quot; said &#39;a &lt; b &amp; c&#39;");
+  assert.equal(SubtitleMarkup.decodeEntities(SubtitleMarkup.escapeHTML(text)), text);
+  assert.equal(SubtitleMarkup.decodeEntities("&apos;"), "'");
+
+  const parser = new SubtitleParser();
+  parser.parse(`1\n00:00:01,000 --> 00:00:02,000\n${text}\n`, "episode.srt");
+  const exported = parser.serialize("vtt");
+  assert.equal(new SubtitleParser().parse(exported, "episode.vtt")[0].text, text);
+});
@@ -0,0 +1,215 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const SubtitleParser = require("../docs/subtitle-parser.js");
+
+function parseFixture(name) {
+  const parser = new SubtitleParser();
+  const content = fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+  const cues = parser.parse(content, name);
+  return { parser, cues };
+}
+
+function timings(cues) {
+  return cues.map((cue) => [cue.start, cue.end, cue.text]);
+}
+
+test("SRT with a byte order mark and CRLF line endings", () => {
+  const { parser, cues } = parseFixture("bom.srt");
+  assert.deepEqual(timings(cues), [
+    [1000, 2000, "最初の行"],
+    [3000, 4000, "二番目"]
+  ]);
+  assert.deepEqual(parser.errors, []);
+});
+
+test("SRT blocks separated by several blank or whitespace-only lines", () => {
+  const { parser, cues } = parseFixture("extra-blank-lines.srt");
+  assert.deepEqual(cues.map((cue) => cue.text), ["一つ目", "二つ目", "三つ目"]);
+  assert.deepEqual(parser.errors, []);
+});
+
+test("SRT accepts '.' before the milliseconds and short millisecond fields", () => {
+  const { cues } = parseFixture("dot-separator.srt");
+  assert.deepEqual(timings(cues), [
+    [1500, 2250, "ドット区切り"],
+    [3500, 4750, "短いミリ秒"]
+  ]);
+});
+
+test("SRT hour counts over 99", () => {
+  const { cues } = parseFixture("long-hours.srt");
+  assert.deepEqual(timings(cues), [
+    [359999000, 360001000, "長い映画"],
+    [443045678, 443046000, "もっと長い"]
+  ]);
+});
+
+test("SRT multi-line cue text is joined with spaces", () => {
+  const { cues } = parseFixture("multiline.srt");
+  assert.deepEqual(cues.map((cue) => cue.text), ["一行目 二行目 三行目", "単一行"]);
+});
+
+test("SRT blocks without an index line", () => {
+  const { parser, cues } = parseFixture("missing-index.srt");
+  assert.deepEqual(timings(cues), [
+    [1000, 2000, "番号なし"],
+    [3000, 4000, "番号あり"],
+    [5000, 6000, "また番号なし"]
+  ]);
+  assert.deepEqual(parser.errors, []);
+});
+
+test("SRT parse errors are returned with line numbers", () => {
+  const { parser, cues } = parseFixture("malformed.srt");
+  assert.deepEqual(cues.map((cue) => cue.text), ["正しい行", "最後の行"]);
+  assert.deepEqual(parser.errors.map((error) => error.line), [6, 9, 12]);
+  assert.match(parser.errors[0].message, /Invalid timing line/);
+  assert.match(parser.errors[1].message, /No timing line/);
+  assert.match(parser.errors[2].message, /End time is before start time/);
+});
+
+test("errors are reset by every parse", () => {
+  const parser = new SubtitleParser();
+  parser.parse("garbage", "a.srt");
+  assert.equal(parser.errors.length, 1);
+  parser.parse("1\n00:00:01,000 --> 00:00:02,000\nはい\n", "b.srt");
+  assert.deepEqual(parser.errors, []);
+});
+
+test("WebVTT cues, settings, tags, ruby and errors", () => {
+  const { parser, cues } = parseFixture("sample.vtt");
+  assert.deepEqual(timings(cues), [
+    [1000, 2500, "こんにちは"],
+    [3000, 4000, "漢字です"]
+  ]);
+  assert.deepEqual(cues[0].settings, { line: "0", align: "start" });
+  assert.deepEqual(cues[1].ruby, [
+    { text: "漢字", reading: "かんじ" },
+    { text: "です", reading: null }
+  ]);
+  assert.deepEqual(parser.errors.map((error) => error.line), [12, 15]);
+  assert.match(parser.errors[0].message, /No timing line/);
+  assert.match(parser.errors[1].message, /End time is before start time/);
+});
+
+test("ASS cues are sorted and keep style and position", () => {
+  const { parser, cues } = parseFixture("sample.ass");
+  assert.deepEqual(timings(cues), [
+    [1000, 2500, "こんにちは、 世界"],
+    [5000, 6000, "看板"]
+  ]);
+  assert.equal(cues[0].actor, "Aki");
+  assert.equal(cues[1].style.Name, "Top");
+  assert.deepEqual(cues[1].position, { alignment: 8, x: 320, y: 50, marginL: 10, marginR: 10, marginV: 30 });
+  assert.deepEqual(parser.errors.map((error) => error.line), [13, 14]);
+  assert.match(parser.errors[0].message, /Invalid timestamps/);
+  assert.match(parser.errors[1].message, /End time is before start time/);
+});
+
+test("format is detected from the content when the extension is unknown", () => {
+  const parser = new SubtitleParser();
+  assert.equal(parser.detectFormat("\uFEFFWEBVTT\n", "subs.txt"), "vtt");
+  assert.equal(parser.detectFormat("[Script Info]\n", ""), "ass");
+  assert.equal(parser.detectFormat("1\n00:00:01,000 --> 00:00:02,000\n", undefined), "srt");
+});
+
+test("overlapping cues are all found by time", () => {
+  const parser = new SubtitleParser();
+  parser.parse("1\n00:00:01,000 --> 00:00:10,000\n長い\n\n2\n00:00:02,000 --> 00:00:03,000\n短い\n", "a.srt");
+  assert.deepEqual(parser.findSubtitlesAtTime(2500).map((cue) => cue.text), ["長い", "短い"]);
+  assert.deepEqual(parser.findSubtitlesAtTime(5000).map((cue) => cue.text), ["長い"]);
+  assert.deepEqual(parser.findSubtitlesAtTime(11000), []);
+});
+
+test("a cue spanning the whole episode does not turn lookups into a scan", () => {
+  const parser = new SubtitleParser();
+  parser.subtitles = [{ start: 0, end: 10000000, text: "タイトル" }];
+  for (let i = 0; i < 10000; i++) {
+    parser.subtitles.push({ start: 1000 + i * 1000, end: 1800 + i * 1000, text: `台詞${i}` });
+  }
+  parser.buildIndex();
+
+  // Count the cues the lookup looks at
+  let visited = 0;
+  const index = parser.index;
+  parser.index = new Proxy(index, { get: (target, key) => (/^\d+$/.test(key) && visited++, target[key]) });
+
+  assert.deepEqual(parser.findSubtitlesAtTime(5000500).map((cue) => cue.text), ["タイトル", "台詞4999"]);
+  assert.ok(visited < 100, `looked at ${visited} cues`);
+  assert.deepEqual(parser.findSubtitlesInRange(2500, 4500).map((cue) => cue.text), ["タイトル", "台詞1", "台詞2", "台詞3"]);
+  assert.deepEqual(parser.findSubtitlesAtTime(20000000), []);
+});
+
+test("two-point retiming and offsets", () => {
+  const { parser, cues } = parseFixture("multiline.srt");
+  parser.setTiming(SubtitleParser.timingFromPoints({ source: 1000, target: 2000 }, { source: 4000, target: 8000 }));
+  assert.deepEqual(cues.map((cue) => [cue.start, cue.end]), [[2000, 6000], [8000, 10000]]);
+
+  parser.setTiming({ scale: 1, offset: -1500 });
+  assert.deepEqual(cues.map((cue) => [cue.start, cue.end]), [[0, 1500], [2500, 3500]]);
+  assert.throws(() => SubtitleParser.timingFromPoints({ source: 1000, target: 0 }, { source: 1000, target: 5 }));
+});
+
+test("annotated output round-trips through the parsers in every format", () => {
+  const { parser, cues } = parseFixture("multiline.srt");
+  const ruby = new Map([
+    [cues[0], [{ text: "一行目 二行目 三行目", reading: null }]],
+    [cues[1], [{ text: "単一", reading: "たんいつ" }, { text: "行", reading: "ぎょう" }]]
+  ]);
+
+  for (const format of ["srt", "vtt", "ass"]) {
+    const reparsed = new SubtitleParser();
+    const output = reparsed.parse(parser.serialize(format, ruby), `out.${format}`);
+    assert.deepEqual(timings(output), timings(cues), format);
+    assert.equal(output[0].ruby, undefined, format);
+    assert.deepEqual(output[1].ruby, ruby.get(cues[1]), format);
+    assert.deepEqual(reparsed.errors, [], format);
+  }
+});
+
+test("annotated output keeps each cue's lines and styling through a re-parse", () => {
+  const { parser, cues } = parseFixture("styled.srt");
+  const ruby = new Map([
+    [cues[0], [
+      [{ text: "上", reading: "うえ", italic: true }, { text: "の", reading: null, italic: true }, { text: "行", reading: "ぎょう", italic: true }],
+      [{ text: "二行目", reading: "にぎょうめ", color: "#ffcc00" }, { text: " & more", reading: null }]
+    ]],
+    [cues[1], [[{ text: "太字", reading: "ふとじ", bold: true }]]]
+  ]);
+
+  for (const format of ["srt", "vtt", "ass"]) {
+    const reparsed = new SubtitleParser();
+    const [first, second] = reparsed.parse(parser.serialize(format, ruby), `out.${format}`);
+    assert.deepEqual(reparsed.errors, [], format);
+
+    assert.equal(first.text, "上の行 二行目 & more", format);
+    assert.deepEqual(first.lines.map((runs) => runs.map((run) => run.text).join("")), ["上の行", "二行目 & more"], format);
+    assert.equal(first.lines[0][0].italic, true, format);
+    assert.ok(first.lines[1].every((run) => !run.italic), format);
+    assert.deepEqual(second.lines, [[{ text: "太字", bold: true }]], format);
+    assert.deepEqual(second.ruby, [{ text: "太字", reading: "ふとじ" }], format);
+    assert.deepEqual(first.ruby.filter((segment) => segment.reading).map((segment) => segment.reading), ["うえ", "ぎょう", "にぎょうめ"], format);
+
+    // WebVTT only has colour classes
+    assert.equal((first.lines[1][0].color || "").toLowerCase(), format === "vtt" ? "" : "#ffcc00", format);
+  }
+  assert.match(parser.serialize("srt", ruby), /\n\{\\an8\}<i>上\[うえ\]の行\[ぎょう\]<\/i>\n<font color="#ffcc00">二行目\[にぎょうめ\]<\/font> & more\n/);
+});
+
+test("styled SRT keeps its lines and markup, and writes them back unchanged", () => {
+  const { parser, cues } = parseFixture("styled.srt");
+  assert.equal(cues[0].text, "上の行 二行目 & more");
+  assert.equal(cues[0].lines.length, 2);
+  assert.deepEqual(cues[0].position, { alignment: 8 });
+  assert.deepEqual(cues[1].lines, [[{ text: "太字", bold: true }]]);
+
+  assert.match(parser.serialize("srt"), /\{\\an8\}<i>上の行<\/i>\n<font color="#ffcc00">二行目<\/font> & more\n/);
+  // Converted to WebVTT, which has no tags for hex colours
+  assert.match(parser.serialize("vtt"), /\n<i>上の行<\/i>\n二行目 &amp; more\n/);
+  assert.match(parser.serialize("ass"), /,\{\\an8\}\{\\i1\}上の行\\N\{\\i0\\c&H00CCFF&\}二行目\{\\c\} & more\n/);
+
+  cues[1].text = "編集済み";
+  assert.match(parser.serialize("srt"), /\n編集済み\n/);
+});
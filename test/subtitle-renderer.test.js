@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const SubtitleParser = require("../docs/subtitle-parser.js");
+const SubtitleRenderer = require("../docs/subtitle-renderer.js");
+
+const ass = `[Script Info]
+PlayResX: 640
+PlayResY: 360
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,0,2,64,64,18,1
+Style: Sign,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,0,8,64,64,18,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:03.00,Default,,0,0,0,,台詞
+Dialogue: 0,0:00:01.00,0:00:03.00,Sign,,0,0,0,,看板
+Dialogue: 0,0:00:01.00,0:00:03.00,Default,,0,0,0,,{\\an7\\pos(160,90)}張り紙
+`;
+
+test("ASS cues are placed from their alignment, margins and \\pos in script pixels", () => {
+  const parser = new SubtitleParser();
+  const [dialogue, sign, note] = parser.parse(ass, "episode.ass");
+
+  assert.equal(SubtitleRenderer.placement(dialogue, parser.scriptInfo), null);
+  assert.deepEqual(SubtitleRenderer.placement(sign, parser.scriptInfo), {
+    x: 0.5, y: 0.05, xAnchor: 0.5, yAnchor: 0, textAlign: "center", maxWidth: 0.8
+  });
+  assert.deepEqual(SubtitleRenderer.placement(note, parser.scriptInfo), {
+    x: 0.25, y: 0.25, xAnchor: 0, yAnchor: 0, textAlign: "left", maxWidth: 0.75
+  });
+});
+
+test("WebVTT line, position, align and size settings are honoured", () => {
+  const parser = new SubtitleParser();
+  const cues = parser.parse(`WEBVTT
+
+00:01.000 --> 00:03.000
+下
+
+00:01.000 --> 00:03.000 line:0 align:start position:10%
+上
+
+00:01.000 --> 00:03.000 line:50%,center position:90%,line-right size:40%
+右
+`, "episode.vtt");
+
+  assert.equal(SubtitleRenderer.placement(cues[0]), null);
+  assert.deepEqual(SubtitleRenderer.placement(cues[1]), {
+    x: 0.1, y: 0, xAnchor: 0, yAnchor: 0, textAlign: "left", maxWidth: 0.9
+  });
+  assert.deepEqual(SubtitleRenderer.placement(cues[2]), {
+    x: 0.9, y: 0.5, xAnchor: 1, yAnchor: 0.5, textAlign: "center", maxWidth: 0.4
+  });
+  assert.equal(SubtitleRenderer.placement({ settings: { line: "-1" } }).y, 1);
+});
+
+test("SRT {\\an8} moves a cue to the top; script resolution falls back like libass", () => {
+  const [cue] = new SubtitleParser().parse("1\n00:00:01,000 --> 00:00:02,000\n{\\an8}上の字幕\n", "episode.srt");
+  const placement = SubtitleRenderer.placement(cue);
+  assert.equal(placement.y, SubtitleRenderer.DEFAULT_MARGIN.y);
+  assert.equal(placement.yAnchor, 0);
+
+  assert.deepEqual(SubtitleRenderer.playResolution({}), { x: 384, y: 288 });
+  assert.deepEqual(SubtitleRenderer.playResolution({ PlayResY: "720" }), { x: 960, y: 720 });
+});
+
+test("the overlay covers the picture inside the letterbox", () => {
+  assert.deepEqual(SubtitleRenderer.contentRect(800, 600, 1920, 1080), { left: 0, top: 75, width: 800, height: 450 });
+  assert.deepEqual(SubtitleRenderer.contentRect(1000, 450, 1920, 1080), { left: 100, top: 0, width: 800, height: 450 });
+  assert.deepEqual(SubtitleRenderer.contentRect(800, 150, 0, 0), { left: 0, top: 0, width: 800, height: 150 });
+  assert.equal(SubtitleRenderer.outlineShadow(0.05).split(", ").length, 8);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const Kuroshiro = require("kuroshiro");
+const KuromojiAnalyzer = require("kuroshiro-analyzer-kuromoji");
+const FuriganaAnnotator = require("../docs/furigana-annotator.js");
+const PitchAccent = require("../docs/pitch-accent.js");
+const TokenOverlay = require("../docs/token-overlay.js");
+
+let annotator;
+let overlay;
+
+test.before(async () => {
+  const analyzer = new KuromojiAnalyzer();
+  await analyzer.init();
+  annotator = new FuriganaAnnotator(analyzer, Kuroshiro.Util);
+
+  const accents = new PitchAccent("accent/accents.json");
+  accents.buildIndex(require(path.join(__dirname, "..", "docs", "accent", "accents.json")).entries);
+  overlay = new TokenOverlay(accents);
+});
+
+test("accent patterns are named from the downstep and the mora count", () => {
+  assert.deepEqual(PitchAccent.morae("きょうしつ"), ["きょ", "う", "し", "つ"]);
+  assert.deepEqual(PitchAccent.morae("ジャーナル"), ["ジャ", "ー", "ナ", "ル"]);
+  assert.equal(PitchAccent.pattern(0, 3), "heiban");
+  assert.equal(PitchAccent.pattern(1, 2), "atamadaka");
+  assert.equal(PitchAccent.pattern(2, 3), "nakadaka");
+  assert.equal(PitchAccent.pattern(2, 2), "odaka");
+});
+
+test("tokens get part-of-speech and accent classes", async () => {
+  const tokens = await annotator.tokenize("箸で食べた");
+  assert.deepEqual(tokens.map((token) => overlay.describe(token).classes), [
+    ["pos-noun", "accent-atamadaka"],
+    ["pos-particle"],
+    ["pos-verb", "accent-nakadaka"],
+    ["pos-auxiliary"]
+  ]);
+  assert.equal(overlay.describe(tokens[2]).title, "Verb · nakadaka [2] (食べる)");
+});
+
+test("entries are matched by word and reading", () => {
+  assert.equal(overlay.accents.lookup("良い", "イイ").reading, "いい");
+  assert.equal(overlay.accents.lookup("良い", "よい").reading, "よい");
+  assert.equal(overlay.accents.lookup("橋", "キョウ"), null);
+  assert.deepEqual(overlay.describe({ surface_form: "端", reading: "ハシ", pos: "名詞" }).classes, ["pos-noun", "accent-heiban"]);
+});
+
+test("token spans carry the overlay classes and title, and custom colours are validated", async () => {
+  const tokens = await annotator.tokenize("猫");
+  const html = annotator.render(tokens, { mode: "hidden", tokenSpans: true, describeToken: (token) => overlay.describe(token) });
+  assert.equal(html, "<span class=\"subtitle-token pos-noun accent-atamadaka\" data-token=\"0\" title=\"Noun · atamadaka [1]\">猫</span>");
+
+  const style = TokenOverlay.style({ noun: "#123456", verb: "red;}body{display:none" });
+  assert.match(style, /\.overlay-pos \.pos-noun \{ color: #123456; \}/);
+  assert.match(style, /\.overlay-pos \.pos-verb \{ color: #ff8a80; \}/);
+});
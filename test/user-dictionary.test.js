@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const UserDictionary = require("../docs/user-dictionary.js");
+
+const tokens = [
+  { surface_form: "秋山", reading: "アキヤマ", basic_form: "秋山" },
+  { surface_form: "澪", reading: "レイ", basic_form: "澪" },
+  { surface_form: "が", reading: "ガ", basic_form: "が" }
+];
+const readings = (result) => result.map((token) => `${token.surface_form}/${token.reading}`);
+
+test("overrides merge split tokens, and series entries win over global ones", () => {
+  const dictionary = new UserDictionary();
+  dictionary.set("澪", "れい");
+  dictionary.set("澪", "みお", "K-On!");
+  dictionary.set("秋山澪", "あきやまみお", "K-On!");
+
+  assert.deepEqual(readings(dictionary.apply(tokens)), ["秋山/アキヤマ", "澪/れい", "が/ガ"]);
+  assert.deepEqual(readings(dictionary.apply(tokens, "K-On!")), ["秋山澪/あきやまみお", "が/ガ"]);
+  assert.equal(dictionary.apply(tokens, "K-On!")[0].basic_form, "秋山澪");
+  assert.equal(tokens[1].reading, "レイ");
+
+  dictionary.remove("秋山澪", "K-On!");
+  assert.deepEqual(readings(dictionary.apply(tokens, "K-On!")), ["秋山/アキヤマ", "澪/みお", "が/ガ"]);
+});
+
+test("readings must be kana", () => {
+  const dictionary = new UserDictionary();
+  assert.throws(() => dictionary.set("澪", "mio"), /kana only/);
+  assert.equal(dictionary.size, 0);
+});
+
+test("JSON and CSV exports import back, skipping invalid rows", () => {
+  const dictionary = new UserDictionary();
+  dictionary.set("天気", "てんき");
+  dictionary.set("秋山澪", "あきやまみお", "K-On!, Season 2");
+
+  for (const exported of [dictionary.exportJSON(), dictionary.exportCSV()]) {
+    const copy = new UserDictionary();
+    assert.deepEqual(copy.importText(exported), { added: 2, skipped: 0 });
+    assert.deepEqual(copy.list(), dictionary.list());
+  }
+
+  const copy = new UserDictionary();
+  assert.deepEqual(copy.importText("surface\treading\n空\tそら\n海\tsea\n"), { added: 1, skipped: 1 });
+});
+
+test("series names are guessed from release file names", () => {
+  assert.equal(UserDictionary.seriesFromFileName("[Group] Yuru Camp - 03 [1080p].mkv"), "Yuru Camp");
+  assert.equal(UserDictionary.seriesFromFileName("Bocchi.the.Rock.S01E05.mkv"), "Bocchi the Rock");
+  assert.equal(UserDictionary.seriesFromFileName("けいおん！ 第3話.mp4"), "けいおん！");
+});